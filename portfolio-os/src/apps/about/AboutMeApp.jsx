@@ -0,0 +1,61 @@
+import React from "react";
+import { borderCol } from "../../os/styles";
+import { ABOUT_SCRIPT as SCRIPT } from "./script";
+
+/* ======================= About Me ======================= */
+export default function AboutMeApp() {
+  const PHOTO = "/media/andreas.jpg"; // put your photo in public/media/andreas.jpg
+
+  const SPEED = 60; // ms per character (fixed)
+
+  const [i, setI] = React.useState(0);
+  const done = i >= SCRIPT.length;
+
+  React.useEffect(() => {
+    if (done) return;
+    const t = setTimeout(() => setI(n => Math.min(n + 1, SCRIPT.length)), SPEED);
+    return () => clearTimeout(t);
+  }, [i, done]);
+
+  const boxRef = React.useRef(null);
+  React.useEffect(() => {
+    boxRef.current?.scrollTo({ top: boxRef.current.scrollHeight });
+  }, [i]);
+
+  return (
+    <div className="grid items-start gap-4 md:grid-cols-[180px,1fr]">
+      {/* Photo */}
+      <div className="mx-auto w-[160px]">
+        <img
+          src={PHOTO}
+          alt="Andreas Ioannou"
+          className={`h-[160px] w-[160px] rounded-lg object-cover border ${borderCol}
+                      shadow-[0_0_12px_var(--glow)]`}
+          draggable={false}
+        />
+      </div>
+
+      {/* Typing panel */}
+      <div className="space-y-3">
+        <div className={`rounded-lg border ${borderCol} bg-black/55 backdrop-blur-[2px]`}>
+          {/* title bar */}
+          <div className={`flex items-center justify-between border-b ${borderCol} px-3 py-1 text-[12px] font-mono text-accent-300/90`}>
+            <span>about.txt — nano</span>
+            <span className="opacity-70">UTF-8</span>
+          </div>
+
+          {/* text (auto-typing) */}
+          <div
+            ref={boxRef}
+            className="max-h-[48vh] min-h-[220px] overflow-auto p-3 font-mono text-[13px] leading-6 text-accent-100"
+            style={{ whiteSpace: "pre-wrap" }}
+            aria-live="polite"
+          >
+            {SCRIPT.slice(0, i)}
+            {!done && <span className="ml-[1px] inline-block animate-pulse">▌</span>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
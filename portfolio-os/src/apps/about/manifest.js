@@ -0,0 +1,11 @@
+export default {
+  id: "about",
+  title: "About Me",
+  icon: `${import.meta.env.BASE_URL}icons/about.svg`,
+  type: "profile",
+  size: { w: 760, h: 520 },
+  singleton: true,
+  keywords: ["whoami", "bio", "me", "profile"],
+  order: 10,
+  load: () => import("./AboutMeApp.jsx"),
+};
@@ -0,0 +1,21 @@
+// What About Me types out. The filesystem seeds ~/Documents/about.txt with it too.
+export const ABOUT_SCRIPT = `Hi there! Thanks for peeking into my little Matrix OS. 
+(…wait—you’re actually reviewing this? *clears throat*) 
+
+I’m Andreas Ioannou, a Computer Science & Communications graduate from the University of Thessaly.
+I’m happiest building software—clean UI, sturdy logic, and a bit of playful polish. 
+I enjoy the whole CS spectrum too: cybersecurity, cryptography, and tinkering with applied AI (YOLO and friends).
+
+Day to day I’m pretty full-stack: React, TypeScript/JavaScript, CSS/Tailwind, and a dash of Three.js when things need depth. 
+I love turning rough ideas into working tools.
+
+The personal bit: as a kid I was obsessed with computers (okay… mostly the games), 
+but what really hooked me later was my first little Python automation. It took way too many tries to get right— 
+and when it finally worked, the feeling was amazing. Something I made… actually made life easier. 
+That moment set my path.
+
+I worked while studying, pushed through the hard parts, and finished my degree. 
+Now I’m excited to learn from experienced teammates, ship real features, and keep leveling up as a developer.
+
+Anyway—enjoy wandering around this weird portfolio OS. 
+Let’s call it… not quite a CV, more like a tiny world that shows what I can do. 😄`;
@@ -0,0 +1,104 @@
+import React from "react";
+import { borderCol } from "../../os/styles";
+import { writeClipboard } from "../../os/clipboard";
+
+/* =============================== Contact ================================== */
+export default function ContactApp() {
+  const contacts = {
+    linkedin: "https://www.linkedin.com/in/andreas-ioannou-4805b7222/",
+    github: "https://github.com/IoannouAndreas",
+    email: "ioannou.andreas20@gmail.com",
+  };
+
+  const [copied, setCopied] = React.useState(false);
+  const copy = async (text) => {
+    await writeClipboard(text, "contact");
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1200);
+  };
+
+  const Card = ({ href, title, subtitle, icon, children }) => (
+    <a
+      href={href}
+      target="_blank"
+      rel="noreferrer"
+      className={`group flex items-center gap-3 rounded-lg border ${borderCol} bg-black/55 px-3 py-3 hover:bg-accent-400/10`}
+    >
+      <div className="grid h-10 w-10 place-items-center rounded-md border border-accent-400/30 bg-black/40 text-accent-300">
+        {icon}
+      </div>
+      <div className="min-w-0">
+        <div className="font-mono text-sm text-accent-200">{title}</div>
+        <div className="truncate text-[12px] text-accent-300/80">{subtitle}</div>
+      </div>
+      {children}
+    </a>
+  );
+
+  const EmailCard = () => (
+    <div
+      className={`flex items-center gap-3 rounded-lg border ${borderCol} bg-black/55 px-3 py-3`}
+    >
+      <div className="grid h-10 w-10 place-items-center rounded-md border border-accent-400/30 bg-black/40 text-accent-300">
+        {/* @ icon */}
+        <svg width="18" height="18" viewBox="0 0 24 24" className="text-neon" fill="none" stroke="currentColor" strokeWidth="1.5">
+          <path d="M16 8a4 4 0 1 0 0 8h1v-8" />
+          <circle cx="12" cy="12" r="9" />
+        </svg>
+      </div>
+      <div className="min-w-0">
+        <div className="font-mono text-sm text-accent-200">Email</div>
+        <div className="truncate text-[12px] text-accent-300/80">{contacts.email}</div>
+        <div className="mt-1 flex gap-2">
+          <a
+            href={`mailto:${contacts.email}`}
+            className={`rounded-md border ${borderCol} bg-black/40 px-2 py-1 text-[12px] text-accent-200 hover:bg-accent-400/10`}
+          >
+            Open mail app
+          </a>
+          <button
+            onClick={() => copy(contacts.email)}
+            className={`rounded-md border ${borderCol} bg-black/40 px-2 py-1 text-[12px] text-accent-200 hover:bg-accent-400/10`}
+          >
+            Copy email
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="grid gap-3 sm:grid-cols-2">
+      <Card
+        href={contacts.linkedin}
+        title="LinkedIn"
+        subtitle="andreas-ioannou-4805b7222"
+        icon={
+          <svg width="18" height="18" viewBox="0 0 24 24" className="text-neon" fill="currentColor">
+            <path d="M4.98 3.5C4.98 4.88 3.88 6 2.5 6S0 4.88 0 3.5 1.12 1 2.5 1s2.48 1.12 2.48 2.5zM.5 8h4V23h-4zM8 8h3.8v2.05h.05c.53-1 1.82-2.05 3.75-2.05 4.01 0 4.75 2.64 4.75 6.07V23h-4v-6.6c0-1.57-.03-3.6-2.2-3.6-2.2 0-2.53 1.72-2.53 3.5V23h-4z"/>
+          </svg>
+        }
+      />
+      <Card
+        href={contacts.github}
+        title="GitHub"
+        subtitle="IoannouAndreas"
+        icon={
+          <svg width="18" height="18" viewBox="0 0 24 24" className="text-neon" fill="currentColor">
+            <path d="M12 .5a12 12 0 0 0-3.79 23.4c.6.11.82-.26.82-.58l-.02-2.04c-3.34.73-4.04-1.6-4.04-1.6-.55-1.4-1.34-1.77-1.34-1.77-1.09-.75.08-.74.08-.74 1.2.09 1.83 1.24 1.83 1.24 1.07 1.84 2.81 1.31 3.5 1.01.11-.78.42-1.31.76-1.61-2.66-.3-5.47-1.33-5.47-5.9 0-1.3.47-2.36 1.24-3.19-.12-.3-.54-1.51.12-3.14 0 0 1-.32 3.3 1.22a11.4 11.4 0 0 1 6 0c2.3-1.54 3.3-1.22 3.3-1.22.66 1.63.24 2.84.12 3.14.77.83 1.24 1.89 1.24 3.19 0 4.59-2.81 5.59-5.49 5.89.43.37.81 1.09.81 2.2l-.01 3.26c0 .32.22.7.82.58A12 12 0 0 0 12 .5z" />
+          </svg>
+        }
+      />
+      <div className="sm:col-span-2">
+        <EmailCard />
+      </div>
+
+      {/* tiny copied toast */}
+      {copied && (
+        <div className="fixed right-4 bottom-24 z-50 rounded-md border border-accent-400/40 bg-black/80 px-3 py-1 text-sm text-accent-200 shadow">
+          Copied!
+        </div>
+      )}
+    </div>
+  );
+}
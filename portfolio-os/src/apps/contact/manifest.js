@@ -0,0 +1,11 @@
+export default {
+  id: "contact",
+  title: "Contact",
+  icon: `${import.meta.env.BASE_URL}icons/contact.svg`,
+  type: "profile",
+  size: { w: 560, h: 320 },
+  singleton: true,
+  keywords: ["email", "linkedin", "github", "hire"],
+  order: 50,
+  load: () => import("./ContactApp.jsx"),
+};
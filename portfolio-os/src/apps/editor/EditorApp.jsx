@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+import { borderCol } from "../../os/styles";
+import { EVENTS, useBus } from "../../os/bus";
+import { fs } from "../../os/fs";
+import { HOME, displayPath, resolvePath } from "../../os/path";
+
+/* ============================== Text Editor ================================
+   Edits one file from the filesystem (launch arg `path`). Ctrl+S saves; a
+   window opened without a path asks where to save the first time. If the
+   file changes elsewhere while there are no unsaved edits, it reloads. */
+const UNTITLED = `${HOME}/Documents/untitled.txt`;
+
+export default function EditorApp({ args }) {
+  const [path, setPath] = useState(() => (args?.path ? resolvePath(args.path) : null));
+  const [text, setText] = useState("");
+  const [saved, setSaved] = useState(""); // what's on disk, to tell if there are edits
+  const [status, setStatus] = useState(null); // { error?, msg }
+  const [saveAs, setSaveAs] = useState(null); // path being typed for "Save as"
+  const [reload, setReload] = useState(0);
+  const dirty = text !== saved;
+
+  // relaunched with another file while already open
+  const [launchArgs, setLaunchArgs] = useState(args);
+  if (args !== launchArgs) {
+    setLaunchArgs(args);
+    if (args?.path) setPath(resolvePath(args.path));
+  }
+
+  useEffect(() => {
+    if (!path) return;
+    let live = true;
+    fs.readFile(path).then(
+      (content) => { if (live) { setText(content); setSaved(content); setStatus(null); } },
+      (err) => {
+        if (!live) return;
+        // a path that doesn't exist yet is a new file, saved on first Ctrl+S
+        if (err.code === "ENOENT") { setText(""); setSaved(""); setStatus({ msg: "new file" }); }
+        else setStatus({ error: true, msg: err.reason ?? String(err) });
+      });
+    return () => { live = false; };
+  }, [path, reload]);
+
+  useBus(EVENTS.FS_CHANGED, ({ paths }) => {
+    if (path && !dirty && paths.some((p) => p === path || p === "/")) setReload((n) => n + 1);
+  });
+
+  const write = async (to) => {
+    try {
+      await fs.writeFile(to, text);
+      setPath(to);
+      setSaved(text);
+      setSaveAs(null);
+      setStatus({ msg: `saved ${displayPath(to)}` });
+    } catch (err) {
+      setStatus({ error: true, msg: `can't save: ${err.reason ?? err.message}` });
+    }
+  };
+  const save = () => (path ? write(path) : setSaveAs(displayPath(UNTITLED)));
+
+  const onKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "s") { e.preventDefault(); save(); }
+  };
+
+  const btn = `rounded-md border ${borderCol} bg-black/60 px-3 py-1 hover:bg-accent-400/10`;
+  return (
+    <div className="flex h-full flex-col gap-2">
+      <div className="flex items-center gap-2">
+        <span className="min-w-0 flex-1 truncate text-accent-300">
+          {path ? displayPath(path) : "untitled"}{dirty ? " •" : ""}
+        </span>
+        <button className={btn} onClick={save} title="Save (Ctrl+S)">Save</button>
+        <button className={btn} onClick={() => setSaveAs(displayPath(path ?? UNTITLED))}>Save as…</button>
+      </div>
+      {saveAs !== null && (
+        <form className="flex items-center gap-2" onSubmit={(e) => { e.preventDefault(); write(resolvePath(saveAs.trim() || UNTITLED)); }}>
+          <span className="text-accent-300/80">save to</span>
+          <input
+            autoFocus value={saveAs} onChange={(e) => setSaveAs(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Escape") setSaveAs(null); }}
+            className={`flex-1 rounded-md border ${borderCol} bg-black/60 px-2 py-1 text-accent-200 focus:outline-none`}
+          />
+          <button type="submit" className={btn}>Save</button>
+        </form>
+      )}
+      <textarea
+        value={text} onChange={(e) => setText(e.target.value)} onKeyDown={onKeyDown}
+        spellCheck={false} autoFocus
+        className={`min-h-0 flex-1 resize-none rounded-md border ${borderCol} bg-black/60 p-2 text-accent-200 focus:outline-none`}
+      />
+      <div className={`text-[11px] ${status?.error ? "text-red-400" : "text-accent-300/70"}`}>
+        {status?.msg ?? `${text.split("\n").length} lines, ${text.length} chars`}
+      </div>
+    </div>
+  );
+}
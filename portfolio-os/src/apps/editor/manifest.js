@@ -0,0 +1,12 @@
+export default {
+  id: "editor",
+  title: "Text Editor",
+  icon: `${import.meta.env.BASE_URL}icons/editor.svg`,
+  type: "app",
+  size: { w: 620, h: 440 },
+  keywords: ["notes", "notepad", "text", "write"],
+  aliases: ["edit", "nano", "notepad"],
+  params: ["path"],
+  order: 110,
+  load: () => import("./EditorApp.jsx"),
+};
@@ -0,0 +1,86 @@
+import React from "react";
+import { borderCol } from "../../os/styles";
+
+/* ============================ Experience (meme + timeline) ============================ */
+export default function ExperienceApp() {
+  // animated "downloading experience" bar for the meme
+  const [pct, setPct] = React.useState(60);
+  React.useEffect(() => {
+    const id = setInterval(() => {
+      setPct((p) => (p >= 95 ? 55 : p + 1));
+    }, 80);
+    return () => clearInterval(id);
+  }, []);
+
+  const Row = ({ icon, title, place, time, children }) => (
+    <div className={`rounded-lg border ${borderCol} bg-black/55 p-3`}>
+      <div className="flex items-start gap-3">
+        <div className="grid h-10 w-10 place-items-center rounded-md border border-accent-400/30 bg-black/40 text-xl">
+          <span aria-hidden>{icon}</span>
+        </div>
+        <div className="min-w-0">
+          <div className="font-mono text-[13px] text-accent-200">{title}</div>
+          <div className="text-[12px] text-accent-300/80">
+            {place} • {time}
+          </div>
+          {children && <div className="mt-2 text-[12px] opacity-85">{children}</div>}
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      {/* Meme header */}
+      <div className={`rounded-lg border ${borderCol} bg-black/55 p-4`}>
+        <div className="text-center font-mono text-lg text-accent-300">
+          ME IRL: Graduating in ~1 month 🎓 (yes i lied on about me I only have 1 lesson to pass SO LET ME LIVE THE DREAM)
+        </div>
+        <div className="mt-1 text-center text-[12px] opacity-80">experience.exe downloading…</div>
+
+        <div className="mt-3 overflow-hidden rounded border border-accent-400/30 bg-accent-400/10">
+          <div
+            className="h-4 bg-accent-400/60 transition-all"
+            style={{ width: `${pct}%` }}
+          />
+        </div>
+        <div className="mt-1 text-right text-[11px] text-accent-300/70">{pct}%</div>
+
+        <div className="mt-2 text-center text-[12px] opacity-75">
+          Meanwhile: I can brew elite coffee ☕ and keep phones calm ☎️
+        </div>
+      </div>
+
+      {/* Timeline-ish cards */}
+      <div className="grid gap-3 md:grid-cols-2">
+        <Row icon="☎️" title="Technical Customer Support" place="Teleperformance" time="~1 year">
+          Troubleshooting, ticketing, patient communication, and keeping cool under pressure.
+          Learned a lot about user empathy and clear explanations.
+        </Row>
+
+        <Row icon="🍽️" title="Waiter" place="Seasonal (summer)" time="2 seasons">
+          Fast service, teamwork, and juggling ten things at once without dropping a smile.
+        </Row>
+
+        <Row icon="☕" title="Barman / Barista" place="Various venues" time="~1 year">
+          Espresso art + late-night shift stamina. Great training for focus and rhythm.
+        </Row>
+
+        <Row icon="💻" title="Student & Personal Projects" place="University of Thessaly" time="ongoing">
+          Full-stack projects with React/TypeScript/CSS, some Three.js, Python automations, a YOLO dabble,
+          and this Matrix-style OS (with terminal, mines, stylophone, 2D TRON, etc.).
+        </Row>
+      </div>
+
+      {/* What I'm aiming for */}
+      <div className={`rounded-lg border ${borderCol} bg-black/55 p-3`}>
+        <div className="mb-2 font-mono text-[12px] text-accent-300/90">What I’m aiming for</div>
+        <ul className="ml-5 list-disc text-[12px] opacity-90">
+          <li>Junior Software Developer (front-end or full-stack)</li>
+          <li>Learn from an experienced team, ship real features</li>
+          <li>Keep leveling up in React/TypeScript and general CS craft</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
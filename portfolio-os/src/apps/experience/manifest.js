@@ -0,0 +1,11 @@
+export default {
+  id: "experience",
+  title: "Experience",
+  icon: `${import.meta.env.BASE_URL}icons/experience.svg`,
+  type: "profile",
+  size: { w: 760, h: 600 },
+  singleton: true,
+  keywords: ["work", "jobs", "cv", "timeline"],
+  order: 20,
+  load: () => import("./ExperienceApp.jsx"),
+};
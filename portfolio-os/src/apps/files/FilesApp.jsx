@@ -0,0 +1,453 @@
+import { useEffect, useState } from "react";
+import { borderCol } from "../../os/styles";
+import { EVENTS, useBus } from "../../os/bus";
+import { fs } from "../../os/fs";
+import { HOME, basename, dirname, displayPath, isInside, joinPath, resolvePath, splitPath } from "../../os/path";
+import { fileType, freeName, isFolder, launcherApp, openFile } from "../../os/fileTypes";
+import { showContextMenu } from "../../os/contextMenu";
+import { useThemedIcon } from "../../os/theme";
+
+/* ================================== Files ==================================
+   A file manager over os/fs.js: folder tree, breadcrumbs, list or icon view.
+   Launch args: `path` (folder to show) and `select` (an entry to highlight).
+   Double-click/Enter opens through the association table (os/fileTypes.js);
+   dragging entries onto a folder, crumb or tree row moves them there. Every
+   listing reloads on FS_CHANGED, so the terminal and other windows stay in
+   sync. */
+const DRAG_TYPE = "application/x-sp8os-paths"; // JSON array of dragged paths
+
+const byFolderThenName = (a, b) => isFolder(b) - isFolder(a) || a.name.localeCompare(b.name);
+const isHidden = (entry) => entry.name.startsWith(".");
+const LIST_COLS = "grid grid-cols-[minmax(0,1fr)_5rem_8rem_9rem] items-center";
+
+const formatSize = (entry) => {
+  if (isFolder(entry)) return "";
+  if (entry.size < 1024) return `${entry.size} B`;
+  return entry.size < 1024 ** 2 ? `${(entry.size / 1024).toFixed(1)} KB` : `${(entry.size / 1024 ** 2).toFixed(1)} MB`;
+};
+const formatDate = (t) => (t ? new Date(t).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : "");
+
+// "~/Documents/notes" -> [["~", HOME], ["Documents", …], ["notes", …]]
+function crumbs(path) {
+  const root = isInside(path, HOME) ? HOME : "/";
+  const out = [[root === HOME ? "~" : "/", root]];
+  for (const part of splitPath(path.slice(root.length))) out.push([part, joinPath(out.at(-1)[1], part)]);
+  return out;
+}
+
+/* ---------------------------------- icons --------------------------------- */
+const GLYPHS = {
+  dir: <path d="M2 6h7l2 2h11v12H2z" />,
+  text: <><path d="M5 2h10l4 4v16H5z" /><path d="M8 10h8M8 13h8M8 16h5" /></>,
+  image: <><rect x="3" y="4" width="18" height="16" /><path d="M3 17l5-5 4 4 3-3 6 6" /><circle cx="16" cy="9" r="1.5" /></>,
+  mines: <><circle cx="12" cy="12" r="5" /><path d="M12 3v4M12 17v4M3 12h4M17 12h4" /></>,
+  pdf: <><path d="M5 2h10l4 4v16H5z" /><path d="M8 15h8" /></>,
+  file: <path d="M5 2h10l4 4v16H5z" />,
+};
+
+function AppGlyph({ app, size }) {
+  return <img src={useThemedIcon(app.icon)} alt="" width={size} height={size} draggable={false} />;
+}
+
+// An entry's icon; .app launchers show the app they start, links get an arrow.
+function KindIcon({ entry, size = 18 }) {
+  const app = launcherApp(entry.name);
+  return (
+    <span className="relative inline-grid shrink-0 place-items-center" style={{ width: size, height: size }}>
+      {app ? <AppGlyph app={app} size={size} /> : (
+        <svg viewBox="0 0 24 24" width={size} height={size} fill="none" stroke="currentColor" strokeWidth="1.5" className="text-neon">
+          {GLYPHS[fileType(entry).kind] ?? GLYPHS.file}
+        </svg>
+      )}
+      {entry.type === "link" && (
+        <span className="absolute -bottom-1 -right-1 rounded-sm bg-black px-px text-[9px] leading-none text-accent-200">↗</span>
+      )}
+    </span>
+  );
+}
+
+/* ------------------------------- folder tree ------------------------------ */
+// One folder in the sidebar. Children load when it's expanded; folders on
+// the way to the current one open by themselves.
+function TreeNode({ path, label, depth = 0, cwd, tick, showHidden, go, drop, dropOver }) {
+  const [open, setOpen] = useState(() => isInside(cwd, path));
+  const [kids, setKids] = useState([]);
+  const [seenCwd, setSeenCwd] = useState(cwd);
+  if (cwd !== seenCwd) {
+    setSeenCwd(cwd);
+    if (cwd !== path && isInside(cwd, path)) setOpen(true);
+  }
+
+  useEffect(() => {
+    if (!open) return;
+    let live = true;
+    fs.readdir(path).then(
+      (entries) => { if (live) setKids(entries.filter((e) => e.type === "dir" && (showHidden || !isHidden(e)))); },
+      () => { if (live) setKids([]); });
+    return () => { live = false; };
+  }, [open, path, tick, showHidden]);
+
+  return (
+    <>
+      <div
+        {...drop(path)}
+        onClick={() => go(path)}
+        style={{ paddingLeft: 4 + depth * 12 }}
+        className={`flex cursor-pointer items-center gap-1 rounded-sm py-0.5 pr-1 ${cwd === path ? "bg-accent-400/20 text-accent-200" : "hover:bg-accent-400/10"} ${dropOver === path ? "ring-1 ring-accent-400" : ""}`}
+      >
+        <button
+          className="w-3 shrink-0 text-accent-300/70"
+          aria-label={open ? "Collapse" : "Expand"}
+          onClick={(e) => { e.stopPropagation(); setOpen((o) => !o); }}
+        >
+          {open ? "▾" : "▸"}
+        </button>
+        <KindIcon entry={{ name: label, type: "dir" }} size={14} />
+        <span className="truncate">{label}</span>
+      </div>
+      {open && kids.map((k) => (
+        <TreeNode key={k.path} path={k.path} label={k.name} depth={depth + 1}
+          cwd={cwd} tick={tick} showHidden={showHidden} go={go} drop={drop} dropOver={dropOver} />
+      ))}
+    </>
+  );
+}
+
+/* --------------------------------- rename --------------------------------- */
+// Inline name editor; Enter or leaving the field commits, Esc cancels.
+function RenameField({ name, onDone, className = "" }) {
+  const [value, setValue] = useState(name);
+  const finish = (commit) => onDone(commit ? value.trim() : null);
+  return (
+    <input
+      autoFocus value={value} onChange={(e) => setValue(e.target.value)}
+      // the stem is what people usually retype, like every desktop does
+      onFocus={(e) => { const dot = name.lastIndexOf("."); e.target.setSelectionRange(0, dot > 0 ? dot : name.length); }}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === "Enter") finish(true);
+        if (e.key === "Escape") finish(false);
+      }}
+      onBlur={() => finish(true)}
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={(e) => e.stopPropagation()}
+      className={`min-w-0 rounded-sm border ${borderCol} bg-black px-1 text-accent-200 focus:outline-none ${className}`}
+    />
+  );
+}
+
+/* ----------------------------------- app ---------------------------------- */
+export default function FilesApp({ args, openApp }) {
+  const [cwd, setCwd] = useState(() => resolvePath(args?.path ?? HOME));
+  const [history, setHistory] = useState({ back: [], forward: [] });
+  const [entries, setEntries] = useState([]);
+  const [listError, setListError] = useState(null);
+  const [selected, setSelected] = useState(() => new Set(args?.select ? [resolvePath(args.select)] : []));
+  const [anchor, setAnchor] = useState(null); // where a Shift+click range starts
+  const [renaming, setRenaming] = useState(null); // path
+  const [confirming, setConfirming] = useState(null); // paths waiting for "Delete?"
+  const [status, setStatus] = useState(null); // { error?, msg }
+  const [view, setView] = useState("list"); // list | icons
+  const [showHidden, setShowHidden] = useState(false);
+  const [dropOver, setDropOver] = useState(null);
+  const [tick, setTick] = useState(0);
+
+  const go = (path, { record = true } = {}) => {
+    if (path === cwd) return;
+    if (record) setHistory((h) => ({ back: [...h.back, cwd], forward: [] }));
+    setCwd(path);
+    setSelected(new Set());
+    setAnchor(null);
+    setRenaming(null);
+    setConfirming(null);
+    setStatus(null);
+  };
+  const back = () => {
+    if (!history.back.length) return;
+    setHistory((h) => ({ back: h.back.slice(0, -1), forward: [cwd, ...h.forward] }));
+    go(history.back.at(-1), { record: false });
+  };
+  const forward = () => {
+    if (!history.forward.length) return;
+    setHistory((h) => ({ back: [...h.back, cwd], forward: h.forward.slice(1) }));
+    go(history.forward[0], { record: false });
+  };
+  const up = () => go(dirname(cwd));
+
+  // relaunched (#/files/…, or "Open" on another folder) while already open
+  const [launchArgs, setLaunchArgs] = useState(args);
+  if (args !== launchArgs) {
+    setLaunchArgs(args);
+    if (args?.path) go(resolvePath(args.path));
+    if (args?.select) setSelected(new Set([resolvePath(args.select)]));
+  }
+
+  useEffect(() => {
+    let live = true;
+    fs.readdir(cwd).then(
+      (list) => { if (live) { setEntries(list); setListError(null); } },
+      (err) => { if (live) { setEntries([]); setListError(err.reason ?? String(err)); } });
+    return () => { live = false; };
+  }, [cwd, tick]);
+  useBus(EVENTS.FS_CHANGED, () => setTick((n) => n + 1));
+
+  const visible = entries.filter((e) => showHidden || !isHidden(e)).sort(byFolderThenName);
+  const chosen = visible.filter((e) => selected.has(e.path));
+
+  const report = (err) => setStatus({ error: true, msg: err.reason ? `${err.path}: ${err.reason}` : err.message });
+  const attempt = (fn) => async (...a) => { try { await fn(...a); } catch (err) { report(err); } };
+
+  /* ------------------------------ operations ------------------------------ */
+  const open = attempt(async (entry) => {
+    if (isFolder(entry)) go(entry.path);
+    else await openFile(entry, openApp);
+  });
+  const openAll = (list) => (list.length === 1 ? open(list[0]) : list.filter((e) => !isFolder(e)).forEach(open));
+
+  const create = attempt(async (name, make) => {
+    const path = joinPath(cwd, await freeName(cwd, name));
+    await make(path);
+    setSelected(new Set([path]));
+    setAnchor(path);
+    setRenaming(path);
+  });
+  const newFolder = () => create("New folder", (p) => fs.mkdir(p));
+  const newFile = () => create("untitled.txt", (p) => fs.touch(p));
+
+  const rename = attempt(async (entry, name) => {
+    setRenaming(null);
+    if (!name || name === entry.name) return;
+    if (name.includes("/") || name === "." || name === "..") throw new Error(`"${name}" isn't a valid name`);
+    const to = joinPath(dirname(entry.path), name);
+    if (await fs.exists(to)) throw new Error(`${displayPath(to)} already exists`);
+    await fs.rename(entry.path, to);
+    setSelected(new Set([to]));
+    setAnchor(to);
+  });
+
+  const remove = attempt(async (paths) => {
+    setConfirming(null);
+    for (const p of paths) await fs.rm(p, { recursive: true });
+    setSelected(new Set());
+    setStatus({ msg: `deleted ${paths.length === 1 ? basename(paths[0]) : `${paths.length} items`}` });
+  });
+
+  // Drops never replace anything: a name already taken in `dest` stops the move.
+  const move = attempt(async (paths, dest) => {
+    let moved = 0;
+    for (const p of paths) {
+      if (dirname(p) === dest) continue;
+      if (isInside(dest, p)) throw new Error(`can't move ${basename(p)} into itself`);
+      const to = joinPath(dest, basename(p));
+      if (await fs.exists(to)) throw new Error(`${displayPath(to)} already exists`);
+      await fs.rename(p, to);
+      moved++;
+    }
+    if (moved) setStatus({ msg: `moved ${moved === 1 ? "1 item" : `${moved} items`} to ${displayPath(dest)}` });
+  });
+
+  /* ------------------------------- selection ------------------------------ */
+  const indexOf = (path) => visible.findIndex((e) => e.path === path);
+  const click = (e, entry) => {
+    e.stopPropagation();
+    if (e.shiftKey && anchor && indexOf(anchor) >= 0) {
+      const [a, b] = [indexOf(anchor), indexOf(entry.path)].sort((x, y) => x - y);
+      setSelected(new Set(visible.slice(a, b + 1).map((v) => v.path)));
+      return;
+    }
+    setAnchor(entry.path);
+    if (e.ctrlKey || e.metaKey) {
+      setSelected((s) => {
+        const next = new Set(s);
+        if (!next.delete(entry.path)) next.add(entry.path);
+        return next;
+      });
+    } else setSelected(new Set([entry.path]));
+  };
+  const step = (delta, extend) => {
+    if (!visible.length) return;
+    const from = chosen.length ? indexOf((delta > 0 ? chosen.at(-1) : chosen[0]).path) : delta > 0 ? -1 : visible.length;
+    const to = visible[Math.max(0, Math.min(visible.length - 1, from + delta))].path;
+    setSelected(extend ? (s) => new Set([...s, to]) : new Set([to]));
+    if (!extend) setAnchor(to);
+  };
+
+  const onKeyDown = (e) => {
+    if (renaming) return;
+    const ctrl = e.ctrlKey || e.metaKey;
+    const handled = {
+      Enter: () => openAll(chosen),
+      Backspace: up,
+      Delete: () => chosen.length && setConfirming(chosen.map((c) => c.path)),
+      F2: () => chosen.length === 1 && setRenaming(chosen[0].path),
+      Escape: () => { setSelected(new Set()); setConfirming(null); },
+      ArrowDown: () => step(view === "icons" ? 4 : 1, e.shiftKey),
+      ArrowUp: () => step(view === "icons" ? -4 : -1, e.shiftKey),
+      ArrowRight: () => (e.altKey ? forward() : view === "icons" && step(1, e.shiftKey)),
+      ArrowLeft: () => (e.altKey ? back() : view === "icons" && step(-1, e.shiftKey)),
+      a: () => ctrl && setSelected(new Set(visible.map((v) => v.path))),
+    }[e.key];
+    if (!handled || (e.key === "a" && !ctrl)) return;
+    e.preventDefault();
+    handled();
+  };
+
+  /* ------------------------------ drag & drop ----------------------------- */
+  const dragStart = (e, entry) => {
+    const paths = selected.has(entry.path) ? [...selected] : [entry.path];
+    if (!selected.has(entry.path)) setSelected(new Set([entry.path]));
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(paths));
+    e.dataTransfer.effectAllowed = "move";
+  };
+  // Props that make an element a drop target for `dest` (a folder path).
+  const drop = (dest) => ({
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.dataTransfer.dropEffect = "move";
+      setDropOver(dest);
+    },
+    onDragLeave: () => setDropOver((d) => (d === dest ? null : d)),
+    onDrop: (e) => {
+      const data = e.dataTransfer.getData(DRAG_TYPE);
+      if (!data) return;
+      e.preventDefault();
+      e.stopPropagation();
+      setDropOver(null);
+      move(JSON.parse(data), dest);
+    },
+  });
+
+  /* ----------------------------- context menus ---------------------------- */
+  const entryMenu = (e, entry) => {
+    if (!selected.has(entry.path)) { setSelected(new Set([entry.path])); setAnchor(entry.path); }
+    const targets = selected.has(entry.path) ? chosen : [entry];
+    showContextMenu(e, [
+      { label: "Open", run: () => openAll(targets) },
+      ...(isFolder(entry) && targets.length === 1
+        ? [{ label: "Open in new window", run: () => openApp("files", { newInstance: true, args: { path: entry.path } }) }]
+        : []),
+      "-",
+      { label: "Rename", hint: "F2", disabled: targets.length !== 1, run: () => setRenaming(entry.path) },
+      { label: "Delete", hint: "Del", run: () => setConfirming(targets.map((t) => t.path)) },
+    ]);
+  };
+  const paneMenu = (e) => showContextMenu(e, [
+    { label: "New folder", run: newFolder },
+    { label: "New text file", run: newFile },
+    "-",
+    { label: "View", items: [
+      { label: "List", checked: view === "list", run: () => setView("list") },
+      { label: "Icons", checked: view === "icons", run: () => setView("icons") },
+    ] },
+    { label: "Show hidden files", checked: showHidden, run: () => setShowHidden((v) => !v) },
+    "-",
+    { label: "Open terminal here", run: () => openApp("terminal", { newInstance: true, args: { cwd } }) },
+    { label: "Select all", hint: "Ctrl+A", run: () => setSelected(new Set(visible.map((v) => v.path))) },
+  ]);
+
+  /* --------------------------------- render ------------------------------- */
+  const entryProps = (entry) => ({
+    draggable: renaming !== entry.path,
+    onDragStart: (e) => dragStart(e, entry),
+    onClick: (e) => click(e, entry),
+    onDoubleClick: () => open(entry),
+    onContextMenu: (e) => entryMenu(e, entry),
+    ...(isFolder(entry) && !selected.has(entry.path) ? drop(entry.path) : {}),
+  });
+  const entryClass = (entry) =>
+    `${selected.has(entry.path) ? "bg-accent-400/25 text-accent-100" : "hover:bg-accent-400/10"} ${dropOver === entry.path ? "ring-1 ring-accent-400" : ""} ${isHidden(entry) ? "opacity-60" : ""}`;
+  const nameOf = (entry, className) => (renaming === entry.path
+    ? <RenameField name={entry.name} onDone={(name) => rename(entry, name)} className={className} />
+    : <span className={`truncate ${className}`} title={entry.type === "link" ? `${entry.name} → ${entry.target}` : entry.name}>{entry.name}</span>);
+
+  const btn = `rounded-md border ${borderCol} bg-black/60 px-2 py-0.5 hover:bg-accent-400/10 disabled:opacity-40`;
+  return (
+    <div className="flex h-full flex-col gap-2">
+      <div className="flex items-center gap-1">
+        <button className={btn} onClick={back} disabled={!history.back.length} title="Back (Alt+←)" aria-label="Back">←</button>
+        <button className={btn} onClick={forward} disabled={!history.forward.length} title="Forward (Alt+→)" aria-label="Forward">→</button>
+        <button className={btn} onClick={up} disabled={cwd === "/"} title="Up (Backspace)" aria-label="Up">↑</button>
+        <nav className={`flex min-w-0 flex-1 items-center overflow-x-auto rounded-md border ${borderCol} bg-black/60 px-1`} aria-label="Path">
+          {crumbs(cwd).map(([label, path], i) => (
+            <span key={path} className="flex shrink-0 items-center">
+              {/* "/" is its own separator: "/ etc", but "~ / Documents" */}
+              {i > 0 && !(i === 1 && cwd !== HOME && !isInside(cwd, HOME)) && <span className="px-0.5 text-accent-300/50">/</span>}
+              <button
+                {...drop(path)}
+                onClick={() => go(path)}
+                className={`rounded-sm px-1 ${path === cwd ? "text-accent-200" : "text-accent-300/80 hover:bg-accent-400/10"} ${dropOver === path ? "ring-1 ring-accent-400" : ""}`}
+              >
+                {label}
+              </button>
+            </span>
+          ))}
+        </nav>
+        <button className={btn} onClick={newFolder} title="New folder">+ Folder</button>
+        <button className={btn} onClick={() => setView(view === "list" ? "icons" : "list")} title="Switch view">
+          {view === "list" ? "▦" : "☰"}
+        </button>
+      </div>
+
+      <div className="flex min-h-0 flex-1 gap-2">
+        <aside className={`w-40 shrink-0 overflow-auto rounded-md border ${borderCol} bg-black/40 p-1 text-xs`}>
+          <TreeNode path={HOME} label="Home" cwd={cwd} tick={tick} showHidden={showHidden} go={go} drop={drop} dropOver={dropOver} />
+          <TreeNode path="/" label="Computer" cwd={cwd} tick={tick} showHidden={showHidden} go={go} drop={drop} dropOver={dropOver} />
+        </aside>
+
+        <div
+          tabIndex={0}
+          onKeyDown={onKeyDown}
+          onClick={() => setSelected(new Set())}
+          onContextMenu={paneMenu}
+          {...drop(cwd)}
+          className={`min-w-0 flex-1 overflow-auto rounded-md border ${borderCol} bg-black/40 p-1 focus:outline-none`}
+        >
+          {listError ? (
+            <p className="p-2 text-red-400">{displayPath(cwd)}: {listError}</p>
+          ) : !visible.length ? (
+            <p className="p-2 opacity-60">This folder is empty.</p>
+          ) : view === "list" ? (
+            <div className="text-xs" role="grid">
+              <div className={`${LIST_COLS} sticky top-0 border-b border-accent-400/20 bg-black/80 text-accent-300/80`} role="row">
+                {["Name", "Size", "Type", "Modified"].map((h) => <div key={h} className="truncate px-2 py-1">{h}</div>)}
+              </div>
+              {visible.map((entry) => (
+                <div key={entry.path} {...entryProps(entry)} className={`${LIST_COLS} cursor-default rounded-sm [&>*]:px-2 [&>*]:py-0.5 ${entryClass(entry)}`} role="row" aria-selected={selected.has(entry.path)}>
+                  <div className="flex min-w-0 items-center gap-2"><KindIcon entry={entry} />{nameOf(entry, "flex-1")}</div>
+                  <div className="text-right opacity-70">{formatSize(entry)}</div>
+                  <div className="truncate opacity-70">{entry.type === "link" ? "Link" : fileType(entry).label}</div>
+                  <div className="truncate opacity-70">{formatDate(entry.mtime)}</div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="grid grid-cols-[repeat(auto-fill,5.5rem)] gap-1">
+              {visible.map((entry) => (
+                <div key={entry.path} {...entryProps(entry)} className={`flex cursor-default flex-col items-center gap-1 rounded-md p-1 text-center text-xs ${entryClass(entry)}`} aria-selected={selected.has(entry.path)}>
+                  <KindIcon entry={entry} size={40} />
+                  {nameOf(entry, "w-full break-all")}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {confirming && (
+        <div className={`flex items-center gap-2 rounded-md border ${borderCol} bg-black/60 px-2 py-1`} role="alertdialog">
+          <span className="flex-1">
+            Delete {confirming.length === 1 ? basename(confirming[0]) : `${confirming.length} items`}? This can't be undone.
+          </span>
+          <button className={btn} onClick={() => remove(confirming)} autoFocus>Delete</button>
+          <button className={btn} onClick={() => setConfirming(null)}>Cancel</button>
+        </div>
+      )}
+      <div className={`flex gap-3 text-[11px] ${status?.error ? "text-red-400" : "text-accent-300/70"}`}>
+        <span>{visible.length} item{visible.length === 1 ? "" : "s"}{chosen.length ? `, ${chosen.length} selected` : ""}</span>
+        {status && <span className="truncate">{status.msg}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+export default {
+  id: "files",
+  title: "Files",
+  icon: `${import.meta.env.BASE_URL}icons/files.svg`,
+  type: "system",
+  size: { w: 760, h: 480 },
+  keywords: ["explorer", "folders", "finder", "browse", "filesystem"],
+  aliases: ["explorer", "nautilus"],
+  params: ["path"],
+  order: 55,
+  load: () => import("./FilesApp.jsx"),
+};
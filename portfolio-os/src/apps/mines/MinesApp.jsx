@@ -0,0 +1,219 @@
+import { useEffect, useRef, useState } from "react";
+import { borderCol } from "../../os/styles";
+import { useAppActions } from "../../os/bus";
+import { useRenderCount } from "../../os/renderCount";
+import { fs } from "../../os/fs";
+import { basename, resolvePath } from "../../os/path";
+
+/* =============================== Mines Game ================================ */
+const CUSTOM = "Custom";
+
+/* A .mines board file (launch arg `board`): one row per line, `*` for a
+   mine and anything else for a free cell; `#` starts a comment. */
+function parseBoard(text, name) {
+  const rows = text.split("\n").map((line) => line.replace(/#.*/, "").trimEnd()).filter(Boolean);
+  const w = Math.max(0, ...rows.map((r) => r.length)), h = rows.length;
+  const mines = rows.flatMap((r, y) => [...r].flatMap((ch, x) => (ch === "*" ? [y * w + x] : [])));
+  if (!w || w > 40 || h > 30) throw new Error(`${name}: boards go up to 40×30`);
+  if (!mines.length || mines.length === w * h) throw new Error(`${name}: a board needs mines and free cells`);
+  return { w, h, m: mines.length, mines: new Set(mines), name };
+}
+
+export default function MinesApp({ playSfx, args }) {
+  useRenderCount("MinesApp");
+  const presets = {
+    Beginner: { w: 9, h: 9, m: 10 },
+    Intermediate: { w: 16, h: 16, m: 40 },
+    Expert: { w: 30, h: 16, m: 99 },
+  };
+  // launch arg `level` (e.g. #/mines/expert), matched case-insensitively
+  const levelFrom = (a) => Object.keys(presets).find((k) => k.toLowerCase() === String(a?.level).toLowerCase());
+  const [level, setLevel] = useState(() => levelFrom(args) ?? "Beginner");
+  const [{ w, h, m }, setDims] = useState(() => presets[levelFrom(args) ?? "Beginner"]);
+  const [game, setGame] = useState(0); // bumped by New Game, even on the same level
+  const [board, setBoard] = useState([]);
+  const [placed, setPlaced] = useState(false);
+  const [flags, setFlags] = useState(0);
+  const [lost, setLost] = useState(false);
+  const [won, setWon] = useState(false);
+  const [startAt, setStartAt] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  // an object, so opening the same file again reloads it
+  const [boardReq, setBoardReq] = useState(() => (args?.board ? { path: resolvePath(args.board) } : null));
+  const [custom, setCustom] = useState(null); // parsed board file, while level is Custom
+  const [boardError, setBoardError] = useState(null);
+
+  useEffect(() => {
+    if (!boardReq) return;
+    const name = basename(boardReq.path);
+    let live = true;
+    fs.readFile(boardReq.path)
+      .then((text) => parseBoard(text, name))
+      .then((parsed) => {
+        if (!live) return;
+        setCustom(parsed); setLevel(CUSTOM); setDims(parsed); setBoardError(null); setGame((g) => g + 1);
+      })
+      .catch((err) => { if (live) setBoardError(err.reason ? `${name}: ${err.reason}` : err.message); });
+    return () => { live = false; };
+  }, [boardReq]);
+
+  useEffect(() => {
+    if (!startAt || lost || won) return;
+    const t = setInterval(() => setElapsed(Math.floor((Date.now() - startAt) / 1000)), 1000);
+    return () => clearInterval(t);
+  }, [startAt, lost, won]);
+
+  useEffect(() => {
+    const fixed = level === CUSTOM && custom ? custom.mines : null;
+    const cells = Array(w * h).fill(0).map((_, i) => ({ r: false, f: false, mine: !!fixed?.has(i), adj: 0 }));
+    // a board file places its own mines, so there's no safe first click to wait for
+    if (fixed) {
+      cells.forEach((c, i) => {
+        const x = i % w, y = Math.floor(i / w);
+        for (let dy = -1; dy <= 1; dy++)
+          for (let dx = -1; dx <= 1; dx++)
+            if ((dx || dy) && x + dx >= 0 && x + dx < w && y + dy >= 0 && y + dy < h && cells[(y + dy) * w + x + dx].mine) c.adj++;
+      });
+    }
+    setBoard(cells); setPlaced(!!fixed); setFlags(0); setLost(false); setWon(false); setStartAt(null); setElapsed(0);
+  }, [w, h, m, game, level, custom]);
+
+  const idx = (x, y) => y * w + x;
+  const inb = (x, y) => x >= 0 && x < w && y >= 0 && y < h;
+  const nbors = (i) => {
+    const x = i % w, y = Math.floor(i / w);
+    const out = [];
+    for (let dy = -1; dy <= 1; dy++)
+      for (let dx = -1; dx <= 1; dx++)
+        if (dx || dy) { const nx = x + dx, ny = y + dy; if (inb(nx, ny)) out.push(idx(nx, ny)); }
+    return out;
+  };
+
+  const placeMines = (safeIndex) => {
+    const taken = new Set([safeIndex]);
+    const mines = new Set();
+    while (mines.size < m) {
+      const r = Math.floor(Math.random() * w * h);
+      if (!taken.has(r) && !mines.has(r)) mines.add(r);
+    }
+    const next = board.map((c, i) => ({ ...c, mine: mines.has(i) }));
+    for (let i = 0; i < next.length; i++) {
+      next[i].adj = nbors(i).reduce((a, j) => a + (next[j].mine ? 1 : 0), 0);
+    }
+    setBoard(next);
+    setPlaced(true);
+  };
+
+  const revealAllMines = () => setBoard((b) => b.map((c) => (c.mine ? { ...c, r: true } : c)));
+
+  const checkWin = (b) => {
+    const safeRevealed = b.every((c) => (c.mine ? true : c.r));
+    if (safeRevealed) { setWon(true); setStartAt(null); playSfx("success"); }
+  };
+
+  const flood = (start) => {
+    const next = board.slice();
+    const stack = [start];
+    while (stack.length) {
+      const i = stack.pop();
+      const c = next[i];
+      if (c.r || c.f) continue;
+      c.r = true;
+      if (c.adj === 0 && !c.mine) for (const j of nbors(i)) if (!next[j].r && !next[j].f) stack.push(j);
+    }
+    setBoard(next);
+    checkWin(next);
+  };
+
+  const leftClick = (i) => {
+    if (lost || won) return;
+    if (!placed) placeMines(i);
+    if (!startAt) setStartAt(Date.now());
+    setBoard((cur) => {
+      const c = cur[i];
+      if (c.f || c.r) return cur;
+      const next = cur.slice();
+      if (c.mine) {
+        next[i] = { ...c, r: true }; setLost(true); setStartAt(null);
+        setTimeout(revealAllMines, 50); playSfx("boom"); return next;
+      }
+      if (c.adj === 0) { setBoard(next); setTimeout(() => flood(i), 0); playSfx("reveal"); return next; }
+      next[i] = { ...c, r: true }; checkWin(next); playSfx("reveal"); return next;
+    });
+  };
+
+  const rightClick = (e, i) => {
+    e.preventDefault(); if (lost || won) return;
+    setBoard((cur) => {
+      const c = cur[i]; if (c.r) return cur;
+      const next = cur.slice(); next[i] = { ...c, f: !c.f };
+      setFlags((f) => f + (next[i].f ? 1 : -1)); playSfx("flag"); return next;
+    });
+  };
+
+  const reset = (presetKey = level) => {
+    const p = presetKey === CUSTOM ? custom : presets[presetKey];
+    setLevel(presetKey); setDims(p); setGame((g) => g + 1);
+  };
+  // requests from other apps: tell mines start level=Expert
+  useAppActions({ start: (a) => reset(levelFrom(a) ?? level) });
+
+  // relaunched with new args while already open
+  const [launchArgs, setLaunchArgs] = useState(args);
+  if (args !== launchArgs) {
+    setLaunchArgs(args);
+    const next = levelFrom(args);
+    if (next) reset(next);
+    if (args?.board) setBoardReq({ path: resolvePath(args.board) });
+  }
+
+  // cell size grows with the window (24px minimum, like the classic board)
+  const boardRef = useRef(null);
+  const [cell, setCell] = useState(24);
+  useEffect(() => {
+    const el = boardRef.current;
+    if (!el) return;
+    const fit = () => setCell(Math.max(24, Math.min(44, Math.floor(Math.min((el.clientWidth - 8) / w, (el.clientHeight - 8) / h)))));
+    fit();
+    const ro = new ResizeObserver(fit);
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [w, h]);
+
+  const numberColors = {1:"text-accent-200",2:"text-accent-300",3:"text-accent-400",4:"text-accent-500",5:"text-accent-600",6:"text-accent-400",7:"text-accent-300",8:"text-accent-200"};
+  const icon = Math.round(cell * 0.6);
+  const MineIcon = () => (<svg viewBox="0 0 24 24" width={icon} height={icon} className="text-neon"><circle cx="12" cy="12" r="5" fill="currentColor" opacity="0.25" /><circle cx="12" cy="12" r="3.5" stroke="currentColor" strokeWidth="1" fill="none" /></svg>);
+  const FlagIcon = () => (<svg viewBox="0 0 24 24" width={icon} height={icon} className="text-neon"><path d="M6 21V5m0 0h8l-2 3l2 3H6" stroke="currentColor" strokeWidth="1.2" fill="none" /></svg>);
+
+  return (
+    <div className="flex h-full flex-col gap-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={level} onChange={(e) => reset(e.target.value)} className={`rounded-md border ${borderCol} bg-black/60 px-2 py-1 text-accent-200`}>
+          {Object.keys(presets).map((k) => (<option key={k} value={k}>{k}</option>))}
+          {custom && <option value={CUSTOM}>{custom.name}</option>}
+        </select>
+        <button className={`rounded-md border ${borderCol} bg-black/60 px-3 py-1 hover:bg-accent-400/10`} onClick={() => reset()}>New Game</button>
+        <div className="ml-auto flex items-center gap-3">
+          <span>Mines: {m - flags}</span><span>Time: {elapsed}s</span>
+          {lost && <span className="text-red-400">💥 Boom!</span>}
+          {won && <span className="text-accent-400">✔ You win!</span>}
+        </div>
+      </div>
+      <div ref={boardRef} className="min-h-0 flex-1">
+        <div className="inline-grid rounded-md border border-accent-400/20 bg-black/40 p-1" style={{ gridTemplateColumns: `repeat(${w}, ${cell}px)` }}>
+          {board.map((c, i) => (
+            <button key={i} onClick={() => leftClick(i)} onContextMenu={(e) => rightClick(e, i)}
+              style={{ width: cell, height: cell, fontSize: Math.round(cell / 2) }}
+              className={`grid place-items-center border border-accent-400/20 leading-none ${c.r ? "bg-black/60" : "bg-accent-400/10 hover:bg-accent-400/20"}`}>
+              {c.r ? (c.mine ? <MineIcon /> : c.adj ? <span className={`${numberColors[c.adj]}`}>{c.adj}</span> : "") : c.f ? <FlagIcon /> : ""}
+            </button>
+          ))}
+        </div>
+      </div>
+      {boardError && <p className="text-red-400">{boardError}</p>}
+      <p className="opacity-60">
+        Tip: Left-click to reveal, right-click to flag. {level === CUSTOM ? "This board is fixed: no free first click." : "First click is always safe."}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+const ICON =
+  'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="64" height="64" fill="none" stroke="%2300ff7f" stroke-width="1.5"><circle cx="10" cy="14" r="5" fill="%2300ff7f22"/><path d="M14 10l4-4M16 4h4v4" /><circle cx="18" cy="6" r="2" fill="%2300ff7f"/></svg>';
+
+export default {
+  id: "mines",
+  title: "Mines",
+  icon: ICON,
+  type: "game",
+  size: { w: 520, h: 420 },
+  keywords: ["minesweeper", "game"],
+  aliases: ["minesweeper"],
+  params: ["level"],
+  order: 70,
+  load: () => import("./MinesApp.jsx"),
+};
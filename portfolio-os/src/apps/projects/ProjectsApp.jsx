@@ -0,0 +1,44 @@
+import { useState } from "react";
+import { borderCol } from "../../os/styles";
+
+/* =============================== Projects ==================================
+   Each project has a slug so it can be deep-linked: #/projects/<slug>. */
+const PROJECTS = [
+  {
+    slug: "car-damage-recognition",
+    title: "Car Damage Recognition",
+    stack: "YOLOv11 · FastAPI · CUDA",
+    summary: "Thesis: detects and classifies car body damage from photos, served through a FastAPI inference endpoint on the GPU.",
+  },
+  {
+    slug: "sp8os",
+    title: "Sp8OS",
+    stack: "React · Vite · Tailwind · framer-motion",
+    summary: "This site — a portfolio disguised as a retro, Matrix-flavored operating system.",
+  },
+];
+
+export default function ProjectsApp({ args }) {
+  const [open, setOpen] = useState(args?.project ?? PROJECTS[0].slug);
+
+  // relaunched with new args while already open
+  const [launchArgs, setLaunchArgs] = useState(args);
+  if (args !== launchArgs) {
+    setLaunchArgs(args);
+    if (args?.project) setOpen(args.project);
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      {PROJECTS.map((p) => (
+        <div key={p.slug} className={`rounded-md border ${borderCol} ${open === p.slug ? "bg-accent-400/10" : "bg-black/40"}`}>
+          <button onClick={() => setOpen(p.slug)} className="flex w-full items-baseline justify-between gap-2 px-3 py-1 text-left">
+            <span className="text-accent-200">{p.title}</span>
+            <span className="text-[11px] text-accent-300/70">{p.stack}</span>
+          </button>
+          {open === p.slug && <p className="px-3 pb-2 text-accent-200/80">{p.summary}</p>}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+export default {
+  id: "projects",
+  title: "Projects",
+  icon: `${import.meta.env.BASE_URL}icons/projects.svg`,
+  type: "profile",
+  size: { w: 420, h: 220 },
+  singleton: true,
+  keywords: ["thesis", "portfolio", "yolo"],
+  params: ["project"],
+  order: 30,
+  load: () => import("./ProjectsApp.jsx"),
+};
@@ -0,0 +1,4 @@
+/* ================================ Résumé =================================== */
+export default function ResumeApp() {
+  return <a href="/CV.pdf" download>Download CV.pdf</a>;
+}
@@ -0,0 +1,12 @@
+export default {
+  id: "resume",
+  title: "Résumé",
+  icon: `${import.meta.env.BASE_URL}icons/resume.svg`,
+  type: "profile",
+  size: { w: 360, h: 180 },
+  singleton: true,
+  keywords: ["cv", "pdf", "resume", "download"],
+  aliases: ["cv"],
+  order: 40,
+  load: () => import("./ResumeApp.jsx"),
+};
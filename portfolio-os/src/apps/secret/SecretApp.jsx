@@ -0,0 +1,68 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { FUNNY, PASSWORD, normalizeGuess } from "./passwords";
+
+/* ================= Secret (password gate with jokes) ======================= */
+export default function SecretApp({ playSfx }) {
+  const [guess, setGuess] = React.useState("");
+  const [msg, setMsg] = React.useState('');
+  const [ok, setOk]   = React.useState(false);
+  const [shakeKey, setShakeKey] = React.useState(0);
+
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    const g = normalizeGuess(guess);
+    if (!g) {
+      setMsg("the password can’t be this invisible.");
+      setShakeKey(k => k + 1);
+      playSfx("error");
+      return;
+    }
+    if (g === PASSWORD) {
+      setOk(true);
+      setMsg("✅ ACCESS GRANTED — Thank you for viewing my work!");
+      playSfx("success");
+      return;
+    }
+    if (FUNNY[g]) {
+      setMsg(FUNNY[g]);
+    } else {
+      setMsg("Nope. Hint: it’s a full phrase… and very flattering.");
+    }
+    setOk(false);
+    setShakeKey(k => k + 1);
+    playSfx("error");
+  };
+
+  return (
+    <div className="grid min-h-[52vh] place-items-center">
+      <div className="w-full max-w-[560px] text-center">
+        <h2 className="mb-4 font-mono text-2xl text-accent-300">🔒 ENTER PASSWORD</h2>
+        <motion.form
+          key={shakeKey}
+          onSubmit={onSubmit}
+          initial={{ x: 0 }}
+          animate={{ x: [0, -6, 6, -4, 4, 0] }}
+          transition={{ duration: 0.25, ease: "easeInOut" }}
+        >
+          <input
+            type="password"
+            autoFocus
+            value={guess}
+            onChange={(e) => setGuess(e.target.value)}
+            placeholder="••••••••••"
+            className={`w-full rounded-md border px-5 py-5 text-2xl tracking-widest focus:outline-none
+                        ${ok ? "border-accent-400 bg-black/40" : "border-accent-400/50 bg-black/50"}`}
+          />
+          <button type="submit" className="mt-3 w-full rounded-md border border-accent-400/40 bg-black/60 px-4 py-3 font-mono text-sm text-accent-200 hover:bg-accent-400/10">
+            Unlock
+          </button>
+        </motion.form>
+        <div className={`mt-4 min-h-[2.5rem] font-mono ${ok ? "text-accent-400" : "text-accent-300/80"}`}>
+          {msg}
+        </div>
+      </div>
+    </div>
+  );
+}
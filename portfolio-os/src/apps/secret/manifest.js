@@ -0,0 +1,11 @@
+export default {
+  id: "secret",
+  title: "?",
+  icon: `${import.meta.env.BASE_URL}icons/secret.svg`,
+  type: "system",
+  size: { w: 620, h: 460 },
+  singleton: true,
+  keywords: ["password"],
+  order: 90,
+  load: () => import("./SecretApp.jsx"),
+};
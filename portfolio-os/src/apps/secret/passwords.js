@@ -0,0 +1,28 @@
+/* Shared by the Secret app and the lock screen: the one password that works
+   and the jokes for the ones everybody tries first. */
+export const PASSWORD = "thejobisyours";
+
+export const FUNNY = {
+  "password": "ha ha, never heard of that one before. totally new. 🙃",
+  "123456": "ah yes, the Fort Knox strategy.",
+  "123456789": "longer ≠ stronger—nice try.",
+  "12345678": "retro 2010 vibes, but still no.",
+  "12345": "high five for effort. denied ✋",
+  "qwerty": "keyboard walks don’t open vaults.",
+  "letmein": "polite, but security doesn’t do manners.",
+  "admin": "admin… of disappointment.",
+  "welcome": "thanks! but also: no.",
+  "login": "meta… and wrong.",
+  "abc123": "starting from the basics, I see.",
+  "111111": "unique! (in the worst way).",
+  "123123": "twice the numbers, zero the access.",
+  "iloveyou": "🥹 sweet—but bribery won’t work here.",
+  "starwars": "these are not the creds you’re looking for.",
+  "dragon": "you didn’t slay this one.",
+  "monkey": "🐒 flung… and missed.",
+  "football": "flag on the play: password foul.",
+  "baseball": "strike three. you’re out.",
+  "passw0rd": "leet speak ain’t so elite anymore."
+};
+
+export const normalizeGuess = (s) => s.trim().toLowerCase();
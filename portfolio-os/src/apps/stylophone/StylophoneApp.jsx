@@ -0,0 +1,295 @@
+import React from "react";
+import { borderCol } from "../../os/styles";
+import { useWindowKeys } from "../../os/keyboard";
+import { useAppActions } from "../../os/bus";
+
+/* ============================ Stylophone App =============================== */
+/* Click/touch to play; slide while pressed for classic stylus feel.
+   Keyboard: z s x d c v g b h n j m ,  l  .  ;  /  (C4..E5)
+   Launch arg: preset = one of PRESETS (e.g. #/stylophone/bass).
+   Like the system sounds it follows the mixer: silent when muted or in safe
+   mode, scaled by the master volume, both read as each note starts.
+*/
+const PRESETS = {
+  classic: { wave: "square",   oct: 0,  glide: 0.03, vRate: 5,   vDepth: 12 },
+  bass:    { wave: "sawtooth", oct: -1, glide: 0.06, vRate: 0,   vDepth: 0 },
+  flute:   { wave: "triangle", oct: 1,  glide: 0.02, vRate: 5.5, vDepth: 18 },
+  siren:   { wave: "sawtooth", oct: 0,  glide: 0.25, vRate: 9,   vDepth: 50 },
+};
+const presetFrom = (a) => (String(a?.preset).toLowerCase() in PRESETS ? String(a.preset).toLowerCase() : undefined);
+
+export default function StylophoneApp({ args, getMixer }) {
+  const ctxRef = React.useRef(null);
+  const masterRef = React.useRef(null);
+  const oscRef = React.useRef(null);
+  const ampRef = React.useRef(null);
+  const lfoRef = React.useRef(null);
+  const lfoGainRef = React.useRef(null);
+
+  const [isDown, setIsDown] = React.useState(false);
+  const [active, setActive] = React.useState(null); // midi of current note
+
+  const [preset, setPreset]   = React.useState(() => presetFrom(args) ?? "classic");
+  const initial = PRESETS[preset];
+  const [wave, setWave]       = React.useState(initial.wave);
+  const [oct, setOct]         = React.useState(initial.oct);    // -2..+2
+  const [glide, setGlide]     = React.useState(initial.glide);  // seconds
+  const [vRate, setVRate]     = React.useState(initial.vRate);  // Hz
+  const [vDepth, setVDepth]   = React.useState(initial.vDepth); // cents
+  const [sustain, setSustain] = React.useState(false);
+  const [vol, setVol]         = React.useState(0.8);         // 0..1
+
+  const applyPreset = (name) => {
+    const p = PRESETS[name];
+    setPreset(name); setWave(p.wave); setOct(p.oct); setGlide(p.glide); setVRate(p.vRate); setVDepth(p.vDepth);
+  };
+
+  // relaunched with new args while already open
+  const [launchArgs, setLaunchArgs] = React.useState(args);
+  if (args !== launchArgs) {
+    setLaunchArgs(args);
+    if (presetFrom(args)) applyPreset(presetFrom(args));
+  }
+  useAppActions({ preset: (a) => { if (presetFrom(a)) applyPreset(presetFrom(a)); } });
+
+  const midiStrip = React.useMemo(() => {
+    // C4 (60) .. C6 (84) – 25 semitones like a real stylophone strip
+    return Array.from({ length: 25 }, (_, i) => 60 + i);
+  }, []);
+
+  const KEY_TO_MIDI = React.useMemo(() => ({
+    z: 60, s: 61, x: 62, d: 63, c: 64, v: 65, g: 66, b: 67, h: 68, n: 69,
+    j: 70, m: 71, ',': 72, l: 73, '.': 74, ';': 75, '/': 76
+  }), []);
+
+  const midiToHz = (m) => 440 * Math.pow(2, (m - 69) / 12);
+  const mixer = () => getMixer?.() ?? { masterVol: 1, muted: false, safeMode: false };
+
+  const ensureAudio = async () => {
+    if (!ctxRef.current) {
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      const ctx = new Ctx();
+      ctxRef.current = ctx;
+
+      // main gain → destination
+      const master = ctx.createGain();
+      master.gain.value = vol * mixer().masterVol;
+      master.connect(ctx.destination);
+      masterRef.current = master;
+
+      // synth: OSC → AMP → MASTER
+      const amp = ctx.createGain();
+      amp.gain.value = 0;
+      ampRef.current = amp;
+
+      const osc = ctx.createOscillator();
+      osc.type = wave;
+      osc.frequency.value = 440;
+      osc.connect(amp);
+      osc.start();
+      oscRef.current = osc;
+
+      // vibrato: lfo → (gain depth) → osc.detune
+      const lfo = ctx.createOscillator();
+      const lfoGain = ctx.createGain();
+      lfo.frequency.value = vRate;
+      lfoGain.gain.value = vDepth; // cents
+      lfo.connect(lfoGain);
+      lfoGain.connect(osc.detune);
+      lfo.start();
+      lfoRef.current = lfo;
+      lfoGainRef.current = lfoGain;
+
+      amp.connect(master);
+    } else {
+      if (ctxRef.current.state === "suspended") await ctxRef.current.resume();
+    }
+  };
+
+  // live-param updates
+  React.useEffect(() => { if (oscRef.current) oscRef.current.type = wave; }, [wave]);
+  React.useEffect(() => { if (masterRef.current) masterRef.current.gain.value = vol * (getMixer?.().masterVol ?? 1); }, [vol, getMixer]);
+  React.useEffect(() => { if (lfoRef.current) lfoRef.current.frequency.value = vRate; }, [vRate]);
+  React.useEffect(() => { if (lfoGainRef.current) lfoGainRef.current.gain.value = vDepth; }, [vDepth]);
+
+  const noteOn = async (midi) => {
+    const { masterVol, muted, safeMode } = mixer();
+    if (muted || safeMode || masterVol <= 0) return noteOff();
+    await ensureAudio();
+    const ctx = ctxRef.current;
+    masterRef.current.gain.value = vol * masterVol;
+    const osc = oscRef.current;
+    const amp = ampRef.current;
+
+    const now = ctx.currentTime;
+    const target = midiToHz(midi + oct * 12);
+
+    osc.frequency.cancelScheduledValues(now);
+    if (glide > 0) osc.frequency.linearRampToValueAtTime(target, now + glide);
+    else           osc.frequency.setValueAtTime(target, now);
+
+    amp.gain.cancelScheduledValues(now);
+    amp.gain.linearRampToValueAtTime(1, now + 0.01);
+
+    setActive(midi);
+  };
+
+  const noteOff = () => {
+    if (!ctxRef.current) return;
+    const now = ctxRef.current.currentTime;
+    const amp = ampRef.current;
+    const rel = sustain ? 0.25 : 0.06;
+    amp.gain.cancelScheduledValues(now);
+    amp.gain.linearRampToValueAtTime(0.0001, now + rel);
+    setActive(null);
+  };
+
+  // pointer (stylus) behaviour
+  const onStripDown = (m) => (e) => {
+    e.preventDefault();
+    setIsDown(true);
+    noteOn(m);
+    // Do NOT capture pointer—sliding should hit neighbors.
+  };
+
+  // robust sliding: find the key under the pointer during move
+  const onStripMove = (e) => {
+    if (!isDown) return;
+    e.preventDefault();
+    const el = document.elementFromPoint(e.clientX, e.clientY);
+    const midiAttr = el && el.getAttribute?.('data-midi');
+    const midi = midiAttr ? Number(midiAttr) : null;
+    if (midi != null && midi !== active) noteOn(midi);
+  };
+
+  const onStripEnter = (m) => () => { if (isDown) noteOn(m); };
+
+  React.useEffect(() => {
+    const up = () => { if (isDown) { setIsDown(false); noteOff(); } };
+    window.addEventListener("pointerup", up);
+    return () => window.removeEventListener("pointerup", up);
+  }, [isDown]);
+
+  // keyboard control (only while this window is focused)
+  const pressedRef = React.useRef(new Set());
+  useWindowKeys(
+    async (e) => {
+      if (e.repeat) return;
+      const m = KEY_TO_MIDI[e.key];
+      if (m == null) return;
+      e.preventDefault();
+      pressedRef.current.add(e.key);
+      await noteOn(m);
+    },
+    (e) => {
+      if (KEY_TO_MIDI[e.key] == null) return;
+      pressedRef.current.delete(e.key);
+      if (pressedRef.current.size === 0) noteOff();
+    }
+  );
+
+  return (
+    <div className="flex flex-col gap-4">
+      {/* Controls */}
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          Preset
+          <select value={preset} onChange={(e)=>applyPreset(e.target.value)}
+                  className={`rounded-md border ${borderCol} bg-black/60 px-2 py-1`}>
+            {Object.keys(PRESETS).map((name) => <option key={name}>{name}</option>)}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Wave
+          <select value={wave} onChange={(e)=>setWave(e.target.value)}
+                  className={`rounded-md border ${borderCol} bg-black/60 px-2 py-1`}>
+            <option>square</option>
+            <option>sawtooth</option>
+            <option>triangle</option>
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Octave
+          <select value={oct} onChange={(e)=>setOct(Number(e.target.value))}
+                  className={`rounded-md border ${borderCol} bg-black/60 px-2 py-1`}>
+            <option value={-2}>-2</option><option value={-1}>-1</option>
+            <option value={0}>0</option><option value={1}>+1</option>
+            <option value={2}>+2</option>
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Glide
+          <input type="range" min="0" max="0.25" step="0.005"
+                 value={glide} onChange={(e)=>setGlide(Number(e.target.value))}/>
+          <span className="w-10 text-right">{(glide*1000)|0}ms</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Vibrato
+          <input type="range" min="0" max="12" step="0.1"
+                 value={vRate} onChange={(e)=>setVRate(Number(e.target.value))}/>
+          <span className="w-8 text-right">{vRate.toFixed(1)}Hz</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Depth
+          <input type="range" min="0" max="50" step="1"
+                 value={vDepth} onChange={(e)=>setVDepth(Number(e.target.value))}/>
+          <span className="w-10 text-right">{vDepth|0}¢</span>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Vol
+          <input type="range" min="0" max="1" step="0.01"
+                 value={vol} onChange={(e)=>setVol(Number(e.target.value))}/>
+          <span className="w-8 text-right">{Math.round(vol*100)}%</span>
+        </label>
+
+        <label className="ml-auto inline-flex items-center gap-2">
+          <input type="checkbox" checked={sustain} onChange={(e)=>setSustain(e.target.checked)} />
+          Sustain
+        </label>
+      </div>
+
+      {/* Stylus strip (25 semitone segments) */}
+      <div className="select-none">
+        <div
+          className="rounded-md border border-accent-400/30 bg-black/40 p-1"
+          onPointerMove={onStripMove}
+          onContextMenu={(e)=>e.preventDefault()}
+          onDragStart={(e)=>e.preventDefault()}
+          style={{ touchAction: 'none' }} /* safety on container */
+        >
+          <div className="grid" style={{ gridTemplateColumns: `repeat(${midiStrip.length}, minmax(18px, 1fr))` }}>
+            {midiStrip.map((m) => {
+              const isSharp = [1,3,6,8,10].includes(m % 12);
+              const on = active === m;
+              return (
+                <button
+                  key={m}
+                  data-midi={m}
+                  onPointerDown={onStripDown(m)}
+                  onPointerEnter={onStripEnter(m)}
+                  onDragStart={(e)=>e.preventDefault()}
+                  className={`h-16 border ${borderCol} ${on ? "bg-accent-400/30" : isSharp ? "bg-accent-400/15" : "bg-accent-400/10"} hover:bg-accent-400/20`}
+                  title={`MIDI ${m}`}
+                  style={{
+                    touchAction: 'none',           // stops page movement on touch
+                    WebkitUserSelect: 'none',
+                    userSelect: 'none'
+                  }}
+                />
+              );
+            })}
+          </div>
+        </div>
+        <div className="mt-2 text-xs opacity-70">
+          Keyboard: <code>z s x d c v g b h n j m , l . ; /</code> (C4→E5). 
+        </div>
+      </div>
+    </div>
+  );
+}
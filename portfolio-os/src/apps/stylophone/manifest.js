@@ -0,0 +1,15 @@
+const ICON =
+  'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 40" width="64" height="40" fill="none" stroke="%2300ff7f" stroke-width="1.5"><rect x="2" y="2" width="60" height="36" rx="4" fill="%2300ff7f11"/><path d="M6 28H58" /><path d="M8 12h48v10H8z" /><circle cx="12" cy="22" r="1.5" /><circle cx="20" cy="22" r="1.5" /><circle cx="28" cy="22" r="1.5" /><circle cx="36" cy="22" r="1.5" /><circle cx="44" cy="22" r="1.5" /><circle cx="52" cy="22" r="1.5" /></svg>';
+
+export default {
+  id: "stylophone",
+  title: "Stylophone",
+  icon: ICON,
+  type: "music",
+  size: { w: 880, h: 300 },
+  keywords: ["synth", "music", "audio"],
+  aliases: ["stylo"],
+  params: ["preset"],
+  order: 80,
+  load: () => import("./StylophoneApp.jsx"),
+};
@@ -0,0 +1,334 @@
+import { useEffect, useRef, useState } from "react";
+import { findApp, getApps } from "../../os/registry";
+import { formatSyslog, readSyslog } from "../../os/syslog";
+import { EVENTS, publish, requestApp } from "../../os/bus";
+import { readClipboard, writeClipboard } from "../../os/clipboard";
+import { parseRainOption } from "../../os/matrixRain";
+import { resetSettings, settings, updateSettings } from "../../os/settings";
+import { THEMES, currentTheme } from "../../os/theme";
+import { CRT_OPTIONS, parseCrtOption } from "../../os/crt";
+import { fs } from "../../os/fs";
+import { USER } from "../../os/fsSeed";
+import { HOME, joinPath, resolvePath } from "../../os/path";
+import { isFolder, openFile } from "../../os/fileTypes";
+import { fileCommands } from "./fileCommands";
+import { textCommands } from "./textCommands";
+import { envCommands } from "./envCommands";
+import { assignment, expandPrompt, expandWord, parse, runFile, runScript } from "./shell";
+
+/* ========================= Terminal (working) ===============================
+   Each window has its own working directory (launch arg `cwd`, else ~).
+   Lines go through shell.js, so commands are (args, io): they print to
+   io.print (stdout, which may be a pipe or a file), complain on io.error
+   and read io.stdin. Variables and aliases are per window too; each new
+   window runs ~/.bashrc first, which is how they (and PS1, the prompt)
+   carry over from one session to the next. */
+const BASHRC = joinPath(HOME, ".bashrc");
+const startVars = (cwd) => ({
+  HOME, USER, HOSTNAME: "Sp8OS", SHELL: "/bin/sh", PWD: cwd, PS1: "\\u@\\h:\\w\\$ ",
+});
+
+export default function TerminalApp({ openApp, instance = 1, args }) {
+  const [lines, setLines] = useState([
+    `MatrixOS pseudo-terminal (pts/${instance - 1})`,
+    'Type "help" for commands.',
+  ]);
+  const [input, setInput] = useState("");
+  const [history, setHistory] = useState([]);
+  const [hIndex, setHIndex] = useState(-1);
+  const [cwd, setCwd] = useState(() => resolvePath(args?.cwd ?? HOME));
+  const cwdRef = useRef(cwd); // read mid-line, so `cd a && ls` lists a
+  const [vars, setVarsState] = useState(() => startVars(cwd));
+  const varsRef = useRef(vars); // same: `X=1; echo $X`
+  const aliasesRef = useRef({});
+  const statusRef = useRef(0); // $?
+  const sourceDepthRef = useRef(0); // `source` inside `source`, capped in envCommands
+  const scrollerRef = useRef(null);
+  const inputRef = useRef(null);
+  useEffect(() => { scrollerRef.current?.scrollTo({ top: scrollerRef.current.scrollHeight }); }, [lines]);
+  const focusInput = () => inputRef.current?.focus();
+  const print = (t) => setLines((l) => [...l, ...(Array.isArray(t) ? t : [t])]);
+  const clear = () => setLines([]);
+
+  const helpText = [
+    "Available commands:",
+    "  help               Show this help",
+    "  ls [-la] [path…]   List a folder (ls /apps for the apps)",
+    "  cd [dir] | pwd     Change / show the working directory (~, .., /absolute)",
+    "  cat [file…]        Print files (or stdin)",
+    "  mkdir [-p] <dir…>  Make folders",
+    "  touch <file…>      Make empty files",
+    "  rm [-rf] <path…>   Remove files (-r for folders)",
+    "  mv | cp [-r] <src…> <dest>  Move (rename) or copy",
+    "  open <file|dir>    Open a file with its app, or a folder in Files",
+    "                     Globs (*.txt, ?, [abc]) expand to matching paths",
+    "  apps               List apps",
+    "  grep [-ivnc] <regex> [file…]  Lines that match; with no file, reads stdin",
+    "  wc [-lwc] | head / tail [-n N] | sort [-rnu] | uniq [-cd] | tr [-d] <set> [set]",
+    "                     More filters for pipes",
+    "  a | b              Pipe a's output into b      > file / >> file   Write / append",
+    "  a && b, a || b     b if a worked / failed      a; b               One after the other",
+    "                     'single' and \"double\" quotes keep spaces; < file reads a file",
+    "  export [NAME=value] | env | unset NAME  Shell variables: $NAME / ${NAME} expand, $? is the",
+    "                     last exit status, NAME=value alone sets one too",
+    "  alias [name='cmd'] | unalias [-a] <name>  Command shortcuts (alias ll='ls -la')",
+    "  source <file>      Run a file's commands in this shell (. <file> too)",
+    "                     ~/.bashrc runs in every new terminal: keep aliases and variables there",
+    "                     (alias >> ~/.bashrc saves the current aliases)",
+    "  PS1='\\u@\\h:\\w\\$ '  The prompt: \\u user, \\h host, \\w folder, \\W its name, \\t time, \\d date",
+    "  open [-n] <app>    Open an app window (id or title; -n = new window)",
+    "  <app> [key=val]    Launch an app by id or alias, with launch args",
+    "                     (mines level=Expert, tron arena=L speed=10, stylo preset=bass)",
+    "  echo <text>        Print text",
+    "  date | time        Show date/time",
+    "  whoami             Identity",
+    "  uname -a           System info",
+    "  neofetch           Fancy system summary",
+    "  tell <app> <action> [key=val]  Ask an app to do something (tell mines start level=Expert)",
+    "  pbcopy [text]      Copy text (or stdin) to the clipboard",
+    "  pbpaste            Print the clipboard",
+    "  notify <text>      Pop a desktop notification",
+    "  dmesg              System log (boot, app crashes)",
+    "  matrix [--option value…]  Tune the rain: --speed 0.25-4 --density 0.2-4 --size 10-32",
+    "                     --color theme|green|cyan|amber|red|purple|white|#rrggbb",
+    "                     --charset katakana|binary|hex|latin|symbols",
+    "                     --messages on|off --words A,B  (matrix --reset for defaults)",
+    "  theme [name]       Show or switch the theme: matrix|amber|tron|contrast|custom",
+    "  crt on|off         CRT monitor effect; tune it with --scanlines --curvature --glow",
+    "                     --aberration --flicker, each 0-1  (crt --reset for defaults)",
+    "  cowsay <text>      A wise cow speaks",
+    "  hack               Fake hacking sequence",
+    "  secret             ?",
+    "  clear              Clear screen",
+    "",
+    "Easter eggs: sudo, rm -rf /, vim, emacs, theanswer, wakeup",
+  ];
+  const appNames = () => getApps().map(a => `- ${a.id}  (${a.title})${a.aliases.length ? `  aka ${a.aliases.join(", ")}` : ""}`);
+  const toAsciiCow = (msg) => { const top="_".repeat(msg.length+2), bot="‾".repeat(msg.length+2);
+    return [` ${top}`, `< ${msg} >`, ` ${bot}`, "        \\   ^__^","         \\  (oo)\\_______","            (__)\\       )\\/\\","                ||----w |","                ||     ||"]; };
+  const neofetchBlock = () => {
+    const logo = ["        ████        ","      ██    ██      ","     ██  ██  ██     ","     ██  ██  ██     ","      ██    ██      ","        ████        "];
+    const info = [`user: guest`,`os: AndreasOS`,`shell: pseudo-tty`,`resolution: ${window.innerWidth}x${window.innerHeight}`,`theme: ${currentTheme().title}`];
+    const widest = Math.max(...logo.map(l => l.length)); const rows = Math.max(logo.length, info.length);
+    const out = []; for (let i=0;i<rows;i++){ const left=(logo[i]||"").padEnd(widest," "); out.push(`${left}   ${info[i]||""}`); } return out;
+  };
+  const fakeHack = async (print) => { const steps=["[*] Initializing sockets...","[*] Scanning ports 1-65535...","[*] Found open ports: 22, 80, 443","[*] Bruteforcing admin login...","[*] Token acquired: 0xDEADBEEF","[*] Downloading secrets.tar.gz ...","[!] ACCESS DENIED — nice try 😅"]; for (const s of steps){ await new Promise(r=>setTimeout(r,350)); print(s);} };
+  // "level=Expert" words become launch args, the rest names the app
+  const splitArgs = (words) => {
+    const pairs = words.filter((w) => w.includes("=")).map((w) => [w.slice(0, w.indexOf("=")), w.slice(w.indexOf("=") + 1)]);
+    return [words.filter((w) => !w.includes("=")), pairs.length ? Object.fromEntries(pairs) : null];
+  };
+  // `--speed 2 --words HIRE ME,WAKE UP` → [["speed","2"], ["words","HIRE ME,WAKE UP"]]
+  const splitFlags = (words) => words.reduce((out, w) => {
+    if (w.startsWith("--")) out.push([w.slice(2), []]);
+    else if (out.length) out[out.length - 1][1].push(w);
+    return out;
+  }, []).map(([key, rest]) => [key, rest.join(" ")]);
+  const matrix = (a, print) => {
+    if (!a.length) {
+      const { speed, density, size, color, charset, messages } = settings.getState().rain;
+      return print(["Already in it.", `speed ${speed}  density ${density}  size ${size}  color ${color}  charset ${charset}  messages ${messages ? "on" : "off"}`]);
+    }
+    if (a[0] === "--reset") { resetSettings("rain"); return print("matrix: rain reset to defaults"); }
+    if (!a[0].startsWith("--")) return print("usage: matrix [--speed n] [--color name] [--charset name] … (see help)");
+    const patch = {};
+    for (const [key, raw] of splitFlags(a)) {
+      const { value, error } = parseRainOption(key, raw);
+      if (error) return print(`matrix: ${error}`);
+      patch[key] = value;
+    }
+    updateSettings("rain", patch);
+    print(`matrix: ${Object.entries(patch).map(([k, v]) => `${k}=${v}`).join(" ")}`);
+  };
+  const theme = ([name], print) => {
+    if (!name) return print([`theme: ${currentTheme().id}`, ...[...Object.keys(THEMES), "custom"].map((id) => `  ${id}`)]);
+    if (!(name in THEMES) && name !== "custom") return print(`theme: unknown theme "${name}" (${Object.keys(THEMES).join(", ")}, custom)`);
+    updateSettings("theme", { id: name });
+    print(`theme: ${currentTheme().title}`);
+  };
+  const crt = (a, print) => {
+    const state = settings.getState().crt;
+    if (!a.length) return print(`crt ${state.enabled ? "on" : "off"}  ${CRT_OPTIONS.map((k) => `${k} ${state[k]}`).join("  ")}`);
+    if (a[0] === "--reset") { resetSettings("crt"); return print("crt: reset to defaults (off)"); }
+    const patch = {};
+    if (a[0] === "on" || a[0] === "off") patch.enabled = a.shift() === "on";
+    else if (!a[0].startsWith("--")) return print("usage: crt on|off [--scanlines n] [--curvature n] … (see help)");
+    for (const [key, raw] of splitFlags(a)) {
+      const { value, error } = parseCrtOption(key, raw);
+      if (error) return print(`crt: ${error}`);
+      patch[key] = value;
+    }
+    updateSettings("crt", patch);
+    const reduced = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    print(`crt: ${Object.entries(patch).map(([k, v]) => `${k}=${v}`).join(" ")}${reduced ? " (stays off: reduced motion)" : ""}`);
+  };
+  const wakeUpNeo = ["Wake up, Neo...","The Matrix has you...","Follow the white rabbit.","Knock, knock, Neo."];
+
+  // `open` with something that isn't an app: a file or folder, through its association
+  const openPath = async (typed, { print, error }) => {
+    const path = resolvePath(typed, cwdRef.current);
+    if (!(await fs.exists(path))) return error(`No such app or file: ${typed}`);
+    try {
+      await openFile(await fs.stat(path), openApp);
+      print(`Opening ${typed}…`);
+    } catch (err) {
+      error(`open: ${typed}: ${err.reason ?? err.message}`);
+    }
+  };
+  // piped text, for commands that take either words or stdin
+  const wordsOrStdin = (a, stdin) => (a.length || stdin.isTTY ? a.join(" ") : stdin.read().replace(/\n$/, ""));
+
+  const setVars = (patch) => {
+    const next = { ...varsRef.current, ...patch };
+    for (const [name, value] of Object.entries(patch)) if (value === undefined) delete next[name];
+    varsRef.current = next;
+    setVarsState(next);
+  };
+  const shell = {
+    get cwd() { return cwdRef.current; },
+    cd: (path) => { setVars({ OLDPWD: cwdRef.current, PWD: path }); cwdRef.current = path; setCwd(path); },
+    get vars() { return varsRef.current; },
+    setVars,
+    get aliases() { return aliasesRef.current; },
+    get sourceDepth() { return sourceDepthRef.current; },
+    set sourceDepth(n) { sourceDepthRef.current = n; },
+    expand: (word) => expandWord(word, { cwd: cwdRef.current, vars: { ...varsRef.current, "?": String(statusRef.current) } }),
+    run: (argv, io) => run(argv, io),
+    exited: (status) => { statusRef.current = status; },
+    print,
+    error: print,
+  };
+
+  const commands = {
+    help: (a, { print }) => print(helpText),
+    ...fileCommands(shell),
+    ...textCommands(shell),
+    ...envCommands(shell),
+    apps: (a, { print }) => print(["Apps:", ...appNames()]),
+    clear: () => clear(),
+    whoami: (a, { print }) => print("guest"),
+    date: (a, { print }) => print(new Date().toString()),
+    time: (a, { print }) => print(new Date().toLocaleTimeString()),
+    "uname -a": (a, { print }) => print("AndreasOS 1.0.0 #1337 SMP neon-emerald x86_64"),
+    uname: (a, { print }) => print("AndreasOS"),
+    echo: (a, { print }) => print(a.join(" ")),
+    true: () => 0,
+    false: () => 1,
+    neofetch: (a, { print }) => print(neofetchBlock()),
+    dmesg: (a, { print }) => { const log = readSyslog(); print(log.length ? log.map(formatSyslog) : "(log is empty)"); },
+    cowsay: (a, { print, stdin }) => print(toAsciiCow(wordsOrStdin(a, stdin).replace(/\s+/g, " ") || "Moo.")),
+    hack: (a, { print }) => fakeHack(print),
+    secret: (a, { print }) => {print(["ACCESS GRANTED...", "...", "...", "...", "HA HA HA"]);
+    publish(EVENTS.NOTIFICATION, { title: "ACCESS GRANTED", kind: "rickroll", timeout: 5 });
+    },
+    tell: (a, { print, error }) => { const [[name, action], args] = splitArgs(a); const app = name && findApp(name); if (!app || !action) return error(app ? "usage: tell <app> <action> [key=val…]" : `No such app: ${name ?? ""}`); requestApp(app.id, action, args, `terminal-${instance}`); print(`Asked ${app.title} to ${action}.`); },
+    pbcopy: (a, { stdin }) => { writeClipboard(wordsOrStdin(a, stdin), `terminal-${instance}`); },
+    pbpaste: (a, { print }) => print(readClipboard()),
+    notify: (a, { stdin }) => publish(EVENTS.NOTIFICATION, { title: `Terminal ${instance}`, body: wordsOrStdin(a, stdin) || "ping" }),
+    matrix: (a, { print }) => matrix(a, print),
+    theme: (a, { print }) => theme(a, print),
+    crt: (a, { print }) => crt(a, print),
+    theanswer: (a, { print }) => print("42"),
+    open: (a, io) => { const fresh = a[0] === "-n"; const [name, args] = splitArgs(fresh ? a.slice(1) : a); const q = name.join(" ").toLowerCase(); const app = findApp(q); if (app){ setTimeout(()=>openApp(app.id, { newInstance: fresh, args }), 0); io.print(`Opening ${fresh && !app.singleton ? "new " : ""}${app.title}…`);} else return openPath(name.join(" "), io); },
+    sudo: (a, { print }) => print("Nice try. You have no power here."),
+    "rm -rf /": (a, { print }) => print("Nope."),
+    vim: (a, { print }) => print("Esc :q!"),
+    emacs: (a, { print }) => print("You mean vim?"),
+    wakeup: (a, { print }) => { let i = 0; const run=()=>{ if(i>=wakeUpNeo.length) return; print(wakeUpNeo[i++]); setTimeout(run,700); }; run(); },
+  };
+
+  // any registered app id or alias works as a command of its own
+  const launch = (app, args, print) => { setTimeout(() => openApp(app.id, { args }), 0); print(`Opening ${app.title}…`); };
+
+  // The whole line first ("rm -rf /"), then two-word keys ("uname -a"), then the command name.
+  const lookup = (argv) => {
+    const has = (key) => Object.hasOwn(commands, key);
+    if (has(argv.join(" "))) return [commands[argv.join(" ")], []];
+    if (argv.length > 1 && has(`${argv[0]} ${argv[1]}`)) return [commands[`${argv[0]} ${argv[1]}`], argv.slice(2)];
+    return has(argv[0]) ? [commands[argv[0]], argv.slice(1)] : null;
+  };
+  const run = async (argv, io) => {
+    // NAME=value on its own sets a variable, as in sh
+    const pairs = argv.map(assignment);
+    if (pairs.every(Boolean)) return setVars(Object.fromEntries(pairs));
+    const found = lookup(argv);
+    if (found) return found[0](found[1], io);
+    const [name, launchArgs] = splitArgs(argv);
+    const app = findApp(name.join(" "));
+    if (app) return launch(app, launchArgs, io.print);
+    io.error(`command not found: ${argv[0]}`);
+    return 127;
+  };
+
+  // never rejects (onSubmit doesn't wait for it): a failure is printed and lands in $?
+  const exec = async (raw) => {
+    const cmdline = raw.trim(); if (!cmdline) return;
+    setHistory((h) => [cmdline, ...h]); setHIndex(-1);
+    let script;
+    try { script = parse(cmdline, aliasesRef.current); } catch (err) { statusRef.current = 2; return print(`sh: ${err.message}`); }
+    try { await runScript(script, shell); } catch (err) { statusRef.current = 1; print(`sh: ${err.message}`); }
+  };
+
+  // the shell is rebuilt every render; .bashrc (read later) runs with the newest one
+  const shellRef = useRef(shell);
+  useEffect(() => { shellRef.current = shell; });
+
+  // ~/.bashrc, once per window (a missing one is fine)
+  useEffect(() => {
+    let live = true;
+    fs.readFile(BASHRC).then((text) => live && runFile(text, shellRef.current, "~/.bashrc"), () => {});
+    return () => { live = false; };
+  }, []);
+
+  // the layout puts the space after it, so PS1's own trailing one is dropped
+  const prompt = expandPrompt(vars.PS1 ?? "", { vars, cwd }).trimEnd();
+  const onSubmit = (e) => { e.preventDefault(); print(`${prompt} ${input}`); exec(input); setInput(""); };
+  // Tab after a command completes a path: the longest prefix every match shares
+  const completePath = async () => {
+    const start = input.lastIndexOf(" ") + 1;
+    const word = input.slice(start);
+    const dir = word.slice(0, word.lastIndexOf("/") + 1);
+    const stem = word.slice(dir.length);
+    const entries = await fs.readdir(resolvePath(dir || ".", cwdRef.current)).catch(() => []);
+    const hits = entries.filter((e) => e.name.startsWith(stem) && (stem.startsWith(".") || !e.name.startsWith(".")));
+    if (!hits.length) return;
+    if (hits.length === 1) return setInput(`${input.slice(0, start)}${dir}${hits[0].name}${isFolder(hits[0]) ? "/" : " "}`);
+    let common = hits[0].name;
+    for (const h of hits) while (!h.name.startsWith(common)) common = common.slice(0, -1);
+    if (common.length > stem.length) setInput(`${input.slice(0, start)}${dir}${common}`);
+    else print([`${prompt} ${input}`, hits.map((h) => h.name).join("  ")]);
+  };
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowUp") { e.preventDefault(); setHIndex((i)=>{ const ni=Math.min(history.length-1,i+1); setInput(history[ni]??input); return ni; }); }
+    else if (e.key === "ArrowDown") { e.preventDefault(); setHIndex((i)=>{ const ni=Math.max(-1,i-1); setInput(history[ni]??""); return ni; }); }
+    else if (e.key === "Tab") {
+      e.preventDefault();
+      // a command name at the start and after | ; && ||, a path anywhere else
+      const start = input.lastIndexOf(" ") + 1;
+      if (!/(^|[|;&])\s*$/.test(input.slice(0, start))) return completePath();
+      const word = input.slice(start);
+      const list=[...Object.keys(commands), ...Object.keys(aliasesRef.current), ...getApps().flatMap((a)=>[a.id, ...a.aliases])]; const match=list.find((c)=>c.startsWith(word)); if (match) setInput(input.slice(0, start) + match);
+    }
+  };
+
+  return (
+    <div className="rounded-md border border-accent-400/30 bg-black/60 p-2" onClick={focusInput}>
+      <div ref={scrollerRef} className="max-h-[55vh] overflow-auto whitespace-pre-wrap leading-relaxed">
+        {lines.map((l, i) => <div key={i}>{l}</div>)}
+      </div>
+      <form onSubmit={onSubmit} className="mt-2 flex items-center gap-2">
+        <span className="text-accent-300">{prompt}</span>
+        <input
+          ref={inputRef}
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={onKeyDown}
+          autoFocus
+          spellCheck={false}
+          className={`flex-1 bg-transparent text-accent-200 placeholder-accent-300/50 focus:outline-none`}
+          placeholder="type a command… (help)"
+        />
+      </form>
+    </div>
+  );
+}
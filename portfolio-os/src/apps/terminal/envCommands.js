@@ -0,0 +1,82 @@
+import { fs } from "../../os/fs";
+import { resolvePath } from "../../os/path";
+import { assignment, runFile, shellQuote } from "./shell";
+
+/* ======================== Terminal: shell builtins =========================
+   export, env, unset, alias, unalias and source: the commands that change
+   the shell itself. `sh` is the terminal as in shell.js, plus
+     vars                 the variables ({ NAME: value })
+     setVars(patch)       sets them (undefined unsets), so the prompt redraws
+     aliases              { name: text }, edited in place
+     sourceDepth          how many `source`s deep the running line is
+   Anything set here lasts until the window closes; ~/.bashrc is what keeps
+   it (`alias >> ~/.bashrc` saves the current aliases). */
+const why = (err) => err.reason ?? err.message;
+const MAX_SOURCE_DEPTH = 64;
+const listVars = (vars, fmt) => Object.keys(vars).sort().map((name) => fmt(name, vars[name]));
+
+export function envCommands(sh) {
+  // `export` alone prints lines that export the same values again
+  const exportVars = (words, io) => {
+    if (!words.length) return io.print(listVars(sh.vars, (name, value) => `export ${name}=${shellQuote(value)}`));
+    const patch = {};
+    for (const w of words) {
+      const pair = assignment(w);
+      if (pair) patch[pair[0]] = pair[1];
+      else if (!/^[A-Za-z_]\w*$/.test(w)) io.error(`export: '${w}': not a valid identifier`);
+    }
+    sh.setVars(patch);
+  };
+
+  const unset = (words, io) => {
+    for (const w of words) if (!/^[A-Za-z_]\w*$/.test(w)) io.error(`unset: '${w}': not a valid identifier`);
+    sh.setVars(Object.fromEntries(words.map((w) => [w, undefined])));
+  };
+
+  const alias = (words, io) => {
+    const line = (name) => `alias ${name}=${shellQuote(sh.aliases[name])}`;
+    if (!words.length) return io.print(Object.keys(sh.aliases).sort().map(line));
+    for (const w of words) {
+      const eq = w.indexOf("=");
+      if (eq < 0) {
+        if (Object.hasOwn(sh.aliases, w)) io.print(line(w));
+        else io.error(`alias: ${w}: not found`);
+      } else if (eq === 0 || /[\s/$`'"\\|&;<>]/.test(w.slice(0, eq))) {
+        io.error(`alias: '${w.slice(0, eq)}': invalid alias name`);
+      } else {
+        sh.aliases[w.slice(0, eq)] = w.slice(eq + 1);
+      }
+    }
+  };
+
+  const unalias = (words, io) => {
+    if (!words.length) return io.error("usage: unalias [-a] <name>…");
+    if (words[0] === "-a") { for (const name of Object.keys(sh.aliases)) delete sh.aliases[name]; return; }
+    for (const w of words) {
+      if (Object.hasOwn(sh.aliases, w)) delete sh.aliases[w];
+      else io.error(`unalias: ${w}: not found`);
+    }
+  };
+
+  /* Runs in this shell, so its cd, variables and aliases stay. A file that
+     sources itself would never yield to the page, so nesting stops at
+     MAX_SOURCE_DEPTH the way bash stops it. */
+  const source = async ([file], io) => {
+    if (file === undefined) { io.error("usage: source <file>"); return 2; }
+    if (sh.sourceDepth >= MAX_SOURCE_DEPTH) { io.error("source: maximum nesting level exceeded"); return 1; }
+    let text;
+    try { text = await fs.readFile(resolvePath(file, sh.cwd)); } catch (err) { io.error(`source: ${file}: ${why(err)}`); return 1; }
+    sh.sourceDepth++;
+    try {
+      return await runFile(text, sh, file);
+    } finally {
+      sh.sourceDepth--;
+    }
+  };
+
+  return {
+    export: exportVars,
+    env: (args, io) => io.print(listVars(sh.vars, (name, value) => `${name}=${value}`)),
+    unset, alias, unalias, source, ".": source,
+  };
+}
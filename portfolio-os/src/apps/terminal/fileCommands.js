@@ -0,0 +1,146 @@
+import { fs, modeString } from "../../os/fs";
+import { HOME, basename, dirname, joinPath, resolvePath } from "../../os/path";
+import { splitLines, withFlags } from "./shell";
+
+/* ======================== Terminal: file commands ==========================
+   cd, pwd, ls, cat, mkdir, touch, rm, mv and cp over os/fs.js, with the
+   messages GNU coreutils print. `sh` is the terminal running them:
+   { cwd, cd(path) }. Commands are (args, io) as in shell.js, with globs
+   already expanded; paths are resolved against sh.cwd. */
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const two = (n) => String(n).padStart(2, "0");
+// "Oct 19 14:05", like ls -l
+const lsDate = (t) => {
+  const d = new Date(t);
+  return `${MONTHS[d.getMonth()]} ${String(d.getDate()).padStart(2)} ${two(d.getHours())}:${two(d.getMinutes())}`;
+};
+const why = (err) => err.reason ?? err.message;
+
+export function fileCommands(sh) {
+  const at = (path) => resolvePath(path, sh.cwd);
+
+  const longLines = (entries) => {
+    const owner = Math.max(...entries.map((e) => e.owner.length));
+    const size = Math.max(...entries.map((e) => String(e.size).length));
+    return entries.map((e) =>
+      `${modeString(e)} ${e.owner.padEnd(owner)} ${String(e.size).padStart(size)} ${lsDate(e.mtime)} ${e.name}${e.type === "link" ? ` -> ${e.target}` : ""}`);
+  };
+  // one name per line into a pipe or file, like the real ls
+  const listing = (entries, long, tty) =>
+    !entries.length ? [] : long ? longLines(entries) : tty ? [entries.map((e) => e.name).join("  ")] : entries.map((e) => e.name);
+
+  const ls = withFlags("ls", "la", async (flags, operands, io) => {
+    const long = flags.has("l"), all = flags.has("a"), tty = io.stdout.isTTY;
+    const targets = operands.length ? operands : ["."];
+    const files = [], dirs = [];
+    for (const t of targets) {
+      try {
+        // -l shows a link itself; plain ls lists what it points at
+        const entry = await (long ? fs.lstat(at(t)) : fs.stat(at(t)));
+        (entry.type === "dir" ? dirs : files).push({ ...entry, name: t });
+      } catch (err) {
+        io.error(`ls: cannot access '${t}': ${why(err)}`);
+      }
+    }
+    io.print(listing(files, long, tty));
+    for (const [i, d] of dirs.entries()) {
+      const path = at(d.name);
+      if (targets.length > 1) io.print([...(i || files.length ? [""] : []), `${d.name}:`]);
+      try {
+        let entries = (await fs.readdir(path)).filter((e) => all || !e.name.startsWith("."));
+        if (all) entries = [{ ...(await fs.stat(path)), name: "." }, { ...(await fs.stat(dirname(path))), name: ".." }, ...entries];
+        io.print(listing(entries, long, tty));
+      } catch (err) {
+        io.error(`ls: cannot open directory '${d.name}': ${why(err)}`);
+      }
+    }
+  });
+
+  const cd = async ([target, extra], io) => {
+    if (extra !== undefined) return io.error("cd: too many arguments");
+    const path = target === undefined ? HOME : at(target);
+    try {
+      if ((await fs.stat(path)).type !== "dir") return io.error(`cd: ${target}: Not a directory`);
+      sh.cd(path);
+    } catch (err) {
+      io.error(`cd: ${target}: ${why(err)}`);
+    }
+  };
+
+  // no files (or "-") means stdin, so cat works at the end of a pipe or with <
+  const cat = async (words, io) => {
+    if (!words.length && io.stdin.isTTY) return io.error("usage: cat <file>…");
+    for (const f of words.length ? words : ["-"]) {
+      if (f === "-") { io.print(splitLines(io.stdin.read())); continue; }
+      try {
+        const { url } = await fs.stat(at(f));
+        // PDFs and photos live at a URL; there's no text to print
+        if (url) { io.error(`cat: ${f}: binary file (try: open ${f})`); continue; }
+        io.print(splitLines(await fs.readFile(at(f))));
+      } catch (err) {
+        io.error(`cat: ${f}: ${why(err)}`);
+      }
+    }
+  };
+
+  const mkdir = withFlags("mkdir", "p", async (flags, operands, io) => {
+    if (!operands.length) return io.error("mkdir: missing operand");
+    for (const d of operands) {
+      try { await fs.mkdir(at(d), { parents: flags.has("p") }); } catch (err) { io.error(`mkdir: cannot create directory '${d}': ${why(err)}`); }
+    }
+  });
+
+  const touch = async (words, io) => {
+    if (!words.length) return io.error("touch: missing file operand");
+    for (const f of words) {
+      try { await fs.touch(at(f)); } catch (err) { io.error(`touch: cannot touch '${f}': ${why(err)}`); }
+    }
+  };
+
+  const rm = withFlags("rm", "rRf", async (flags, operands, io) => {
+    const force = flags.has("f");
+    if (!operands.length) return force ? undefined : io.error("rm: missing operand");
+    for (const f of operands) {
+      if (basename(f) === "." || basename(f) === "..") { io.error(`rm: refusing to remove '.' or '..' directory: skipping '${f}'`); continue; }
+      try {
+        await fs.rm(at(f), { recursive: flags.has("r") || flags.has("R") });
+      } catch (err) {
+        if (!(force && err.code === "ENOENT")) io.error(`rm: cannot remove '${f}': ${why(err)}`);
+      }
+    }
+  });
+
+  /* mv and cp: the last word is the destination. An existing folder there
+     means "into it", which is the only way to take several sources. */
+  const transfer = (cmd, known, verb, run) => withFlags(cmd, known, async (flags, operands, io) => {
+    if (operands.length < 2) {
+      return io.error(operands.length ? `${cmd}: missing destination file operand after '${operands[0]}'` : `${cmd}: missing file operand`);
+    }
+    const dest = operands.pop();
+    const into = await fs.stat(at(dest)).then((e) => e.type === "dir", () => false);
+    if (operands.length > 1 && !into) return io.error(`${cmd}: target '${dest}': Not a directory`);
+    for (const src of operands) {
+      const to = into ? joinPath(at(dest), basename(at(src))) : at(dest);
+      try {
+        await fs.lstat(at(src));
+      } catch (err) {
+        io.error(`${cmd}: cannot stat '${src}': ${why(err)}`);
+        continue;
+      }
+      try {
+        await run(at(src), to, flags, src, io);
+      } catch (err) {
+        io.error(`${cmd}: cannot ${verb} '${src}' to '${into ? `${dest.replace(/\/$/, "")}/${basename(at(src))}` : dest}': ${why(err)}`);
+      }
+    }
+  });
+
+  const mv = transfer("mv", "", "move", (from, to) => fs.rename(from, to));
+  const cp = transfer("cp", "rR", "copy", async (from, to, flags, src, io) => {
+    const recursive = flags.has("r") || flags.has("R");
+    if (!recursive && (await fs.stat(from)).type === "dir") return io.error(`cp: -r not specified; omitting directory '${src}'`);
+    await fs.copy(from, to, { recursive });
+  });
+
+  return { cd, pwd: (args, io) => io.print(sh.cwd), ls, cat, mkdir, touch, rm, mv, cp };
+}
@@ -0,0 +1,11 @@
+export default {
+  id: "terminal",
+  title: "Terminal",
+  icon: `${import.meta.env.BASE_URL}icons/terminal.svg`,
+  type: "system",
+  size: { w: 720, h: 460 },
+  keywords: ["shell", "console", "bash", "cli"],
+  aliases: ["term", "sh"],
+  order: 60,
+  load: () => import("./TerminalApp.jsx"),
+};
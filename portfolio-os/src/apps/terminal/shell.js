@@ -0,0 +1,277 @@
+import { fs } from "../../os/fs";
+import { HOME, basename, displayPath, isGlob, resolvePath } from "../../os/path";
+
+/* ============================= Terminal: shell =============================
+   The command line, read the way sh reads it. tokenize() handles quoting
+   ('…' is literal; "…" keeps spaces and takes \" \\ \$ escapes; a backslash
+   escapes one character), operators and # comments. parse() turns that
+   into a script: pipelines joined by ; && ||, each stage with its words and
+   redirections (> >> <), with aliases swapped in. runScript() runs it;
+   runFile() runs a whole file (source, ~/.bashrc) a line at a time.
+
+   Every command is called as run(argv, io) where io has stdin ({ isTTY,
+   read() }), stdout ({ isTTY, write(lineOrLines) }) and stderr, plus print/error
+   shorthands for the two writes. Pipes are buffered: a stage finishes
+   before the next one reads its output. */
+const OPERATORS = ["&&", "||", ">>", "|", ">", "<", ";"]; // longest first
+const REDIRECTS = new Set([">", ">>", "<"]);
+
+/* Words come out as { parts: [{ text, quote }] }: quote is "'" for text
+   that must stay literal (single quotes, backslash escapes), '"' for double
+   quotes and null for bare text, which is what gets globbed. Operators come
+   out as { op }. */
+export function tokenize(line) {
+  const tokens = [];
+  let word = null;
+  const add = (text, quote) => {
+    word ??= { parts: [] };
+    const last = word.parts.at(-1);
+    if (last && last.quote === quote) last.text += text;
+    else word.parts.push({ text, quote });
+  };
+  const end = () => { if (word) tokens.push(word); word = null; };
+  const unterminated = (q) => new SyntaxError(`unexpected EOF while looking for matching \`${q}'`);
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === "'") {
+      const close = line.indexOf("'", i + 1);
+      if (close < 0) throw unterminated("'");
+      add(line.slice(i + 1, close), "'");
+      i = close;
+    } else if (ch === '"') {
+      add("", '"'); // "" is still a word
+      for (i++; line[i] !== '"'; i++) {
+        if (i >= line.length) throw unterminated('"');
+        if (line[i] === "\\" && '"\\$`'.includes(line[i + 1])) add(line[++i], "'");
+        else add(line[i], '"');
+      }
+    } else if (ch === "\\") {
+      if (i + 1 < line.length) add(line[++i], "'");
+    } else if (/\s/.test(ch)) {
+      end();
+    } else if (ch === "#" && !word) {
+      break;
+    } else {
+      const op = OPERATORS.find((o) => line.startsWith(o, i));
+      if (!op) { add(ch, null); continue; }
+      end();
+      tokens.push({ op });
+      i += op.length - 1;
+    }
+  }
+  end();
+  return tokens;
+}
+
+// a bare word that could be an alias: no quotes or escapes anywhere in it
+const bareName = (token) => (token.parts?.length === 1 && token.parts[0].quote === null ? token.parts[0].text : null);
+
+/* "cowsay hi | grep moo > out.txt" -> [{ pipeline: [{ words, redirects }, …], then: ";" }]
+   A command word found in `aliases` is replaced by its tokens, so an alias
+   can hold pipes and ;. As in bash, a name is never expanded again inside
+   its own expansion (however deep), so an alias that calls itself runs the
+   command of that name instead of looping. */
+export function parse(line, aliases = {}) {
+  const script = [];
+  let pipeline = [], stage = null;
+  const unexpected = (op) => new SyntaxError(`syntax error near unexpected token \`${op ?? "newline"}'`);
+  const tokens = tokenize(line);
+  const within = new Map(); // spliced token -> the aliases it came out of
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    const name = stage ? null : bareName(t);
+    const outer = within.get(t);
+    if (name !== null && Object.hasOwn(aliases, name) && !outer?.has(name)) {
+      const spliced = tokenize(aliases[name]);
+      const names = new Set(outer).add(name);
+      for (const s of spliced) within.set(s, names);
+      tokens.splice(i--, 1, ...spliced);
+      continue;
+    }
+    if (t.parts || REDIRECTS.has(t.op)) {
+      if (!stage) stage = { words: [], redirects: [] };
+      if (t.parts) { stage.words.push(t); continue; }
+      const target = tokens[++i];
+      if (!target?.parts) throw unexpected(target?.op);
+      stage.redirects.push({ op: t.op, target });
+      continue;
+    }
+    if (!stage) throw unexpected(t.op);
+    pipeline.push(stage);
+    stage = null;
+    if (t.op !== "|") { script.push({ pipeline, then: t.op }); pipeline = []; }
+  }
+  if (stage) script.push({ pipeline: [...pipeline, stage], then: ";" });
+  else if (pipeline.length || (script.length && script.at(-1).then !== ";")) throw unexpected();
+  return script;
+}
+
+// what a word says, quotes removed, before any expansion (for messages)
+export const wordText = (word) => word.parts.map((p) => p.text).join("");
+
+// $NAME, ${NAME} and $? from `vars`; unset ones are empty
+const VAR = /\$(?:\{(\w+|\?)\}|(\w+|\?))/g;
+export const expandVars = (text, vars) => text.replace(VAR, (m, braced, bare) => vars[braced ?? bare] ?? "");
+
+/* A word's arguments: $variables outside single quotes, bare ~ is home,
+   and bare glob characters match paths (sorted; a glob that matches
+   nothing stays as typed, like bash). A variable's value is used as is:
+   it isn't split into words or globbed, as in zsh. A bare word that comes
+   out empty ($UNSET) is no argument at all. */
+export async function expandWord(word, { cwd, vars = {} }) {
+  let text = "", glob = false;
+  word.parts.forEach(({ text: t, quote }, i) => {
+    if (quote === "'") { text += t; return; }
+    if (!quote && i === 0 && (t === "~" || t.startsWith("~/"))) t = HOME + t.slice(1);
+    if (!quote && isGlob(t.replace(VAR, ""))) glob = true;
+    text += expandVars(t, vars);
+  });
+  if (!text && word.parts.every((p) => p.quote === null)) return [];
+  if (!glob) return [text];
+  const matches = await fs.glob(text, cwd);
+  return matches.length ? matches : [text];
+}
+
+/* `-la`-style flags and the words that aren't flags. Flags stop at "--";
+   "-" alone is a word. `bad` is the first letter not in `known`. */
+export function parseFlags(words, known) {
+  const flags = new Set();
+  const operands = [];
+  let bad = null, done = false;
+  for (const w of words) {
+    if (done || !w.startsWith("-") || w === "-") operands.push(w);
+    else if (w === "--") done = true;
+    else for (const f of w.slice(1)) { if (known.includes(f)) flags.add(f); else bad ??= f; }
+  }
+  return { flags, operands, bad };
+}
+
+// A command that takes the flags in `known`; an unknown one stops it (status 2).
+export const withFlags = (cmd, known, run) => (args, io) => {
+  const { flags, operands, bad } = parseFlags(args, known);
+  if (bad) { io.error(`${cmd}: invalid option -- '${bad}'`); return 2; }
+  return run(flags, operands, io);
+};
+
+// NAME=value -> ["NAME", "value"], or null if the word isn't an assignment
+export const assignment = (word) => {
+  const m = /^([A-Za-z_]\w*)=(.*)$/s.exec(word);
+  return m && [m[1], m[2]];
+};
+// 'it'\''s': a value quoted so that the shell reads it back unchanged
+export const shellQuote = (text) => `'${text.replace(/'/g, "'\\''")}'`;
+
+// "a\nb\n" <-> ["a", "b"]: output is kept as lines, text ends with a newline
+export const splitLines = (text) => (text ? text.replace(/\n$/, "").split("\n") : []);
+const joinLines = (lines) => (lines.length ? `${lines.join("\n")}\n` : "");
+const asLines = (t) => (Array.isArray(t) ? t : [t]).map(String);
+
+/* Runs a parsed script. `sh` is the terminal:
+     cwd                  where relative paths start (read on every stage, so cd && ls works)
+     expand(word)         a word's arguments (expandWord plus whatever the terminal adds)
+     run(argv, io)        runs one command; resolves to its exit status
+     exited(status)       told each pipeline's status, for $?
+     print(t), error(t)   the screen
+   A command fails when it returns a non-zero number or writes to stderr.
+   Resolves to the last status, like $?. */
+export async function runScript(script, sh) {
+  let status = 0;
+  for (const [i, { pipeline }] of script.entries()) {
+    const after = script[i - 1]?.then ?? ";";
+    if ((after === "&&" && status !== 0) || (after === "||" && status === 0)) continue;
+    status = await runPipeline(pipeline, sh);
+    sh.exited(status);
+  }
+  return status;
+}
+
+/* A script file: each line parsed when it's reached, so an alias defined
+   on one line works on the next. `sh` is as above, plus `aliases`. A line
+   that doesn't parse is reported as "name: line N" and skipped. */
+export async function runFile(text, sh, name) {
+  let status = 0;
+  for (const [n, line] of text.split("\n").entries()) {
+    let script;
+    try {
+      script = parse(line, sh.aliases);
+    } catch (err) {
+      sh.error(`sh: ${name}: line ${n + 1}: ${err.message}`);
+      status = 2;
+      continue;
+    }
+    if (script.length) status = await runScript(script, sh);
+  }
+  return status;
+}
+
+/* PS1 -> the prompt. \u user, \h host (to the first dot), \H all of it,
+   \w the working directory (~ for home), \W its last part, \$ "$",
+   \t HH:MM:SS, \A HH:MM, \d "Mon Oct 19", \\ a backslash; then $VARs. */
+export function expandPrompt(ps1, { vars, cwd }) {
+  const now = new Date();
+  const ESCAPES = {
+    u: () => vars.USER ?? "",
+    h: () => (vars.HOSTNAME ?? "").split(".")[0],
+    H: () => vars.HOSTNAME ?? "",
+    w: () => displayPath(cwd),
+    W: () => (cwd === HOME ? "~" : basename(cwd) || "/"),
+    $: () => "$",
+    t: () => now.toTimeString().slice(0, 8),
+    A: () => now.toTimeString().slice(0, 5),
+    d: () => now.toDateString().slice(0, 10),
+    "\\": () => "\\",
+  };
+  const text = ps1.replace(/\\(.)/g, (m, ch) => (Object.hasOwn(ESCAPES, ch) ? ESCAPES[ch]() : m));
+  return expandVars(text, vars);
+}
+
+async function runPipeline(stages, sh) {
+  let piped = null, status = 0;
+  for (const [i, stage] of stages.entries()) {
+    const argv = [];
+    for (const w of stage.words) argv.push(...(await sh.expand(w)));
+
+    let stdin = piped, file = null;
+    for (const { op, target } of stage.redirects) {
+      const [name, ...extra] = await sh.expand(target);
+      if (!name || extra.length) { sh.error(`sh: ${wordText(target)}: ambiguous redirect`); return 1; }
+      const path = resolvePath(name, sh.cwd);
+      try {
+        if (op === "<") stdin = await fs.readFile(path);
+        else {
+          // > empties the file before the command runs, like every shell
+          await fs.writeFile(path, "", { append: op === ">>" });
+          file = { path, name };
+        }
+      } catch (err) {
+        sh.error(`sh: ${name}: ${err.reason ?? err.message}`);
+        return 1;
+      }
+    }
+
+    const captured = file || i < stages.length - 1 ? [] : null;
+    let failed = false;
+    const stdout = {
+      isTTY: !captured,
+      write: (t) => { if (captured) captured.push(...asLines(t)); else sh.print(t); },
+    };
+    const stderr = { write: (t) => { failed = true; sh.error(t); } };
+    const io = {
+      stdin: { isTTY: stdin === null, read: () => stdin ?? "" },
+      stdout, stderr, print: stdout.write, error: stderr.write,
+    };
+    const code = argv.length ? await sh.run(argv, io) : 0;
+    status = typeof code === "number" ? code : failed ? 1 : 0;
+
+    if (!file) { piped = captured && joinLines(captured); continue; }
+    piped = ""; // the next stage gets nothing, the file got it all
+    try {
+      await fs.appendFile(file.path, joinLines(captured));
+    } catch (err) {
+      sh.error(`sh: ${file.name}: ${err.reason ?? err.message}`);
+      status = 1;
+    }
+  }
+  return status;
+}
@@ -0,0 +1,133 @@
+import { fs } from "../../os/fs";
+import { resolvePath } from "../../os/path";
+import { splitLines, withFlags } from "./shell";
+
+/* ======================== Terminal: text filters ===========================
+   grep, wc, head, tail, sort, uniq and tr: the pipe end of the shell. Each
+   reads the files it's given, or stdin when there are none (or "-"), and
+   writes lines to stdout. `sh` is the terminal ({ cwd }); commands are
+   (args, io) as in shell.js. */
+const why = (err) => err.reason ?? err.message;
+
+export function textCommands(sh) {
+  // [{ name, text }] for each readable input; unreadable ones are reported
+  const inputs = async (cmd, files, io) => {
+    if (!files.length && io.stdin.isTTY) {
+      io.error(`${cmd}: no input: pipe something in or name a file`);
+      return [];
+    }
+    const out = [];
+    for (const name of files.length ? files : ["-"]) {
+      if (name === "-") { out.push({ name: "(standard input)", text: io.stdin.read() }); continue; }
+      try { out.push({ name, text: await fs.readFile(resolvePath(name, sh.cwd)) }); } catch (err) { io.error(`${cmd}: ${name}: ${why(err)}`); }
+    }
+    return out;
+  };
+  const allLines = async (cmd, files, io) => (await inputs(cmd, files, io)).flatMap(({ text }) => splitLines(text));
+
+  // grep exits 1 when nothing matched, 2 on a bad pattern, like the real one
+  const grep = withFlags("grep", "ivnc", async (flags, [pattern, ...files], io) => {
+    if (pattern === undefined) { io.error("usage: grep [-ivnc] <pattern> [file…]"); return 2; }
+    let re;
+    try { re = new RegExp(pattern, flags.has("i") ? "i" : ""); } catch { io.error(`grep: invalid pattern '${pattern}'`); return 2; }
+    const sources = await inputs("grep", files, io);
+    let hits = 0;
+    for (const { name, text } of sources) {
+      const prefix = sources.length > 1 ? `${name}:` : "";
+      const matched = splitLines(text).map((line, n) => [line, n + 1]).filter(([line]) => re.test(line) !== flags.has("v"));
+      hits += matched.length;
+      if (flags.has("c")) io.print(`${prefix}${matched.length}`);
+      else io.print(matched.map(([line, n]) => `${prefix}${flags.has("n") ? `${n}:` : ""}${line}`));
+    }
+    return hits ? 0 : 1;
+  });
+
+  const wc = withFlags("wc", "lwc", async (flags, files, io) => {
+    const pick = flags.size ? ["l", "w", "c"].filter((f) => flags.has(f)) : ["l", "w", "c"];
+    const rows = (await inputs("wc", files, io)).map(({ name, text }) => ({
+      l: (text.match(/\n/g) ?? []).length,
+      w: text.split(/\s+/).filter(Boolean).length,
+      c: new TextEncoder().encode(text).length,
+      name: files.length ? name : "",
+    }));
+    const sum = (f) => rows.reduce((t, r) => t + r[f], 0);
+    if (rows.length > 1) rows.push({ l: sum("l"), w: sum("w"), c: sum("c"), name: "total" });
+    // one number alone isn't padded; columns line up on the widest
+    const width = rows.length > 1 || pick.length > 1 ? Math.max(...rows.flatMap((r) => pick.map((f) => String(r[f]).length))) : 0;
+    io.print(rows.map((r) => [...pick.map((f) => String(r[f]).padStart(width)), r.name].join(" ").trimEnd()));
+  });
+
+  // head/tail: -n 5, -n5 or -5 (10 by default)
+  const lineCount = (cmd, args, io) => {
+    let n = 10;
+    const files = [];
+    for (let i = 0; i < args.length; i++) {
+      const a = args[i];
+      const value = a === "-n" ? args[++i] : a.startsWith("-n") ? a.slice(2) : /^-\d+$/.test(a) ? a.slice(1) : null;
+      if (value === null) { files.push(a); continue; }
+      if (!/^\d+$/.test(value ?? "")) { io.error(`${cmd}: invalid number of lines: '${value ?? ""}'`); return null; }
+      n = Number(value);
+    }
+    return { n, files };
+  };
+  const head = async (args, io) => {
+    const opts = lineCount("head", args, io);
+    if (opts) io.print((await allLines("head", opts.files, io)).slice(0, opts.n));
+  };
+  const tail = async (args, io) => {
+    const opts = lineCount("tail", args, io);
+    if (opts) io.print(opts.n ? (await allLines("tail", opts.files, io)).slice(-opts.n) : []);
+  };
+
+  const sort = withFlags("sort", "rnu", async (flags, files, io) => {
+    const number = (line) => parseFloat(line) || 0;
+    let lines = (await allLines("sort", files, io)).sort(flags.has("n") ? (a, b) => number(a) - number(b) || a.localeCompare(b) : (a, b) => a.localeCompare(b));
+    if (flags.has("u")) lines = lines.filter((line, i) => line !== lines[i - 1]);
+    io.print(flags.has("r") ? lines.reverse() : lines);
+  });
+
+  // adjacent repeats only, so it's usually sort | uniq
+  const uniq = withFlags("uniq", "cd", async (flags, files, io) => {
+    const runs = [];
+    for (const line of await allLines("uniq", files, io)) {
+      if (runs.length && runs.at(-1)[0] === line) runs.at(-1)[1]++;
+      else runs.push([line, 1]);
+    }
+    io.print(runs.filter(([, n]) => !flags.has("d") || n > 1).map(([line, n]) => (flags.has("c") ? `${String(n).padStart(7)} ${line}` : line)));
+  });
+
+  const tr = withFlags("tr", "d", async (flags, [from, to], io) => {
+    const del = flags.has("d");
+    if (from === undefined || (!del && to === undefined)) { io.error("usage: tr [-d] <set1> [set2]"); return 1; }
+    if (io.stdin.isTTY) { io.error("tr: no input: pipe something in"); return 1; }
+    const a = charSet(from), b = charSet(to ?? "");
+    const text = [...io.stdin.read()].flatMap((ch) => {
+      const i = a.indexOf(ch);
+      if (i < 0) return [ch];
+      return del ? [] : [b[Math.min(i, b.length - 1)]];
+    }).join("");
+    io.print(splitLines(text));
+  });
+
+  return { grep, wc, head, tail, sort, uniq, tr };
+}
+
+/* tr's sets: a-z ranges, [:lower:]-style classes and \n \t \\ escapes,
+   spelled out into a list of characters. */
+const CLASSES = {
+  lower: "a-z", upper: "A-Z", alpha: "a-zA-Z", digit: "0-9", alnum: "a-zA-Z0-9", space: " \\t\\n",
+};
+function charSet(spec) {
+  const src = spec.replace(/\[:(\w+):\]/g, (m, name) => CLASSES[name] ?? m);
+  const chars = [];
+  for (let i = 0; i < src.length; i++) {
+    let ch = src[i];
+    if (ch === "\\" && i + 1 < src.length) ch = { n: "\n", t: "\t" }[src[++i]] ?? src[i];
+    if (src[i + 1] === "-" && i + 2 < src.length) {
+      const end = src.charCodeAt(i + 2);
+      for (let c = ch.charCodeAt(0); c <= end; c++) chars.push(String.fromCharCode(c));
+      i += 2;
+    } else chars.push(ch);
+  }
+  return chars;
+}
@@ -0,0 +1,341 @@
+import React from "react";
+import { borderCol } from "../../os/styles";
+import { useWindowKeys } from "../../os/keyboard";
+import { useAppActions } from "../../os/bus";
+import { currentTheme } from "../../os/theme";
+
+/* ===================== TRON 2D — Player vs Computer ====================== */
+/* Arrow keys to steer. Space = pause, Enter = reset. Keys only reach the game
+   while its window is focused. The arena scales with the window.
+   Launch args: arena = S|M|L (or small/medium/large), speed = 1..12. */
+const arenaFrom = (a) => ({ s: "S", small: "S", m: "M", medium: "M", l: "L", large: "L" })[String(a?.arena).toLowerCase()];
+const speedFrom = (a) => { const v = Math.round(Number(a?.speed)); return v >= 1 && v <= 12 ? v : undefined; };
+
+export default function Tron2DApp({ playSfx, args }) {
+  // UI
+  const [running, setRunning] = React.useState(false);
+  const [winner, setWinner]   = React.useState(null); // null | "You win!" | "Computer wins" | "Draw"
+  const [arena, setArena]     = React.useState(() => arenaFrom(args) ?? "M");  // S/M/L
+  const [speed, setSpeed]     = React.useState(() => speedFrom(args) ?? 8);    // 1..12 faster
+
+  // relaunched with new args while already open
+  const [launchArgs, setLaunchArgs] = React.useState(args);
+  if (args !== launchArgs) {
+    setLaunchArgs(args);
+    if (arenaFrom(args)) setArena(arenaFrom(args));
+    if (speedFrom(args)) setSpeed(speedFrom(args));
+  }
+
+  // requests from other apps: tell tron start arena=L
+  useAppActions({
+    start: (a) => { if (arenaFrom(a)) setArena(arenaFrom(a)); if (speedFrom(a)) setSpeed(speedFrom(a)); setWinner(null); setRunning(true); },
+    pause: () => setRunning(false),
+  });
+
+  // grid size from arena
+  const { cols, rows } = React.useMemo(() => {
+    if (arena === "S") return { cols: 28, rows: 20 };
+    if (arena === "L") return { cols: 48, rows: 32 };
+    return { cols: 36, rows: 26 }; // M
+  }, [arena]);
+
+  // canvas + sizing
+  const wrapRef   = React.useRef(null);
+  const canvasRef = React.useRef(null);
+  const ctxRef    = React.useRef(null);
+  const cellSizeRef = React.useRef(12); // px, computed on resize
+
+  // game state (in refs so RAF doesn’t re-render)
+  const worldRef = React.useRef(null);  // Uint8Array len cols*rows: 0 empty, 1 P1, 2 P2
+  const p1Ref    = React.useRef(null);  // {x,y,dir:[dx,dy]}
+  const p2Ref    = React.useRef(null);
+  const lastT    = React.useRef(0);
+  const accum    = React.useRef(0);
+  const rafRef   = React.useRef(0);
+
+  const idx = (x,y)=> y*cols + x;
+  const inb = (x,y)=> x>=0 && x<cols && y>=0 && y<rows;
+  const isRev = (a,b)=> a[0]===-b[0] && a[1]===-b[1];
+
+  // ==== build / rebuild when arena changes =================================
+  React.useEffect(() => {
+    // init world + players
+    const world = new Uint8Array(cols*rows); world.fill(0);
+    worldRef.current = world;
+    const mid = (rows/2)|0;
+    p1Ref.current = { x: 2,       y: mid, dir: [1,0] };      // human →
+    p2Ref.current = { x: cols-3,  y: mid, dir: [-1,0] };     // AI     ←
+    world[idx(p1Ref.current.x, p1Ref.current.y)] = 1;
+    world[idx(p2Ref.current.x, p2Ref.current.y)] = 2;
+
+    // canvas
+    const cnv = canvasRef.current;
+    const ctx = cnv.getContext("2d");
+    ctxRef.current = ctx;
+
+    const resize = () => {
+      const wrap = wrapRef.current;
+      if (!wrap) return;
+      // fit canvas to wrapper with square cells
+      const W = wrap.clientWidth - 8;             // padding fudge
+      const H = wrap.clientHeight - 8;
+      const cs = Math.max(4, Math.floor(Math.min(W/cols, H/rows)));
+      cellSizeRef.current = cs;
+      cnv.width  = cols * cs;
+      cnv.height = rows * cs;
+      drawAll(); // redraw after size change
+    };
+    resize();
+    const ro = new ResizeObserver(resize);
+    ro.observe(wrapRef.current);
+
+    // loop
+    lastT.current = 0; accum.current = 0;
+    const loop = (t) => {
+      rafRef.current = requestAnimationFrame(loop);
+      const now = t*0.001;
+      const dt = lastT.current ? (now - lastT.current) : 0;
+      lastT.current = now;
+      const stepTime = lerp(0.24, 0.06, (speed-1)/11); // seconds
+      if (running && !winner) {
+        accum.current += dt;
+        while (accum.current >= stepTime) {
+          accum.current -= stepTime;
+          stepOnce();
+        }
+      }
+      drawAll();
+    };
+    rafRef.current = requestAnimationFrame(loop);
+
+    return () => {
+      cancelAnimationFrame(rafRef.current);
+      ro.disconnect();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cols, rows]); // rebuild when arena size changes
+
+  // if speed/running changes we don't need to rebuild; loop reads state by ref
+
+  // keys (routed by the OS to the focused window only)
+  useWindowKeys((e) => {
+    let handled = false;
+    const p1 = p1Ref.current;
+    switch (e.key) {
+      case "ArrowUp":    if(!isRev(p1.dir,[0,-1])) p1.dir=[0,-1], handled=true; break;
+      case "ArrowDown":  if(!isRev(p1.dir,[0, 1])) p1.dir=[0, 1], handled=true; break;
+      case "ArrowLeft":  if(!isRev(p1.dir,[-1,0])) p1.dir=[-1,0], handled=true; break;
+      case "ArrowRight": if(!isRev(p1.dir,[1, 0])) p1.dir=[1, 0], handled=true; break;
+      case " ": setRunning(r=>!r); handled=true; break;
+      case "Enter": reset(); handled=true; break;
+      default: break;
+    }
+    if (handled) e.preventDefault();
+  });
+
+  const lerp = (a,b,t)=> a+(b-a)*t;
+
+  // ==== AI (flood fill area heuristic, prefer straight) =====================
+  const aiChoose = () => {
+    const world = worldRef.current, p2 = p2Ref.current, cur = p2.dir;
+    const opts = [cur, [cur[1],-cur[0]], [-cur[1],cur[0]]]; // straight, right, left
+    let best = cur, bestScore = -Infinity;
+    for (const d of opts) {
+      const nx = p2.x + d[0], ny = p2.y + d[1];
+      if (!inb(nx,ny)) continue;
+      if (world[idx(nx,ny)] !== 0) continue;
+      const area = floodScore(nx, ny, world, cols, rows);
+      const straight = (d[0]===cur[0] && d[1]===cur[1]) ? 1.05 : 1.0;
+      const s = area * straight;
+      if (s > bestScore) { bestScore = s; best = d; }
+    }
+    if (bestScore === -Infinity) {
+      // emergency pick any non-reverse open dir
+      const dirs = [[1,0],[-1,0],[0,1],[0,-1]];
+      for (const d of dirs) {
+        if (isRev(cur,d)) continue;
+        const nx = p2.x+d[0], ny = p2.y+d[1];
+        if (inb(nx,ny) && world[idx(nx,ny)]===0) { best=d; break; }
+      }
+    }
+    p2.dir = best;
+  };
+
+  function floodScore(sx, sy, world, C, R) {
+    const N = C*R;
+    const qx = new Int16Array(N), qy = new Int16Array(N);
+    const seen = new Uint8Array(N);
+    let qs=0, qe=0, count=0;
+    const push = (x,y)=>{
+      if(x<0||x>=C||y<0||y>=R) return;
+      const k = y*C+x;
+      if (seen[k]) return;
+      if (world[k]!==0 && !(x===sx&&y===sy)) return;
+      seen[k]=1; qx[qe]=x; qy[qe]=y; qe++;
+    };
+    push(sx,sy);
+    const LIMIT = Math.min(N, 600);
+    while(qs<qe && count<LIMIT){
+      const x=qx[qs], y=qy[qs]; qs++; count++;
+      push(x+1,y); push(x-1,y); push(x,y+1); push(x,y-1);
+    }
+    // light center bias
+    const cx=C/2, cy=R/2, d=Math.abs(sx-cx)+Math.abs(sy-cy);
+    return count*(1/(1+d*0.2));
+  }
+
+  // ==== single game step ====================================================
+  const stepOnce = () => {
+    aiChoose();
+
+    const world = worldRef.current, p1=p1Ref.current, p2=p2Ref.current;
+
+    const n1 = { x: p1.x + p1.dir[0], y: p1.y + p1.dir[1] };
+    const n2 = { x: p2.x + p2.dir[0], y: p2.y + p2.dir[1] };
+
+    let c1 = !inb(n1.x,n1.y) || world[idx(n1.x,n1.y)]!==0;
+    let c2 = !inb(n2.x,n2.y) || world[idx(n2.x,n2.y)]!==0;
+
+    if (!c1 && !c2 && n1.x===n2.x && n1.y===n2.y) { c1=c2=true; }
+
+    if (c1 || c2) {
+      setRunning(false);
+      setWinner(c1 && c2 ? "Draw" : c2 ? "You win!" : "Computer wins");
+      playSfx?.("boom");
+      return;
+    }
+
+    // commit
+    p1.x=n1.x; p1.y=n1.y; world[idx(p1.x,p1.y)]=1;
+    p2.x=n2.x; p2.y=n2.y; world[idx(p2.x,p2.y)]=2;
+  };
+
+  // ==== drawing =============================================================
+  const drawAll = () => {
+    const ctx = ctxRef.current; if (!ctx) return;
+    const world = worldRef.current, cs = cellSizeRef.current;
+    const theme = currentTheme(); // you in neon, the computer in neon2
+
+    // clear
+    ctx.fillStyle = "rgba(0,0,0,0.9)";
+    ctx.fillRect(0,0,ctx.canvas.width,ctx.canvas.height);
+
+    // grid
+    ctx.strokeStyle = `${theme.neon}40`;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x=0; x<=cols; x++){ ctx.moveTo(x*cs+0.5, 0); ctx.lineTo(x*cs+0.5, rows*cs); }
+    for (let y=0; y<=rows; y++){ ctx.moveTo(0, y*cs+0.5); ctx.lineTo(cols*cs, y*cs+0.5); }
+    ctx.stroke();
+
+    // trails
+    for (let y=0;y<rows;y++){
+      for (let x=0;x<cols;x++){
+        const v = world[idx(x,y)];
+        if (v===0) continue;
+        ctx.fillStyle = `${v===1 ? theme.neon : theme.neon2}22`;
+        ctx.fillRect(x*cs+1, y*cs+1, cs-2, cs-2);
+      }
+    }
+
+    // heads
+    const heads = [
+      { p: p1Ref.current, cFill:theme.neon, cStroke:theme.accent[200] },
+      { p: p2Ref.current, cFill:theme.neon2, cStroke:theme.fg },
+    ];
+    heads.forEach(({p,cFill,cStroke})=>{
+      const cx = p.x*cs + cs/2, cy = p.y*cs + cs/2, r = Math.max(3, cs*0.35);
+      ctx.beginPath(); ctx.arc(cx,cy,r,0,Math.PI*2);
+      ctx.fillStyle = cFill; ctx.fill();
+      ctx.lineWidth = 2; ctx.strokeStyle = cStroke; ctx.stroke();
+      // direction “glow”
+      const dx=p.dir[0], dy=p.dir[1];
+      ctx.beginPath(); ctx.arc(cx+dx*r*0.6, cy+dy*r*0.6, Math.max(2,cs*0.12),0,Math.PI*2);
+      ctx.fillStyle = cStroke; ctx.fill();
+    });
+
+    // winner overlay
+    if (winner){
+      ctx.fillStyle = "rgba(0,0,0,0.55)";
+      ctx.fillRect(0,0,ctx.canvas.width,ctx.canvas.height);
+      ctx.fillStyle=theme.fg; ctx.font = `bold ${Math.floor(cs*1.2)}px monospace`;
+      ctx.textAlign="center"; ctx.textBaseline="middle";
+      ctx.fillText(winner, ctx.canvas.width/2, ctx.canvas.height/2);
+    }
+  };
+
+  // ==== reset ===============================================================
+  const reset = () => {
+    const world = new Uint8Array(cols*rows); world.fill(0);
+    worldRef.current = world;
+    const mid = (rows/2)|0;
+    p1Ref.current = { x: 2,       y: mid, dir:[1,0] };
+    p2Ref.current = { x: cols-3,  y: mid, dir:[-1,0] };
+    world[idx(p1Ref.current.x,p1Ref.current.y)] = 1;
+    world[idx(p2Ref.current.x,p2Ref.current.y)] = 2;
+    lastT.current=0; accum.current=0;
+    setWinner(null);
+    setRunning(false);
+    drawAll();
+    playSfx?.("open");
+  };
+
+  // first draw once wrapper has height
+  React.useEffect(()=>{ const id=setTimeout(drawAll,0); return ()=>clearTimeout(id); },[cols,rows]);
+
+  return (
+    <div className="flex h-full flex-col gap-3">
+      {/* HUD */}
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">
+          Arena
+          <select
+            value={arena}
+            onChange={(e)=>setArena(e.target.value)}
+            className={`rounded-md border ${borderCol} bg-black/60 px-2 py-1`}
+          >
+            <option value="S">Small</option>
+            <option value="M">Medium</option>
+            <option value="L">Large</option>
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2">
+          Speed
+          <input type="range" min="1" max="12" step="1" value={speed} onChange={(e)=>setSpeed(Number(e.target.value))}/>
+          <span className="w-6 text-right">{speed}</span>
+        </label>
+
+        <button
+          className={`rounded-md border ${borderCol} bg-black/60 px-3 py-1 hover:bg-accent-400/10`}
+          onClick={()=>{ setWinner(null); setRunning(r=>!r); playSfx?.("menu"); }}
+        >
+          {running ? "Pause" : "Start"}
+        </button>
+
+        <button
+          className={`rounded-md border ${borderCol} bg-black/60 px-3 py-1 hover:bg-accent-400/10`}
+          onClick={reset}
+        >
+          Reset
+        </button>
+
+        <div className="ml-auto text-accent-300/80">
+          You: ⬆ ⬇ ⬅ ➡ &nbsp;•&nbsp; Space: pause &nbsp;•&nbsp; Enter: reset
+        </div>
+      </div>
+
+      {/* Canvas wrapper — fills the window so there's NO inner scroll */}
+      <div
+        ref={wrapRef}
+        className="relative min-h-[240px] flex-1 rounded-md border border-accent-400/30 bg-black/40 overscroll-none"
+      >
+        <canvas ref={canvasRef} className="absolute left-0 top-0" />
+      </div>
+
+      <div className="text-xs opacity-70">
+        Keep moving; your trail becomes a wall. Crash = lose. Head-on = draw. Arrow keys steer whenever this window is on top.
+      </div>
+    </div>
+  );
+}
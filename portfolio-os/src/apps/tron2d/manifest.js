@@ -0,0 +1,15 @@
+const ICON =
+  'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 40" width="64" height="40" fill="none" stroke="%2300ff7f" stroke-width="1.5"><rect x="2" y="6" width="60" height="28" rx="6" fill="%2300ff7f10"/><path d="M10 26h12l6-8h16l10 8"/><circle cx="22" cy="26" r="3"/><circle cx="50" cy="26" r="3"/></svg>';
+
+export default {
+  id: "tron2d",
+  title: "TRON 2D",
+  icon: ICON,
+  type: "game",
+  size: { w: 820, h: 620 },
+  keywords: ["tron", "light cycle", "game"],
+  aliases: ["tron"],
+  params: ["arena"],
+  order: 100,
+  load: () => import("./Tron2DApp.jsx"),
+};
@@ -0,0 +1,79 @@
+import { useEffect, useState } from "react";
+import { borderCol } from "../../os/styles";
+import { EVENTS, useBus } from "../../os/bus";
+import { fs } from "../../os/fs";
+import { basename, dirname, displayPath, resolvePath } from "../../os/path";
+import { fileType } from "../../os/fileTypes";
+import { useWindowKeys } from "../../os/keyboard";
+
+/* ============================== Image Viewer ===============================
+   Shows the image at launch arg `path`. Images either live at a URL (seed
+   photos, see fsSeed.js) or are SVG text saved in the filesystem. ←/→ step
+   through the other images in the same folder; F or 0 toggles fit/actual
+   size. */
+const isImage = (entry) => entry.type !== "dir" && fileType(entry).kind === "image";
+
+async function imageSrc(path) {
+  const stat = await fs.stat(path);
+  if (stat.url) return stat.url;
+  const text = await fs.readFile(path);
+  if (!text.trimStart().startsWith("<svg")) throw new Error(`${basename(path)}: not an image this viewer can read`);
+  return `data:image/svg+xml,${encodeURIComponent(text)}`;
+}
+
+export default function ViewerApp({ args }) {
+  const [path, setPath] = useState(() => (args?.path ? resolvePath(args.path) : null));
+  const [src, setSrc] = useState(null);
+  const [error, setError] = useState(null);
+  const [siblings, setSiblings] = useState([]);
+  const [fit, setFit] = useState(true);
+  const [tick, setTick] = useState(0);
+
+  const [launchArgs, setLaunchArgs] = useState(args);
+  if (args !== launchArgs) {
+    setLaunchArgs(args);
+    if (args?.path) setPath(resolvePath(args.path));
+  }
+
+  useEffect(() => {
+    if (!path) return;
+    let live = true;
+    imageSrc(path).then(
+      (url) => { if (live) { setSrc(url); setError(null); } },
+      (err) => { if (live) { setSrc(null); setError(err.reason ? `${displayPath(path)}: ${err.reason}` : err.message); } });
+    fs.readdir(dirname(path)).then(
+      (list) => { if (live) setSiblings(list.filter(isImage).map((e) => e.path).sort()); },
+      () => { if (live) setSiblings([]); });
+    return () => { live = false; };
+  }, [path, tick]);
+  useBus(EVENTS.FS_CHANGED, ({ paths }) => {
+    if (path && paths.some((p) => p === path || p === dirname(path))) setTick((n) => n + 1);
+  });
+
+  const at = siblings.indexOf(path);
+  const step = (d) => siblings.length > 1 && setPath(siblings[(Math.max(at, 0) + d + siblings.length) % siblings.length]);
+  useWindowKeys((e) => {
+    if (e.key === "ArrowLeft") step(-1);
+    else if (e.key === "ArrowRight") step(1);
+    else if (e.key === "f" || e.key === "0") setFit((f) => !f);
+  });
+
+  const btn = `rounded-md border ${borderCol} bg-black/60 px-2 py-0.5 hover:bg-accent-400/10 disabled:opacity-40`;
+  return (
+    <div className="flex h-full flex-col gap-2">
+      <div className="flex items-center gap-2">
+        <button className={btn} onClick={() => step(-1)} disabled={siblings.length < 2} aria-label="Previous image">←</button>
+        <button className={btn} onClick={() => step(1)} disabled={siblings.length < 2} aria-label="Next image">→</button>
+        <span className="min-w-0 flex-1 truncate text-accent-300">
+          {path ? displayPath(path) : "no image"}{at >= 0 && siblings.length > 1 ? ` (${at + 1}/${siblings.length})` : ""}
+        </span>
+        <button className={btn} onClick={() => setFit((f) => !f)} title="Fit / actual size (F)">{fit ? "100%" : "Fit"}</button>
+      </div>
+      <div className={`grid min-h-0 flex-1 place-items-center overflow-auto rounded-md border ${borderCol} bg-black/60`}>
+        {error ? <p className="p-3 text-red-400">{error}</p>
+          : !path ? <p className="p-3 opacity-60">Open an image from Files.</p>
+          : src && <img src={src} alt={basename(path)} draggable={false} className={fit ? "max-h-full max-w-full object-contain" : "max-w-none"} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+export default {
+  id: "viewer",
+  title: "Image Viewer",
+  icon: `${import.meta.env.BASE_URL}icons/viewer.svg`,
+  type: "app",
+  size: { w: 560, h: 460 },
+  keywords: ["images", "photos", "pictures"],
+  aliases: ["eog", "photos"],
+  params: ["path"],
+  order: 120,
+  load: () => import("./ViewerApp.jsx"),
+};
@@ -0,0 +1,116 @@
+import { useCallback, useContext, useEffect, useRef, useState, useMemo } from "react";
+import { logSystem } from "./syslog";
+import { rainColor, runRain } from "./matrixRain";
+import { useSettings } from "./settings";
+import { useTheme } from "./theme";
+import { WALLPAPERS, canRun3D, mountScene } from "../wallpapers";
+import { SafeMode, canRenderOffThread, useBackdropPause } from "./hooks";
+
+/* ========================= Matrix background ==============================
+   The rain (os/matrixRain.js) draws in a worker on an OffscreenCanvas, or on
+   the page where that isn't available or the worker fails. The 3D
+   wallpapers (src/wallpapers) sit in the same spot and fall back to it. */
+// A fresh canvas every time: a canvas handed to a worker can't be taken back.
+function mountRain(host, offThread, opts, onWorkerError) {
+  const canvas = document.createElement("canvas");
+  canvas.className = "block h-full w-full";
+  host.appendChild(canvas);
+  let worker = null;
+  if (offThread) {
+    try {
+      worker = new Worker(new URL("./matrixRain.worker.js", import.meta.url), { type: "module" });
+    } catch (err) {
+      logSystem("matrix", `no render worker (${err?.message || err}), drawing on the page`, "warn");
+    }
+  }
+  if (!worker) {
+    const loop = runRain(canvas.getContext("2d", { alpha: false }), opts);
+    return { ...loop, stop: () => { loop.stop(); canvas.remove(); } };
+  }
+  const offscreen = canvas.transferControlToOffscreen();
+  worker.onerror = (e) => { e.preventDefault(); onWorkerError(e.message); };
+  worker.postMessage({ type: "init", canvas: offscreen, opts }, [offscreen]);
+  return {
+    resize: (width, height, dpr) => worker.postMessage({ type: "resize", width, height, dpr }),
+    configure: (opts) => worker.postMessage({ type: "configure", opts }),
+    set: (opts) => worker.postMessage({ type: "set", opts }),
+    stop: () => { worker.terminate(); canvas.remove(); },
+  };
+}
+
+function MatrixBackground({ hidden, covered }) {
+  const hostRef = useRef(null);
+  const [loop, setLoop] = useState(null);
+  const [offThread, setOffThread] = useState(canRenderOffThread);
+  const settingsRain = useSettings("rain");
+  const { neon } = useTheme();
+  const rain = useMemo(() => ({ ...settingsRain, color: rainColor(settingsRain.color, neon) }), [settingsRain, neon]);
+  const rainRef = useRef(rain);
+
+  useEffect(() => {
+    if (hidden) return;
+    const loop = mountRain(hostRef.current, offThread, rainRef.current, (msg) => {
+      logSystem("matrix", `render worker failed (${msg || "unknown error"}), drawing on the page`, "warn");
+      setOffThread(false);
+    });
+    const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
+    const resize = () => loop.resize(window.innerWidth, window.innerHeight, dpr);
+    resize();
+    setLoop(loop);
+    window.addEventListener("resize", resize);
+    return () => { loop.stop(); setLoop(null); window.removeEventListener("resize", resize); };
+  }, [hidden, offThread]);
+
+  // settings changes apply live
+  useEffect(() => {
+    rainRef.current = rain;
+    loop?.configure(rain);
+  }, [loop, rain]);
+
+  useBackdropPause(loop, covered);
+
+  return <div ref={hostRef} className={`fixed inset-0 z-0 pointer-events-none bg-black ${hidden ? "hidden" : ""}`} />;
+}
+
+// A three.js wallpaper (src/wallpapers), tinted with the rain's color.
+function SceneBackground({ scene, hidden, covered, onFail }) {
+  const hostRef = useRef(null);
+  const [loop, setLoop] = useState(null);
+  const color = rainColor(useSettings("rain").color, useTheme().neon);
+  const colorRef = useRef(color);
+  const failRef = useRef(onFail);
+
+  useEffect(() => { failRef.current = onFail; colorRef.current = color; });
+  useEffect(() => {
+    if (hidden) return;
+    const loop = mountScene(hostRef.current, scene, { color: colorRef.current, onFail: (why) => failRef.current(why) });
+    setLoop(loop);
+    return () => { loop.stop(); setLoop(null); };
+  }, [hidden, scene]);
+  useEffect(() => { loop?.configure({ color }); }, [loop, color]);
+
+  useBackdropPause(loop, covered);
+
+  return <div ref={hostRef} className={`fixed inset-0 z-0 pointer-events-none bg-black ${hidden ? "hidden" : ""}`} />;
+}
+
+/* Picks the renderer for a WALLPAPERS scene. A 3D scene that can't run here,
+   or gives up (too slow, lost context), falls back to the rain for the rest
+   of the visit. */
+export function Backdrop({ scene, hidden, covered }) {
+  const safe = useContext(SafeMode);
+  const [failed, setFailed] = useState([]);
+  const fail = useCallback((why) => {
+    logSystem("wallpaper", `${scene}: ${why}, falling back to the rain`, "warn");
+    setFailed((f) => [...f, scene]);
+  }, [scene]);
+  const use3D = scene in WALLPAPERS && scene !== "rain" && !failed.includes(scene) && !safe && canRun3D();
+  return use3D
+    ? <SceneBackground scene={scene} hidden={hidden} covered={covered} onFail={fail} />
+    : <MatrixBackground hidden={hidden} covered={covered} />;
+}
+
+export function Wallpaper({ hidden, covered }) {
+  const { scene } = useSettings("wallpaper");
+  return <Backdrop scene={scene} hidden={hidden} covered={covered} />;
+}
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { formatSyslog } from "./syslog";
+import { updateSettings, useSettings } from "./settings";
+import { kernelLog } from "./boot";
+
+/* ================================== Boot ===================================
+   POST → GRUB → kernel log → desktop, on first load and after power-off.
+   Esc skips straight to the desktop; Settings → System (or S in the GRUB
+   menu) skips it on every load. Safe mode turns off animations and audio
+   until the next boot. */
+const POST_MS = 1400;
+const GRUB_TIMEOUT = 3; // seconds
+const KERNEL_LINE_MS = 35;
+const GRUB_ENTRIES = [
+  { title: "Sp8OS", safe: false },
+  { title: "Sp8OS (safe mode: no animations, no audio)", safe: true },
+];
+
+function PostScreen({ onDone }) {
+  const [kb, setKb] = useState(0);
+  const total = (window.navigator.deviceMemory ?? 8) * 1024 * 1024;
+  useEffect(() => {
+    const started = performance.now();
+    const t = setInterval(() => {
+      const p = Math.min(1, (performance.now() - started) / (POST_MS * 0.7));
+      setKb(Math.round(total * p));
+    }, 30);
+    const done = setTimeout(onDone, POST_MS);
+    return () => { clearInterval(t); clearTimeout(done); };
+  }, [total, onDone]);
+  return (
+    <div className="p-6 text-[14px] leading-6 text-gray-300">
+      <div>Sp8 Modular BIOS v1.07, An Energy Star Ally</div>
+      <div>Copyright (C) 2025, Sp8 Megatrends Inc.</div>
+      <div className="mt-4">CPU: {window.navigator.hardwareConcurrency ?? 1} x Browser Core @ requestAnimationFrame Hz</div>
+      <div>Memory Test: {kb} KB {kb >= total ? "OK" : ""}</div>
+      <div className="mt-4">Detecting storage... localStorage OK</div>
+      <div>Detecting display... {window.innerWidth}x{window.innerHeight}</div>
+      <div>Detecting input... keyboard, pointer</div>
+      <div className="mt-8">Press <span className="text-white">ESC</span> to skip the boot</div>
+    </div>
+  );
+}
+
+function GrubMenu({ onPick }) {
+  const [index, setIndex] = useState(0);
+  const [left, setLeft] = useState(GRUB_TIMEOUT); // null once a key stops the countdown
+  const { skip } = useSettings("boot");
+  useEffect(() => {
+    if (left === null) return;
+    if (left <= 0) { onPick(GRUB_ENTRIES[index]); return; }
+    const t = setTimeout(() => setLeft((l) => (l === null ? null : l - 1)), 1000);
+    return () => clearTimeout(t);
+  }, [left, index, onPick]);
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+        e.preventDefault();
+        setLeft(null);
+        setIndex((i) => (i + (e.key === "ArrowUp" ? -1 : 1) + GRUB_ENTRIES.length) % GRUB_ENTRIES.length);
+      } else if (e.key === "Enter") {
+        onPick(GRUB_ENTRIES[index]);
+      } else if (e.key === "s" || e.key === "S") {
+        setLeft(null);
+        updateSettings("boot", { skip: !skip });
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [index, skip, onPick]);
+  return (
+    <div className="flex h-full flex-col items-center justify-center gap-4 p-6 text-[14px] text-gray-300">
+      <div>GNU GRUB  version 2.12-sp8</div>
+      <div className="w-[min(640px,92vw)] border border-gray-400 p-1">
+        {GRUB_ENTRIES.map((entry, i) => (
+          <button
+            key={entry.title}
+            onClick={() => onPick(entry)}
+            onMouseEnter={() => { setLeft(null); setIndex(i); }}
+            className={`block w-full px-2 text-left ${i === index ? "bg-gray-300 text-black" : ""}`}
+          >
+            {entry.title}
+          </button>
+        ))}
+      </div>
+      <div className="w-[min(640px,92vw)] text-[12px] leading-5">
+        <div>Use ↑ and ↓ to select, Enter to boot. Esc skips the boot.</div>
+        <div>S: {skip ? "boot screen off for next visits (S again to keep it)" : "skip the boot screen on next visits"}</div>
+        {left !== null && <div>The highlighted entry will be executed automatically in {left}s.</div>}
+      </div>
+    </div>
+  );
+}
+
+function KernelLog({ log: { lines, t0 }, safe, onDone }) {
+  const [shown, setShown] = useState(safe ? lines.length : 0);
+  useEffect(() => {
+    if (shown >= lines.length) {
+      const t = setTimeout(onDone, 400);
+      return () => clearTimeout(t);
+    }
+    const t = setTimeout(() => setShown((n) => n + 1), KERNEL_LINE_MS);
+    return () => clearTimeout(t);
+  }, [shown, lines.length, onDone]);
+  return (
+    // pinned to the bottom, so older lines scroll off the top
+    <div className="flex h-full flex-col justify-end overflow-hidden p-4 text-[12px] leading-5 text-gray-300">
+      {lines.slice(0, shown).map((l, i) => (
+        <div key={i}>
+          {l.source === "systemd"
+            ? <>[  <span className="text-accent-400">OK</span>  ] {l.msg}</>
+            : formatSyslog({ t: t0 + i * 0.0137, level: "info", source: l.source, msg: l.msg })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function BootScreen({ getFacts, onDone }) {
+  const [phase, setPhase] = useState("post");
+  const [safe, setSafe] = useState(false);
+  const [log, setLog] = useState(null);
+  const toGrub = useCallback(() => setPhase("grub"), []);
+  const pick = useCallback((entry) => {
+    setSafe(entry.safe);
+    setLog({ lines: kernelLog({ ...getFacts(), safeMode: entry.safe }), t0: performance.now() / 1000 });
+    setPhase("kernel");
+  }, [getFacts]);
+  const finish = useCallback(() => onDone(safe), [onDone, safe]);
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === "Escape") { e.preventDefault(); onDone(false); } };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onDone]);
+  return (
+    <motion.div
+      className="fixed inset-0 z-[95] bg-black font-mono"
+      initial={{ opacity: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.8 }}
+    >
+      {phase === "post" && <PostScreen onDone={toGrub} />}
+      {phase === "grub" && <GrubMenu onPick={pick} />}
+      {phase === "kernel" && <KernelLog log={log} safe={safe} onDone={finish} />}
+    </motion.div>
+  );
+}
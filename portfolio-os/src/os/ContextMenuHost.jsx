@@ -0,0 +1,128 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { borderCol, frame } from "./styles";
+import { useStore } from "./store";
+import { closeContextMenu, contextMenu, selectContextMenu } from "./contextMenu";
+import { useOutsideClose } from "./hooks";
+
+/* ============================= Context menus ===============================
+   The one right-click menu (os/contextMenu.js), in a portal above
+   everything. ↑/↓ move, → or Enter opens a submenu, ← or Esc backs out of
+   one, Enter or Space picks and Esc on the top level closes; a press
+   outside, a resize or leaving the page closes it too. */
+const isPickable = (it) => it !== "-" && !it.disabled;
+
+function MenuList({ items, x, y, flipX, keyboard, onDone, onCancel, onBack }) {
+  const ref = useRef(null);
+  const [active, setActive] = useState(() => (keyboard ? items.findIndex(isPickable) : -1));
+  const [sub, setSub] = useState(null); // { index, x, y, flipX, keyboard }
+
+  // stay on screen: a submenu flips to its parent's left, anything else slides in
+  useLayoutEffect(() => {
+    const el = ref.current, r = el.getBoundingClientRect();
+    const left = x + r.width <= window.innerWidth ? x : flipX != null ? flipX - r.width : window.innerWidth - r.width;
+    el.style.left = `${Math.max(0, left)}px`;
+    el.style.top = `${Math.max(0, Math.min(y, window.innerHeight - r.height))}px`;
+    el.focus({ preventScroll: true });
+  }, [x, y, flipX]);
+
+  const openSub = (i, byKey) => {
+    const r = ref.current.querySelector(`[data-index="${i}"]`).getBoundingClientRect();
+    setSub({ index: i, x: r.right, y: r.top - 5, flipX: r.left, keyboard: byKey });
+  };
+  const back = () => { setSub(null); ref.current.focus({ preventScroll: true }); };
+  const pick = (i, byKey = false) => {
+    const it = items[i];
+    if (!it || !isPickable(it)) return;
+    if (it.items) return openSub(i, byKey);
+    onDone();
+    it.run?.();
+  };
+  // next pickable item from `from` going `d`; from -1 wraps to either end
+  const step = (from, d) => {
+    const n = items.length;
+    const start = from < 0 ? (d > 0 ? -1 : n) : from;
+    for (let k = 1; k <= n; k++) {
+      const i = (((start + d * k) % n) + n) % n;
+      if (isPickable(items[i])) return setActive(i);
+    }
+  };
+
+  const onKeyDown = (e) => {
+    e.stopPropagation(); // the menu has the keyboard, not the window under it
+    const run = {
+      ArrowDown: () => step(active, 1),
+      ArrowUp: () => step(active, -1),
+      Home: () => step(-1, 1),
+      End: () => step(-1, -1),
+      ArrowRight: () => items[active]?.items && pick(active, true),
+      ArrowLeft: () => onBack?.(),
+      Escape: () => (onBack ?? onCancel)(),
+      Enter: () => pick(active, true),
+      " ": () => pick(active, true),
+      Tab: () => {},
+    }[e.key];
+    if (!run) return;
+    e.preventDefault();
+    run();
+  };
+
+  return (
+    <>
+      <div
+        ref={ref} role="menu" tabIndex={-1} onKeyDown={onKeyDown} onContextMenu={(e) => e.preventDefault()}
+        style={{ left: x, top: y }}
+        className={`fixed z-[70] min-w-[190px] ${frame} bg-[rgba(0,0,0,0.92)] p-1 font-mono focus:outline-none`}
+      >
+        {items.map((it, i) => (it === "-" ? <div key={i} className={`my-1 border-t ${borderCol}`} /> : (
+          <button
+            key={i} data-index={i} tabIndex={-1}
+            role={it.checked === undefined ? "menuitem" : "menuitemcheckbox"}
+            aria-checked={it.checked} aria-disabled={it.disabled || undefined}
+            aria-haspopup={it.items ? "menu" : undefined} aria-expanded={it.items ? sub?.index === i : undefined}
+            onMouseEnter={() => {
+              setActive(i);
+              if (sub && sub.index !== i) back();
+              if (it.items && !it.disabled && sub?.index !== i) openSub(i, false);
+            }}
+            onClick={() => pick(i)}
+            className={`flex w-full items-center gap-2 rounded-[3px] px-2 py-1 text-left text-[12px] ${
+              i === active && !it.disabled ? "bg-accent-400/10 text-accent-100" : "text-accent-200"} ${it.disabled ? "opacity-40" : ""}`}
+          >
+            <span className="w-3 text-accent-300">{it.checked ? "✓" : ""}</span>
+            <span className="flex-1">{it.label}</span>
+            {it.hint && <span className="text-[11px] text-accent-300/60">{it.hint}</span>}
+            {it.items && <span className="text-accent-300">▸</span>}
+          </button>
+        )))}
+      </div>
+      {sub && (
+        <MenuList key={sub.index} items={items[sub.index].items} x={sub.x} y={sub.y} flipX={sub.flipX}
+                  keyboard={sub.keyboard} onDone={onDone} onCancel={onCancel} onBack={back} />
+      )}
+    </>
+  );
+}
+
+export function ContextMenu() {
+  const menu = useStore(contextMenu, selectContextMenu);
+  const boxRef = useRef(null);
+  useOutsideClose(boxRef, !!menu, closeContextMenu);
+  useEffect(() => {
+    if (!menu) return;
+    window.addEventListener("blur", closeContextMenu);
+    window.addEventListener("resize", closeContextMenu);
+    return () => {
+      window.removeEventListener("blur", closeContextMenu);
+      window.removeEventListener("resize", closeContextMenu);
+    };
+  }, [menu]);
+  if (!menu) return null;
+  const cancel = () => { closeContextMenu(); menu.returnFocus?.focus?.({ preventScroll: true }); };
+  return createPortal(
+    <div ref={boxRef} className="contents">
+      <MenuList key={menu.id} items={menu.items} x={menu.x} y={menu.y} keyboard={menu.keyboard} onDone={closeContextMenu} onCancel={cancel} />
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,84 @@
+import { useEffect, useRef, useState } from "react";
+import { logSystem } from "./syslog";
+import { runCrt } from "./crt";
+import { useBackdropPause } from "./hooks";
+
+/* ================================ CRT effect ================================
+   os/crt.js: an overlay that darkens (scanlines, curvature, flicker) plus an
+   SVG filter on the desktop for glow and chromatic aberration. Neither takes
+   pointer events. MatrixOS keeps it off under reduced motion and in safe
+   mode. */
+export function CrtFilter({ glow, aberration }) {
+  const shift = aberration * 3; // px each way for red and blue
+  return (
+    <svg aria-hidden className="pointer-events-none absolute h-0 w-0">
+      <filter id="crt" x="0" y="0" width="100%" height="100%" colorInterpolationFilters="sRGB">
+        <feColorMatrix in="SourceGraphic" values="1 0 0 0 0  0 0 0 0 0  0 0 0 0 0  0 0 0 1 0" />
+        <feOffset dx={-shift} result="red" />
+        <feColorMatrix in="SourceGraphic" values="0 0 0 0 0  0 1 0 0 0  0 0 0 0 0  0 0 0 1 0" result="green" />
+        <feColorMatrix in="SourceGraphic" values="0 0 0 0 0  0 0 0 0 0  0 0 1 0 0  0 0 0 1 0" />
+        <feOffset dx={shift} result="blue" />
+        <feBlend mode="screen" in="red" in2="green" />
+        <feBlend mode="screen" in2="blue" result="split" />
+        {/* phosphor glow: the picture plus a blurred copy of itself */}
+        <feGaussianBlur in="split" stdDeviation={1 + glow * 5} />
+        <feComposite in="split" operator="arithmetic" k2="1" k3={glow} />
+      </filter>
+    </svg>
+  );
+}
+
+// Without WebGL: gradients for the scanlines and vignette, a rounded mask
+// for the tube's corners and a blinking black layer for flicker.
+function CrtCss({ scanlines, curvature, flicker }) {
+  return (
+    <div aria-hidden className="pointer-events-none fixed inset-0 z-[100] overflow-hidden">
+      <div
+        className="absolute inset-0"
+        style={{
+          borderRadius: `${curvature * 4}vmin`,
+          boxShadow: "0 0 0 50vmax #000",
+          background: `repeating-linear-gradient(to bottom, rgba(0,0,0,${scanlines * 0.4}) 0 1px, transparent 1px 2px),
+            radial-gradient(ellipse at center, transparent 55%, rgba(0,0,0,${curvature * 0.6}) 100%)`,
+        }}
+      />
+      {flicker > 0 && <div className="crt-flicker absolute inset-0 bg-black" style={{ "--crt-flicker": flicker * 0.12 }} />}
+    </div>
+  );
+}
+
+export function CrtOverlay({ opts }) {
+  const hostRef = useRef(null);
+  const [loop, setLoop] = useState(null);
+  const [webgl, setWebgl] = useState(true);
+  const optsRef = useRef(opts);
+
+  useEffect(() => {
+    const canvas = document.createElement("canvas");
+    canvas.className = "block h-full w-full";
+    hostRef.current.appendChild(canvas);
+    const loop = runCrt(canvas, optsRef.current);
+    if (!loop) {
+      canvas.remove();
+      logSystem("crt", "no WebGL, drawing the overlay with CSS", "warn");
+      setWebgl(false);
+      return;
+    }
+    const resize = () => loop.resize(window.innerWidth, window.innerHeight);
+    resize();
+    setLoop(loop);
+    window.addEventListener("resize", resize);
+    return () => { loop.stop(); canvas.remove(); setLoop(null); window.removeEventListener("resize", resize); };
+  }, []);
+
+  useEffect(() => {
+    optsRef.current = opts;
+    loop?.configure(opts);
+  }, [loop, opts]);
+
+  useBackdropPause(loop, false);
+
+  return webgl
+    ? <div ref={hostRef} aria-hidden className="pointer-events-none fixed inset-0 z-[100]" />
+    : <CrtCss {...opts} />;
+}
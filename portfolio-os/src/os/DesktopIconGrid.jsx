@@ -0,0 +1,283 @@
+import React, { useCallback, useEffect, useRef, useState, useMemo } from "react";
+import { createPortal } from "react-dom";
+import { borderCol, frame } from "./styles";
+import { logSystem } from "./syslog";
+import { getApp, getApps } from "./registry";
+import { linkTo } from "./router";
+import { useRenderCount } from "./renderCount";
+import { settings, updateSettings, useSettings } from "./settings";
+import { fs } from "./fs";
+import { HOME, joinPath } from "./path";
+import { freeName } from "./fileTypes";
+import { showContextMenu } from "./contextMenu";
+import { cellAt, cellPos, dropIcons, iconGrid, iconsInBand, layoutIcons, reorderIcons } from "./desktopIcons";
+import { WALLPAPERS } from "../wallpapers";
+import { useOutsideClose } from "./hooks";
+import { favoriteItem, sortDesktopIcons } from "./desktop";
+import { DEFAULT_WIN, clampRect, desktopArea, trackPointer } from "./windows";
+import { AppIcon } from "./Icons";
+
+/* =========================== Desktop Icon ================================= */
+const DesktopIcon = React.memo(function DesktopIcon({ appId, icon, label, x, y, selected, dragging, onPointerDown, onOpen, onMenu, playSfx }) {
+  useRenderCount("DesktopIcon");
+  return (
+  <button
+    onPointerDown={(e) => onPointerDown(appId, e)}
+    onContextMenu={(e) => onMenu(appId, e)}
+    onDoubleClick={(e) => { playSfx("open"); onOpen(appId, e); }}
+    className={`group absolute flex w-24 flex-col items-center gap-1 rounded-[4px] border p-1 text-xs hover:text-accent-200 focus:outline-none ${
+      selected ? "border-accent-400/40 bg-accent-400/15 text-accent-200" : "border-transparent bg-transparent text-accent-300/85"} ${dragging ? "z-10 opacity-80" : ""}`}
+    style={{ left: x, top: y }}
+    title={`${label} (double-click, Shift for a new window)`}
+  >
+    <AppIcon
+      src={icon}
+      alt={label}
+      draggable={false}
+      className="h-12 w-12 select-none transition group-hover:scale-105 group-hover:drop-shadow-[0_0_10px_var(--glow-strong)]"
+    />
+    <span className="pointer-events-none text-center font-mono text-[11px] opacity-85 group-hover:opacity-100">
+      {label}
+    </span>
+  </button>
+  );
+});
+
+/* The icons, on the grid from os/desktopIcons.js. Dragging an icon moves the
+   whole selection and snaps it to the nearest free cells; dragging on the
+   empty desktop draws a rubber band (Ctrl adds to the selection). With the
+   desktop focused, Enter opens everything selected, Ctrl+A selects all and
+   Esc clears. Right-clicks open the desktop's and the icons' context menus.
+   The layout is saved in settings.desktop. */
+const DRAG_START = 4; // px before a press turns into a drag
+
+// What the icon menu's "Properties" shows: the app's manifest, readable.
+function AppProperties({ app, onClose }) {
+  const boxRef = useRef(null);
+  const { favorites } = useSettings("start");
+  useOutsideClose(boxRef, true, onClose);
+  useEffect(() => boxRef.current.focus({ preventScroll: true }), []);
+  const size = app.size ?? DEFAULT_WIN;
+  const rows = [
+    ["Name", app.title],
+    ["Id", app.id],
+    ["Type", app.type],
+    ["Link", linkTo(app.id)],
+    ["Window", `${size.w} × ${size.h}${app.singleton ? ", one at a time" : ""}`],
+    ["Aliases", app.aliases.join(", ") || "—"],
+    ["Keywords", app.keywords.join(", ") || "—"],
+    ["Favorite", favorites.includes(app.id) ? "pinned" : "no"],
+  ];
+  return createPortal(
+    <div
+      ref={boxRef} role="dialog" aria-label={`${app.title} properties`} tabIndex={-1}
+      onKeyDown={(e) => { e.stopPropagation(); if (e.key === "Escape") onClose(); }}
+      className={`fixed left-1/2 top-1/2 z-[60] w-[340px] -translate-x-1/2 -translate-y-1/2 ${frame} bg-[rgba(0,0,0,0.92)] p-4 font-mono text-[12px] focus:outline-none`}
+    >
+      <div className="mb-3 flex items-center gap-3">
+        <AppIcon src={app.icon} alt="" className="h-10 w-10" />
+        <span className="text-sm text-accent-200">{app.title} properties</span>
+      </div>
+      <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+        {rows.map(([k, v]) => (
+          <React.Fragment key={k}>
+            <dt className="text-accent-300/70">{k}</dt>
+            <dd className="break-words text-accent-200">{v}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <div className="mt-4 text-right">
+        <button onClick={onClose} className={`rounded-md border ${borderCol} bg-black/60 px-3 py-1 hover:bg-accent-400/10`}>Close</button>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export function DesktopIcons({ actions, playSfx, onOpenSettings }) {
+  const { open } = actions;
+  const layerRef = useRef(null);
+  const { icons: saved, autoArrange } = useSettings("desktop");
+  const { scene } = useSettings("wallpaper");
+  const [inspect, setInspect] = useState(null); // app id whose properties are up
+  const [area, setArea] = useState(() => desktopArea(null));
+  const [selected, setSelected] = useState(() => new Set());
+  const [drag, setDrag] = useState(null); // { ids, dx, dy } while icons move
+  const [band, setBand] = useState(null); // { x0, y0, x1, y1 } in layer px
+  const apps = getApps();
+  const grid = useMemo(() => iconGrid(area), [area]);
+  const layout = useMemo(() => layoutIcons(apps.map((a) => a.id), saved, grid, autoArrange), [apps, saved, grid, autoArrange]);
+
+  useEffect(() => {
+    const resize = () => setArea(desktopArea(layerRef.current));
+    resize();
+    window.addEventListener("resize", resize);
+    return () => window.removeEventListener("resize", resize);
+  }, []);
+
+  // pointer handlers stay stable for the memoized icons and read this instead
+  const live = useRef(null);
+  useEffect(() => { live.current = { layout, grid, autoArrange, selected, apps }; });
+
+  const onIconDown = useCallback((id, e) => {
+    if (e.button !== 0) return;
+    e.stopPropagation(); // not a rubber band
+    layerRef.current.focus({ preventScroll: true });
+    const additive = e.ctrlKey || e.metaKey;
+    let ids = live.current.selected;
+    if (additive) {
+      ids = new Set(ids);
+      if (!ids.delete(id)) ids.add(id);
+    } else if (!ids.has(id)) ids = new Set([id]);
+    setSelected(ids);
+    if (!ids.has(id)) return;
+
+    let moving = false;
+    trackPointer((ev) => {
+      const dx = ev.clientX - e.clientX, dy = ev.clientY - e.clientY;
+      if (!moving && Math.hypot(dx, dy) < DRAG_START) return;
+      moving = true;
+      setDrag({ ids, dx, dy });
+    }, (ev) => {
+      if (!moving) {
+        // a plain click inside a bigger selection narrows it to this icon
+        if (!additive && ids.size > 1) setSelected(new Set([id]));
+        return;
+      }
+      setDrag(null);
+      const { layout, grid, autoArrange } = live.current;
+      const moved = Object.fromEntries([...ids].map((i) => {
+        const { x, y } = cellPos(layout[i]);
+        return [i, cellAt(x + ev.clientX - e.clientX, y + ev.clientY - e.clientY, grid)];
+      }));
+      updateSettings("desktop", { icons: autoArrange ? reorderIcons(layout, moved, grid) : dropIcons(layout, moved, grid) });
+    });
+  }, []);
+
+  const onLayerDown = (e) => {
+    if (e.button !== 0 || e.target !== e.currentTarget) return;
+    layerRef.current.focus({ preventScroll: true });
+    const base = e.ctrlKey || e.metaKey ? selected : new Set();
+    const box = layerRef.current.getBoundingClientRect();
+    const x0 = e.clientX - box.left, y0 = e.clientY - box.top;
+    setSelected(base);
+    trackPointer((ev) => {
+      const b = { x0, y0, x1: ev.clientX - box.left, y1: ev.clientY - box.top };
+      setBand(b);
+      setSelected(new Set([...base, ...iconsInBand(live.current.layout, b)]));
+    }, () => setBand(null));
+  };
+
+  const openIcon = useCallback((appId, e) => open(appId, { newInstance: e.shiftKey }), [open]);
+  const openAll = useCallback((ids, newInstance = false) => {
+    playSfx("open");
+    live.current.apps.filter((a) => ids.has(a.id)).forEach((a) => open(a.id, { newInstance }));
+  }, [open, playSfx]);
+
+  // right-clicking outside the selection selects just that icon first
+  const onIconMenu = useCallback((id, e) => {
+    let ids = live.current.selected;
+    if (!ids.has(id)) { ids = new Set([id]); setSelected(ids); }
+    const app = getApp(id);
+    const { favorites } = settings.getState().start;
+    showContextMenu(e, [
+      { label: ids.size > 1 ? `Open ${ids.size} apps` : "Open", hint: "Enter", run: () => openAll(ids) },
+      { label: "Open in new window", disabled: app.singleton, run: () => openAll(new Set([id]), true) },
+      "-",
+      favoriteItem(id, favorites),
+      "-",
+      { label: "Properties", run: () => setInspect(id) },
+    ]);
+  }, [openAll]);
+
+  // a fresh terminal in ~/Desktop with its title bar under the pointer
+  const openTerminalAt = (x, y) => {
+    const id = open("terminal", { newInstance: true, args: { cwd: joinPath(HOME, "Desktop") } });
+    const size = getApp("terminal").size ?? DEFAULT_WIN;
+    actions.setGeometry(id, { ...clampRect({ x, y, width: size.w, height: size.h }, desktopArea(layerRef.current)), snap: null, restore: null });
+  };
+
+  // a folder in ~/Desktop, shown selected in Files
+  const newFolder = async () => {
+    const desktop = joinPath(HOME, "Desktop");
+    try {
+      const path = joinPath(desktop, await freeName(desktop, "New folder"));
+      await fs.mkdir(path, { parents: true });
+      open("files", { args: { path: desktop, select: path } });
+    } catch (err) {
+      logSystem("vfs", `couldn't make a folder: ${err.message}`, "error");
+    }
+  };
+
+  const onLayerMenu = (e) => {
+    if (e.target !== e.currentTarget) return;
+    setSelected(new Set());
+    const box = layerRef.current.getBoundingClientRect();
+    const x = e.clientX - box.left, y = e.clientY - box.top;
+    showContextMenu(e, [
+      { label: "New folder", run: newFolder },
+      "-",
+      { label: "Change wallpaper", items: Object.entries(WALLPAPERS).map(([id, { title }]) => (
+        { label: title, checked: scene === id, run: () => updateSettings("wallpaper", { scene: id }) })) },
+      { label: "Arrange icons", items: [
+        { label: "Sort by name", run: () => sortDesktopIcons("name") },
+        { label: "Sort by type", run: () => sortDesktopIcons("type") },
+        { label: "Default layout", run: () => updateSettings("desktop", { icons: {} }) },
+        "-",
+        { label: "Auto-arrange", checked: autoArrange, run: () => updateSettings("desktop", { autoArrange: !autoArrange }) },
+      ] },
+      "-",
+      { label: "Open terminal here", run: () => openTerminalAt(x, y) },
+      { label: "Settings", run: onOpenSettings },
+    ]);
+  };
+
+  // stopPropagation keeps these from the focused window's key handlers
+  const onKeyDown = (e) => {
+    if (e.key === "Enter" && selected.size) {
+      e.stopPropagation();
+      openAll(selected, e.shiftKey);
+    } else if (e.key === "Escape" && selected.size) {
+      e.stopPropagation();
+      setSelected(new Set());
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "a") {
+      e.preventDefault();
+      e.stopPropagation();
+      setSelected(new Set(apps.map((a) => a.id)));
+    }
+  };
+
+  return (
+    <div
+      ref={layerRef} tabIndex={-1} aria-label="Desktop"
+      onPointerDown={onLayerDown} onKeyDown={onKeyDown} onContextMenu={onLayerMenu}
+      className="absolute inset-0 z-10 select-none focus:outline-none"
+    >
+      {/* where a drag will land */}
+      {drag && [...drag.ids].map((id) => {
+        const { x, y } = cellPos(layout[id]);
+        const target = cellPos(cellAt(x + drag.dx, y + drag.dy, grid));
+        return <div key={id} className="pointer-events-none absolute h-[84px] w-24 rounded-[4px] border border-dashed border-accent-400/50" style={{ left: target.x, top: target.y }} />;
+      })}
+      {apps.map((app) => {
+        const { x, y } = cellPos(layout[app.id]);
+        const moving = !!drag?.ids.has(app.id);
+        return (
+          <DesktopIcon
+            key={app.id} appId={app.id} icon={app.icon} label={app.title}
+            x={moving ? x + drag.dx : x} y={moving ? y + drag.dy : y}
+            selected={selected.has(app.id)} dragging={moving}
+            onPointerDown={onIconDown} onOpen={openIcon} onMenu={onIconMenu} playSfx={playSfx}
+          />
+        );
+      })}
+      {band && (
+        <div
+          className="pointer-events-none absolute border border-accent-400/60 bg-accent-400/10"
+          style={{ left: Math.min(band.x0, band.x1), top: Math.min(band.y0, band.y1), width: Math.abs(band.x1 - band.x0), height: Math.abs(band.y1 - band.y0) }}
+        />
+      )}
+      {inspect && getApp(inspect) && <AppProperties app={getApp(inspect)} onClose={() => setInspect(null)} />}
+    </div>
+  );
+}
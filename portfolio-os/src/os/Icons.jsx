@@ -0,0 +1,14 @@
+import { useThemedIcon } from "./theme";
+
+/* ================================== Icons ==================================
+   App icons (themed) and the line icons of the Start menu and taskbar. */
+// An app's icon recolored for the current theme (see useThemedIcon).
+export const AppIcon = ({ src, ...props }) => <img src={useThemedIcon(src)} {...props} />;
+
+export const SearchIcon = () => (<svg width="18" height="18" viewBox="0 0 24 24" className="text-accent-300"><path fill="currentColor" d="M15.5 14h-.79l-.28-.27A6.471 6.471 0 0 0 16 9.5 6.5 6.5 0 1 0 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zM10 14a4 4 0 1 1 0-8a4 4 0 0 1 0 8z"/></svg>);
+export const PowerIcon = () => (<svg width="18" height="18" viewBox="0 0 24 24" className="text-accent-300"><path fill="currentColor" d="M13 3h-2v10h2V3zm4.83 2.17l-1.42 1.42A6.99 6.99 0 0 1 19 12a7 7 0 1 1-14 0a6.99 6.99 0 0 1 2.59-5.41L6.17 5.17A9 9 0 1 0 21 12a8.98 8.98 0 0 0-3.17-6.83z"/></svg>);
+export const RestartIcon = () => (<svg width="18" height="18" viewBox="0 0 24 24" className="text-accent-300"><path fill="currentColor" d="M12 6V3l4 4l-4 4V8c-2.76 0-5 2.24-5 5a5 5 0 0 0 9 3h2a7 7 0 1 1-6-11z"/></svg>);
+export const FreshIcon = () => (<svg width="18" height="18" viewBox="0 0 24 24" className="text-accent-300"><path fill="currentColor" d="M15 4V3H9v1H4v2h1v13a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V6h1V4h-5zm2 15H7V6h10v13zM9 8h2v9H9zm4 0h2v9h-2z"/></svg>);
+export const OverviewIcon = () => (<svg width="14" height="14" viewBox="0 0 24 24" className="text-accent-300"><path fill="currentColor" d="M3 3h8v8H3V3zm2 2v4h4V5H5zm8-2h8v8h-8V3zm2 2v4h4V5h-4zM3 13h8v8H3v-8zm2 2v4h4v-4H5zm8-2h8v8h-8v-8zm2 2v4h4v-4h-4z"/></svg>);
+export const LockIcon = () => (<svg width="18" height="18" viewBox="0 0 24 24" className="text-accent-300"><path fill="currentColor" d="M17 8h-1V6a4 4 0 0 0-8 0v2H7a2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V10a2 2 0 0 0-2-2zm-7-2a2 2 0 1 1 4 0v2h-4V6zm7 14H7V10h10v10zm-5-3a2 2 0 1 0 0-4a2 2 0 0 0 0 4z"/></svg>);
+export const GearIcon = () => (<svg width="18" height="18" viewBox="0 0 24 24" className="text-accent-300"><path fill="currentColor" d="M19.14 12.94c.04-.31.06-.63.06-.94s-.02-.63-.06-.94l2.03-1.58a.5.5 0 0 0 .12-.64l-1.92-3.32a.5.5 0 0 0-.6-.22l-2.39.96a7.027 7.027 0 0 0-1.63-.94l-.36-2.54A.5.5 0 0 0 14.3 1h-4.6a.5.5 0 0 0-.49.41l-.36 2.54c-.59.24-1.14.55-1.63.94l-2.39-.96a.5.5 0 0 0-.6.22L1.32 7.93a.5.5 0 0 0 .12.64l2.03 1.58c-.04.31-.06.63-.06.94s.02.63.06.94L1.44 13.6a.5.5 0 0 0-.12.64l1.92 3.32c.13.23.4.32.64.22l2.39-.96c.49.39 1.04.7 1.63.94l.36 2.54c.06.29.31.5.6.5h4.6c.3 0 .55-.21.6-.5l.36-2.54c.59-.24 1.14-.55 1.63-.94l2.39.96c.24.1.51.01.64-.22l1.92-3.32a.5.5 0 0 0-.12-.64l-2.03-1.58zM12 15.5a3.5 3.5 0 1 1 0-7a3.5 3.5 0 0 1 0 7z"/></svg>);
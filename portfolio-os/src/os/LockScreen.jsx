@@ -0,0 +1,65 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { borderCol, frame } from "./styles";
+import { EVENTS, publish } from "./bus";
+import { FUNNY, PASSWORD, normalizeGuess } from "../apps/secret/passwords";
+import { useClock } from "./hooks";
+
+/* =============================== Lock screen ===============================
+   Guest has no password; the field is there for the jokes (shared with the
+   Secret app), and the real one gets you in too. */
+export function LockScreen({ onLogin, playSfx }) {
+  const now = useClock();
+  const [guess, setGuess] = useState("");
+  const [msg, setMsg] = useState("");
+  const [shakeKey, setShakeKey] = useState(0);
+
+  const login = () => { playSfx("success"); onLogin(); };
+  const onSubmit = (e) => {
+    e.preventDefault();
+    const g = normalizeGuess(guess);
+    if (!g) return login();
+    if (g === PASSWORD) {
+      publish(EVENTS.NOTIFICATION, { title: "ACCESS GRANTED", kind: "rickroll", timeout: 5 });
+      return login();
+    }
+    setMsg(FUNNY[g] ?? "Wrong password. Psst: guest doesn’t have one.");
+    setGuess("");
+    setShakeKey((k) => k + 1);
+    playSfx("error");
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-[85] flex flex-col items-center justify-center gap-8 bg-black/70 font-mono text-accent-200 backdrop-blur-md"
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0, y: -40 }}
+    >
+      <div className="text-center">
+        <div className="text-7xl text-accent-300">{now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</div>
+        <div className="mt-2 text-sm text-accent-300/70">{now.toLocaleDateString([], { weekday: "long", day: "numeric", month: "long" })}</div>
+      </div>
+      <div className={`flex w-[min(360px,90vw)] flex-col items-center gap-3 ${frame} bg-black/70 p-5`}>
+        <div className={`grid h-16 w-16 place-items-center rounded-full border ${borderCol} text-2xl`}>👤</div>
+        <div>guest</div>
+        <motion.form
+          key={shakeKey}
+          onSubmit={onSubmit}
+          className="w-full"
+          initial={{ x: 0 }}
+          animate={{ x: [0, -6, 6, -4, 4, 0] }}
+          transition={{ duration: 0.25, ease: "easeInOut" }}
+        >
+          <input
+            type="password" autoFocus value={guess} onChange={(e) => setGuess(e.target.value)}
+            placeholder="Password (optional)" aria-label="Password"
+            className={`w-full rounded-md border ${borderCol} bg-black/60 px-3 py-2 text-sm tracking-widest text-accent-200 placeholder-accent-300/50 focus:outline-none`}
+          />
+        </motion.form>
+        <div className="min-h-[1.25rem] text-center text-[12px] text-accent-300/80">{msg}</div>
+        <button onClick={login} className={`w-full rounded-md border ${borderCol} bg-black/60 px-3 py-2 text-sm hover:bg-accent-400/10`}>
+          Log in as guest
+        </button>
+      </div>
+    </motion.div>
+  );
+}
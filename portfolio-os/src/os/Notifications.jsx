@@ -0,0 +1,89 @@
+import { motion, AnimatePresence } from "framer-motion";
+import { borderCol, frame } from "./styles";
+
+/* === Rickroll toast (CTA link) =========================================== */
+/* ============================ Notifications ================================
+   Toasts for EVENTS.NOTIFICATION, stacked top-right clear of the taskbar. */
+export const NOTIFY_TIMEOUT = 4; // seconds
+
+export function NotificationStack({ items, onDismiss }) {
+  return (
+    <div className="pointer-events-none fixed right-4 top-4 z-[70] flex w-[300px] flex-col gap-2">
+      <AnimatePresence>
+        {items.map((n) => (
+          <motion.div
+            key={n.id}
+            role="status"
+            layout
+            initial={{ x: 40, opacity: 0 }}
+            animate={{ x: 0, opacity: 1 }}
+            exit={{ x: 40, opacity: 0 }}
+            className={`pointer-events-auto flex items-start gap-2 ${frame} bg-black/90 p-3 font-mono text-[12px]`}
+          >
+            <div className="min-w-0 flex-1">
+              <div className="text-accent-200">{n.title}</div>
+              {n.body && <div className="mt-1 break-words text-accent-300/80">{n.body}</div>}
+            </div>
+            <button onClick={() => onDismiss(n.id)} title="Dismiss" className="text-accent-300/70 hover:text-accent-200">✕</button>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+export function RickRollToast({
+  show,
+  onClose,
+  url = "https://youtu.be/dQw4w9WgXcQ?t",
+}) {
+  return (
+    <AnimatePresence>
+      {show && (
+        <motion.div
+          className="fixed inset-0 pointer-events-none"
+          style={{ zIndex: 9999 }}         // keep above windows
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <motion.div
+            className={`pointer-events-auto fixed right-4 bottom-20 w-[360px] overflow-hidden rounded-lg border ${borderCol} bg-black/90 shadow-xl`}
+            initial={{ y: 28, opacity: 0, scale: 0.98 }}
+            animate={{ y: 0, opacity: 1, scale: 1 }}
+            exit={{ y: 28, opacity: 0, scale: 0.98 }}
+            transition={{ type: "spring", stiffness: 260, damping: 22 }}
+          >
+            <button
+              onClick={onClose}
+              className="absolute right-2 top-1 rounded px-2 text-accent-300/80 hover:bg-accent-400/10"
+              title="Close"
+            >
+              ✕
+            </button>
+
+            <div className="p-4">
+              <div className="mb-2 font-mono text-sm text-accent-300">
+                ACCESS GRANTED…
+              </div>
+
+              <a
+                href={url}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={onClose}
+                className="mt-1 inline-flex w-full items-center justify-center gap-2 rounded-md border border-accent-400/50 bg-accent-400/10 px-3 py-3 font-mono text-sm text-accent-200 hover:bg-accent-400/20"
+              >
+                🔓 Click here to unlock. <strong>Hurry!</strong>
+              </a>
+
+              <div className="mt-2 text-right text-[11px] text-accent-300/70">
+                Opens in a new tab.
+              </div>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,23 @@
+import { useEffect, useState } from "react";
+import { frame } from "./styles";
+import { readRenderCounts, resetRenderCounts } from "./renderCount";
+
+/* ====================== Render counter overlay (dev) =======================
+   Ctrl+Alt+R in dev builds. Counts commits per component since it opened;
+   an idle desktop should only show the clock moving. */
+export function RenderCounterOverlay() {
+  const [rows, setRows] = useState([]);
+  useEffect(() => {
+    resetRenderCounts();
+    const t = setInterval(() => setRows(readRenderCounts()), 500);
+    return () => clearInterval(t);
+  }, []);
+  return (
+    <div className={`pointer-events-none fixed left-4 top-4 z-[80] min-w-[200px] ${frame} bg-black/85 p-2 font-mono text-[11px] text-accent-200`}>
+      <div className="mb-1 text-accent-300">renders since opened</div>
+      {rows.map(([name, count]) => (
+        <div key={name} className="flex justify-between gap-4"><span>{name}</span><span>{count}</span></div>
+      ))}
+    </div>
+  );
+}
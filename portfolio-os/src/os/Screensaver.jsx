@@ -0,0 +1,56 @@
+import { useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { runPipes } from "../wallpapers/pipes";
+import { useBackdropPause } from "./hooks";
+import { Backdrop } from "./Backdrop";
+
+/* ============================== Screensaver ================================
+   Started by the idle timer (Settings → Screensaver). Any key, click or real
+   mouse move wakes it — to the lock screen, not straight to the desktop. */
+const WAKE_DISTANCE = 12; // px of mouse travel before a move counts
+
+function PipesBackground() {
+  const hostRef = useRef(null);
+  const [loop, setLoop] = useState(null);
+  useEffect(() => {
+    const canvas = document.createElement("canvas");
+    canvas.className = "block h-full w-full";
+    hostRef.current.appendChild(canvas);
+    const loop = runPipes(canvas.getContext("2d", { alpha: false }));
+    const resize = () => loop.resize(window.innerWidth, window.innerHeight, Math.max(1, Math.floor(window.devicePixelRatio || 1)));
+    resize();
+    setLoop(loop);
+    window.addEventListener("resize", resize);
+    return () => { loop.stop(); canvas.remove(); setLoop(null); window.removeEventListener("resize", resize); };
+  }, []);
+  useBackdropPause(loop, false);
+  return <div ref={hostRef} className="fixed inset-0 bg-black" />;
+}
+
+export function Screensaver({ mode, onWake }) {
+  useEffect(() => {
+    let origin = null;
+    const wake = (e) => { e.preventDefault(); onWake(); };
+    const move = (e) => {
+      origin ??= [e.clientX, e.clientY];
+      if (Math.hypot(e.clientX - origin[0], e.clientY - origin[1]) > WAKE_DISTANCE) onWake();
+    };
+    window.addEventListener("keydown", wake);
+    window.addEventListener("pointerdown", wake);
+    window.addEventListener("pointermove", move);
+    return () => {
+      window.removeEventListener("keydown", wake);
+      window.removeEventListener("pointerdown", wake);
+      window.removeEventListener("pointermove", move);
+    };
+  }, [onWake]);
+  return (
+    <motion.div
+      className="fixed inset-0 z-[90] cursor-none bg-black"
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+      transition={{ duration: 0.8 }}
+    >
+      {mode === "pipes" ? <PipesBackground /> : <Backdrop scene={mode === "starfield" ? "starfield" : "rain"} covered={false} />}
+    </motion.div>
+  );
+}
@@ -0,0 +1,294 @@
+import { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { borderCol, frame } from "./styles";
+import { RAIN_CHARSETS, RAIN_COLORS, RAIN_DEFAULTS, RAIN_LIMITS, rainColor } from "./matrixRain";
+import { resetSettings, updateSettings, useSettings } from "./settings";
+import { CUSTOM_DEFAULTS, THEMES, useTheme } from "./theme";
+import { CRT_OPTIONS } from "./crt";
+import { WALLPAPERS, canRun3D } from "../wallpapers";
+import { useReducedMotion } from "./hooks";
+import { IDLE_CHOICES, SCREENSAVERS, sortDesktopIcons } from "./desktop";
+
+/* ================================ Settings =================================
+   The Start menu's gear. Sound is part of the desktop session; the other tabs
+   edit os/settings and apply live. */
+const SETTINGS_TABS = ["Sound", "Theme", "Wallpaper", "Desktop", "Matrix rain", "CRT", "Screensaver", "System"];
+
+export function SettingsPanel({ open, onClose, volume, setVolume, muted, setMuted, onPreviewScreensaver }) {
+  const [tab, setTab] = useState(SETTINGS_TABS[0]);
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <motion.button
+            aria-hidden onClick={onClose}
+            className="fixed inset-0 z-50 bg-black/60 backdrop-blur-[2px]"
+            initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+          />
+          <motion.div
+            className={`fixed left-1/2 top-1/2 z-50 w-[min(520px,95vw)] -translate-x-1/2 -translate-y-1/2 ${frame} bg-[rgba(0,0,0,0.9)] p-4`}
+            initial={{ opacity: 0, scale: 0.96 }} animate={{ opacity: 1, scale: 1 }} exit={{ opacity: 0, scale: 0.96 }}
+          >
+            <h3 className="mb-3 font-mono text-lg text-accent-300">⚙️ Settings</h3>
+            <div role="tablist" className={`mb-4 flex gap-1 border-b ${borderCol}`}>
+              {SETTINGS_TABS.map((name) => (
+                <button
+                  key={name} role="tab" aria-selected={tab === name} onClick={() => setTab(name)}
+                  className={`-mb-px rounded-t-[4px] border px-3 py-1 font-mono text-[12px] ${tab === name ? `${borderCol} border-b-black bg-black text-accent-200` : "border-transparent text-accent-300/70 hover:text-accent-200"}`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+            {tab === "Sound" && <SoundSettings volume={volume} setVolume={setVolume} muted={muted} setMuted={setMuted} />}
+            {tab === "Theme" && <ThemeSettings />}
+            {tab === "Wallpaper" && <WallpaperSettings />}
+            {tab === "Desktop" && <DesktopSettings />}
+            {tab === "Matrix rain" && <RainSettings />}
+            {tab === "CRT" && <CrtSettings />}
+            {tab === "Screensaver" && <ScreensaverSettings onPreview={onPreviewScreensaver} />}
+            {tab === "System" && <SystemSettings />}
+            <div className="mt-4 text-right">
+              <button onClick={onClose} className={`rounded-md border ${borderCol} bg-black/60 px-3 py-1 hover:bg-accent-400/10`}>Close</button>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
+
+const SettingRow = ({ label, children }) => (
+  <label className="flex items-center gap-3 font-mono text-[12px]">
+    <span className="w-20 shrink-0 text-accent-300/80">{label}</span>
+    {children}
+  </label>
+);
+
+function SoundSettings({ volume, setVolume, muted, setMuted }) {
+  return (
+    <>
+      <div className="flex items-center gap-3">
+        <input
+          type="range" min={0} max={100}
+          value={Math.round(volume * 100)}
+          onChange={(e) => setVolume(Number(e.target.value) / 100)}
+          className="w-full"
+        />
+        <span className="w-12 text-right">{Math.round(volume * 100)}%</span>
+      </div>
+      <label className="mt-3 inline-flex items-center gap-2">
+        <input type="checkbox" checked={muted} onChange={(e) => setMuted(e.target.checked)} />
+        <span>Mute</span>
+      </label>
+    </>
+  );
+}
+
+// The built-in themes, plus a custom one edited right here.
+const THEME_SWATCHES = ["bg", "neon", "neon2", "fg"];
+const CUSTOM_LABELS = { bg: "background", fg: "text", neon: "neon", neon2: "second neon" };
+
+function ThemeSettings() {
+  const { id, custom } = useSettings("theme");
+  const colors = { ...CUSTOM_DEFAULTS, ...custom };
+  const themes = { ...THEMES, custom: { title: "Custom", ...colors } };
+  return (
+    <div className="flex flex-col gap-2 font-mono text-[12px]">
+      {Object.entries(themes).map(([name, theme]) => (
+        <label key={name} className="inline-flex items-center gap-2">
+          <input type="radio" name="theme" checked={id === name} onChange={() => updateSettings("theme", { id: name })} />
+          <span className="flex">
+            {THEME_SWATCHES.map((k) => <span key={k} className="h-3 w-3 border border-white/20" style={{ background: theme[k] }} />)}
+          </span>
+          <span>{theme.title}</span>
+        </label>
+      ))}
+      {id === "custom" && (
+        <div className="mt-2 grid grid-cols-2 gap-2">
+          {Object.entries(CUSTOM_LABELS).map(([k, label]) => (
+            <SettingRow key={k} label={label}>
+              <input
+                type="color" value={colors[k]}
+                onChange={(e) => updateSettings("theme", { custom: { ...colors, [k]: e.target.value } })}
+                className="h-5 w-8 cursor-pointer bg-transparent"
+              />
+            </SettingRow>
+          ))}
+          <div className="col-span-2 text-right">
+            <button onClick={() => updateSettings("theme", { custom: null })} className="text-accent-300/70 hover:text-accent-200">Reset custom theme</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function WallpaperSettings() {
+  const { scene } = useSettings("wallpaper");
+  return (
+    <div className="flex flex-col gap-2 font-mono text-[12px]">
+      {Object.entries(WALLPAPERS).map(([id, { title }]) => (
+        <label key={id} className="inline-flex items-center gap-2">
+          <input type="radio" name="wallpaper" checked={scene === id} onChange={() => updateSettings("wallpaper", { scene: id })} />
+          <span>{title}</span>
+        </label>
+      ))}
+      <p className="mt-1 text-accent-300/70">
+        {canRun3D()
+          ? "3D scenes use the rain's color and drop back to the rain if they can't keep up."
+          : "This device asked for reduced motion, looks low-powered or has no WebGL: 3D scenes show the rain instead."}
+      </p>
+    </div>
+  );
+}
+
+function ScreensaverSettings({ onPreview }) {
+  const { after, mode } = useSettings("screensaver");
+  return (
+    <div className="flex flex-col gap-3">
+      <SettingRow label="start after">
+        <select value={after} onChange={(e) => updateSettings("screensaver", { after: Number(e.target.value) })}
+                className={`rounded-md border ${borderCol} bg-black/60 px-2 py-1`}>
+          {IDLE_CHOICES.map((m) => <option key={m} value={m}>{m ? `${m} min` : "never"}</option>)}
+        </select>
+      </SettingRow>
+      <SettingRow label="show">
+        <select value={mode} onChange={(e) => updateSettings("screensaver", { mode: e.target.value })}
+                className={`rounded-md border ${borderCol} bg-black/60 px-2 py-1`}>
+          {Object.entries(SCREENSAVERS).map(([id, title]) => <option key={id} value={id}>{title}</option>)}
+        </select>
+      </SettingRow>
+      <div className="text-right">
+        <button onClick={onPreview} className={`rounded-md border ${borderCol} bg-black/60 px-3 py-1 font-mono text-[12px] hover:bg-accent-400/10`}>Preview</button>
+      </div>
+    </div>
+  );
+}
+
+function DesktopSettings() {
+  const { autoArrange } = useSettings("desktop");
+  const btn = `rounded-md border ${borderCol} bg-black/60 px-3 py-1 hover:bg-accent-400/10`;
+  return (
+    <div className="flex flex-col gap-3 font-mono text-[12px]">
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => sortDesktopIcons("name")} className={btn}>Sort by name</button>
+        <button onClick={() => sortDesktopIcons("type")} className={btn}>Sort by type</button>
+        <button onClick={() => updateSettings("desktop", { icons: {} })} className={btn}>Default layout</button>
+      </div>
+      <label className="inline-flex items-center gap-2">
+        <input type="checkbox" checked={autoArrange} onChange={(e) => updateSettings("desktop", { autoArrange: e.target.checked })} />
+        <span>Auto-arrange (keep icons packed from the top-left; dragging reorders them)</span>
+      </label>
+      <p className="text-accent-300/70">Drag icons anywhere — they snap to the grid. Drag on the empty desktop to select several, then Enter opens them all.</p>
+    </div>
+  );
+}
+
+// Same options as the terminal's `crt --scanlines 0.6 …`
+function CrtSettings() {
+  const crt = useSettings("crt");
+  const reduce = useReducedMotion();
+  return (
+    <div className="flex flex-col gap-3">
+      <label className="inline-flex items-center gap-2 font-mono text-[12px]">
+        <input type="checkbox" checked={crt.enabled} onChange={(e) => updateSettings("crt", { enabled: e.target.checked })} />
+        <span>CRT monitor effect</span>
+      </label>
+      {CRT_OPTIONS.map((key) => (
+        <SettingRow key={key} label={key}>
+          <input
+            type="range" min={0} max={1} step={0.05} disabled={!crt.enabled}
+            value={crt[key]} onChange={(e) => updateSettings("crt", { [key]: Number(e.target.value) })}
+            className="w-full disabled:opacity-50"
+          />
+          <span className="w-12 text-right">{crt[key]}</span>
+        </SettingRow>
+      ))}
+      <p className="font-mono text-[12px] text-accent-300/70">
+        {reduce ? "Off while this device asks for reduced motion." : "Safe mode turns it off too. Clicks always reach the windows underneath."}
+      </p>
+      <div className="text-right">
+        <button onClick={() => resetSettings("crt")} className="font-mono text-[12px] text-accent-300/70 hover:text-accent-200">Reset CRT</button>
+      </div>
+    </div>
+  );
+}
+
+function SystemSettings() {
+  const { skip } = useSettings("boot");
+  return (
+    <label className="inline-flex items-center gap-2 font-mono text-[12px]">
+      <input type="checkbox" checked={!skip} onChange={(e) => updateSettings("boot", { skip: !e.target.checked })} />
+      <span>Play the boot sequence (BIOS, GRUB, kernel log) when the page loads</span>
+    </label>
+  );
+}
+
+// Same options as the terminal's `matrix --speed 2 --color cyan …`
+function RainSettings() {
+  const rain = useSettings("rain");
+  const theme = useTheme();
+  const set = (patch) => updateSettings("rain", patch);
+  const slider = (key, step) => (
+    <SettingRow label={key}>
+      <input
+        type="range" min={RAIN_LIMITS[key][0]} max={RAIN_LIMITS[key][1]} step={step}
+        value={rain[key]} onChange={(e) => set({ [key]: Number(e.target.value) })}
+        className="w-full"
+      />
+      <span className="w-12 text-right">{rain[key]}</span>
+    </SettingRow>
+  );
+  return (
+    <div className="flex flex-col gap-3">
+      {slider("speed", 0.25)}
+      {slider("density", 0.1)}
+      {slider("size", 1)}
+      <SettingRow label="color">
+        <div className="flex flex-wrap items-center gap-1">
+          <button
+            type="button" title="theme (follows Settings → Theme)" aria-pressed={rain.color === "theme"} onClick={() => set({ color: "theme" })}
+            className={`h-5 w-5 rounded-[3px] border bg-neon ${rain.color === "theme" ? "border-white" : "border-transparent"}`}
+          />
+          {Object.entries(RAIN_COLORS).map(([name, hex]) => (
+            <button
+              key={name} type="button" title={name} aria-pressed={rain.color === name} onClick={() => set({ color: name })}
+              className={`h-5 w-5 rounded-[3px] border ${rain.color === name ? "border-white" : "border-transparent"}`}
+              style={{ background: hex }}
+            />
+          ))}
+          <input
+            type="color" title="custom" value={rainColor(rain.color, theme.neon)}
+            onChange={(e) => set({ color: e.target.value })}
+            className="h-5 w-8 cursor-pointer bg-transparent"
+          />
+        </div>
+      </SettingRow>
+      <SettingRow label="charset">
+        <select value={rain.charset} onChange={(e) => set({ charset: e.target.value })}
+                className={`rounded-md border ${borderCol} bg-black/60 px-2 py-1`}>
+          {Object.keys(RAIN_CHARSETS).map((name) => <option key={name}>{name}</option>)}
+        </select>
+      </SettingRow>
+      <SettingRow label="messages">
+        <input type="checkbox" checked={rain.messages} onChange={(e) => set({ messages: e.target.checked })} />
+        {/* committed on blur so typing a comma doesn't get eaten */}
+        <input
+          key={rain.words.join(",")}
+          defaultValue={rain.words.join(", ")}
+          disabled={!rain.messages}
+          onBlur={(e) => {
+            const words = e.target.value.split(",").map((w) => w.trim()).filter(Boolean);
+            set({ words: words.length ? words : RAIN_DEFAULTS.words });
+          }}
+          placeholder="hidden words, comma-separated"
+          className={`min-w-0 flex-1 rounded-md border ${borderCol} bg-black/60 px-2 py-1 text-accent-200 placeholder-accent-300/50 focus:outline-none disabled:opacity-50`}
+        />
+      </SettingRow>
+      <div className="text-right">
+        <button onClick={() => resetSettings("rain")} className="font-mono text-[12px] text-accent-300/70 hover:text-accent-200">Reset rain</button>
+      </div>
+    </div>
+  );
+}
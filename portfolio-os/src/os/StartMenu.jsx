@@ -0,0 +1,110 @@
+import { useEffect, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { borderCol, frame } from "./styles";
+import { getApp, getApps, searchApps } from "./registry";
+import { useSettings } from "./settings";
+import { showContextMenu } from "./contextMenu";
+import { favoriteItem } from "./desktop";
+import { AppIcon, FreshIcon, GearIcon, LockIcon, PowerIcon, RestartIcon, SearchIcon } from "./Icons";
+
+/* ======================= Ubuntu-like Start Menu ============================ */
+export function UbuntuMenu({ open, onClose, onLaunch, onOpenSettings, onRestart, onStartFresh, onPowerOff, onLock, playSfx }) {
+  const [q, setQ] = useState("");
+  const { favorites } = useSettings("start");
+
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open, onClose]);
+
+  const apps = getApps();
+  const filtered = searchApps(q);
+
+  const favApps = favorites.map(getApp).filter(Boolean);
+  const launch = (app) => { playSfx("open"); onLaunch(app.id); onClose(); };
+  const appMenu = (app) => (e) => showContextMenu(e, [
+    { label: "Open", run: () => launch(app) },
+    "-",
+    favoriteItem(app.id, favorites),
+  ]);
+
+  const AppTile = ({ app }) => (
+    <button
+      onClick={() => launch(app)}
+      onContextMenu={appMenu(app)}
+      className={`flex flex-col items-center gap-2 rounded-md ${borderCol} border bg-black/50 p-3 text-accent-200 hover:bg-accent-400/10`}
+    >
+      <AppIcon src={app.icon} alt={app.title} className="h-10 w-10 select-none" />
+      <span className="text-xs font-mono opacity-90">{app.title}</span>
+    </button>
+  );
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <motion.button
+            aria-hidden onClick={() => { playSfx("menu"); onClose(); }}
+            className="fixed inset-0 z-40 bg-black/50 backdrop-blur-[2px]"
+            initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+          />
+          <motion.div
+            className={`fixed left-2 bottom-12 z-50 flex ${frame} bg-[rgba(0,0,0,0.85)]`}
+            style={{ width: "min(960px, 96vw)", height: "min(620px, 72vh)" }}
+            initial={{ opacity: 0, y: 12, scale: 0.98 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: 12, scale: 0.98 }}
+            transition={{ type: "spring", stiffness: 260, damping: 22 }}
+          >
+            <div className={`flex w-16 flex-col items-center gap-2 border-r ${borderCol} p-2`}>
+              {favApps.map((app) => (
+                <button
+                  key={app.id}
+                  onClick={() => launch(app)}
+                  onContextMenu={appMenu(app)}
+                  className="rounded-md border border-transparent p-2 hover:border-accent-400/40 hover:bg-accent-400/10"
+                  title={app.title}
+                >
+                  <AppIcon src={app.icon} alt={app.title} className="h-8 w-8" />
+                </button>
+              ))}
+              <div className="mt-auto flex flex-col items-center gap-1">
+                <IconBtn title="Settings" onClick={() => { playSfx("menu"); onOpenSettings(); }} icon={<GearIcon/>} />
+                <IconBtn title="Start fresh (forget open windows, settings & files)" onClick={() => { playSfx("menu"); onStartFresh(); }} icon={<FreshIcon/>} />
+                <IconBtn title="Lock (Ctrl+Alt+L)" onClick={() => { playSfx("menu"); onLock(); }} icon={<LockIcon/>} />
+                <IconBtn title="Restart"  onClick={() => { playSfx("menu"); onRestart(); }} icon={<RestartIcon/>} />
+                <IconBtn title="Power Off" onClick={() => { playSfx("menu"); onPowerOff(); }} icon={<PowerIcon/>} />
+              </div>
+            </div>
+
+            <div className="flex min-w-0 flex-1 flex-col p-3">
+              <div className="mb-3 flex items-center gap-2">
+                <SearchIcon />
+                <input
+                  autoFocus value={q} onChange={e => setQ(e.target.value)} placeholder="Type to search…"
+                  className={`w-full rounded-md border ${borderCol} bg-black/60 px-3 py-2 font-mono text-sm text-accent-200 placeholder-accent-300/50 focus:outline-none`}
+                />
+              </div>
+              <div className="grid flex-1 grid-cols-3 gap-3 overflow-auto sm:grid-cols-4 md:grid-cols-5">
+                {(q ? filtered : apps).map(app => <AppTile key={app.id} app={app} />)}
+                {q && filtered.length === 0 && (
+                  <div className="col-span-full grid place-items-center text-accent-300/70">
+                    No apps match “{q}”
+                  </div>
+                )}
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
+
+const IconBtn = ({ title, onClick, icon }) => (
+  <button title={title} onClick={onClick} className="rounded-md p-2 text-accent-300 hover:bg-accent-400/10">
+    {icon}
+  </button>
+);
@@ -0,0 +1,137 @@
+import React, { useRef, useState } from "react";
+import { borderCol, frame } from "./styles";
+import { getApp } from "./registry";
+import { shallow, useStore } from "./store";
+import { useRenderCount } from "./renderCount";
+import { showContextMenu } from "./contextMenu";
+import { useClock, useOutsideClose } from "./hooks";
+import { selectTaskbar, selectUsedWorkspaces, selectWorkspace, winTitle } from "./windows";
+import { AppIcon, OverviewIcon } from "./Icons";
+
+/* ===================== Alt+Tab window switcher ============================= */
+/* Shown while the modifier is held; `index` is the window that gets focus on
+   release. Items come in most-recently-focused order. */
+export function WindowSwitcher({ items, index }) {
+  return (
+    <div className="pointer-events-none fixed inset-0 z-[70] grid place-items-center">
+      <div className={`flex max-w-[90vw] flex-wrap justify-center gap-2 ${frame} bg-[rgba(0,0,0,0.9)] p-3`}>
+        {items.map(({ app, win }, i) => (
+          <div key={win.id}
+               className={`flex w-28 flex-col items-center gap-2 rounded-[4px] border p-3 ${i === index ? "border-accent-400/80 bg-accent-400/15" : "border-transparent"}`}>
+            <AppIcon src={app.icon} alt="" className={`h-10 w-10 ${win.minimized ? "opacity-50" : ""}`} />
+            <span className="w-full truncate text-center font-mono text-[11px] text-accent-200">{winTitle(app, win)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ======================== Taskbar (grouped per app) ======================== */
+/* One button per app. A single window toggles like before; several windows
+   open a small picker listing each instance. Right-click for New window /
+   Close all instances. */
+function TaskbarGroup({ app, group, onToggle, onNew, onCloseAll }) {
+  const [open, setOpen] = useState(false);
+  const boxRef = useRef(null);
+  const close = React.useCallback(() => setOpen(false), []);
+  useOutsideClose(boxRef, open, close);
+
+  const btn = `rounded-[4px] ${borderCol} border px-2 py-1 text-[12px] text-accent-200 hover:bg-black/50`;
+  const onMenu = (e) => {
+    setOpen(false);
+    showContextMenu(e, [
+      { label: "New window", disabled: app.singleton, run: onNew },
+      "-",
+      { label: group.length > 1 ? `Close all instances (${group.length})` : "Close all instances", run: onCloseAll },
+    ]);
+  };
+
+  if (group.length === 1) {
+    return <button onClick={() => onToggle(group[0].id)} onContextMenu={onMenu} className={btn}>{app.title}</button>;
+  }
+  return (
+    <div ref={boxRef}>
+      <button onClick={() => setOpen((o) => !o)} onContextMenu={onMenu} className={`${btn} flex items-center gap-1`} aria-expanded={open}>
+        {app.title}
+        <span className="rounded-sm bg-accent-400/20 px-1 text-[10px] leading-4">{group.length}</span>
+      </button>
+      {open && (
+        <div className={`fixed bottom-10 z-40 flex min-w-[180px] flex-col ${frame} bg-[rgba(0,0,0,0.9)] p-1`}>
+          {group.map((w) => (
+            <button key={w.id} onClick={() => { onToggle(w.id); setOpen(false); }}
+                    className={`rounded-[3px] px-2 py-1 text-left text-[12px] hover:bg-accent-400/10 ${w.minimized ? "text-accent-300/60" : "text-accent-200"}`}>
+              {winTitle(app, w)}{w.minimized ? " (minimized)" : ""}
+            </button>
+          ))}
+          <button onClick={() => { onCloseAll(); setOpen(false); }}
+                  className={`mt-1 border-t ${borderCol} px-2 py-1 text-left text-[12px] text-accent-300/80 hover:bg-accent-400/10`}>
+            Close all windows
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Workspace switcher: one cell per workspace, lit when it has windows. */
+function WorkspaceSwitcher({ current, used, onSwitch }) {
+  return (
+    <div className="flex items-center gap-1" title="Workspaces (Ctrl+Alt+← / →)">
+      {used.map((inUse, i) => (
+        <button key={i} onClick={() => onSwitch(i)} aria-current={i === current}
+                className={`relative h-6 w-7 rounded-[3px] border font-mono text-[11px] ${i === current ? "border-accent-400/70 bg-accent-400/15 text-accent-200" : `${borderCol} text-accent-300/70 hover:bg-accent-400/10`}`}>
+          {i + 1}
+          {inUse && <span className="absolute bottom-0.5 left-1/2 h-[3px] w-[3px] -translate-x-1/2 rounded-full bg-accent-300" />}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// The only thing that ticks every second.
+function TaskbarClock() {
+  useRenderCount("TaskbarClock");
+  const now = useClock();
+  return (
+    <div className={`rounded-[4px] ${borderCol} border px-2 py-1 font-mono text-[12px] text-accent-200`}>
+      {now.toLocaleTimeString([], {hour:"2-digit",minute:"2-digit"})}
+    </div>
+  );
+}
+
+export const Taskbar = React.memo(function Taskbar({ wm, actions, menuOpen, overview, onToggleMenu, onToggleOverview }) {
+  useRenderCount("Taskbar");
+  const workspace = useStore(wm, selectWorkspace);
+  const here = useStore(wm, selectTaskbar, shallow);
+  const used = useStore(wm, selectUsedWorkspaces, shallow);
+  return (
+    <div className={`fixed inset-x-0 bottom-0 z-20 flex items-center gap-2 border-t ${borderCol} bg-black/70 px-2 py-1 backdrop-blur-[2px]`}>
+      <button
+        className={`rounded-[4px] ${borderCol} border px-3 py-1 font-mono text-[12px] text-accent-200`}
+        onClick={onToggleMenu}
+        aria-expanded={menuOpen}
+        aria-haspopup="dialog"
+      >
+        Start
+      </button>
+      <button
+        className={`grid h-[26px] w-[30px] place-items-center rounded-[4px] border ${overview ? "border-accent-400/70 bg-accent-400/15" : borderCol} text-accent-200 hover:bg-accent-400/10`}
+        onClick={onToggleOverview}
+        title="Overview (Ctrl+Alt+↑)"
+        aria-pressed={overview}
+      >
+        <OverviewIcon />
+      </button>
+      <div className="flex min-w-0 flex-1 items-center gap-2 overflow-x-auto">
+        {[...new Set(here.map((w)=>w.appId))].map((appId)=>{ const app=getApp(appId); if(!app) return null; return (
+          <TaskbarGroup key={appId} app={app} group={here.filter((w)=>w.appId===appId)}
+                        onToggle={actions.toggleMinimize} onNew={() => actions.open(appId, { newInstance: true })}
+                        onCloseAll={() => actions.closeAll(appId)} />
+        ); })}
+      </div>
+      <WorkspaceSwitcher current={workspace} used={used} onSwitch={actions.switchWorkspace} />
+      <TaskbarClock />
+    </div>
+  );
+});
@@ -0,0 +1,360 @@
+import React, { Suspense, useCallback, useRef, useState, useMemo } from "react";
+import { motion } from "framer-motion";
+import { borderCol, frame } from "./styles";
+import { WindowScope } from "./keyboard";
+import { logSystem } from "./syslog";
+import { getApp } from "./registry";
+import { linkTo } from "./router";
+import { shallow, useStore } from "./store";
+import { useRenderCount } from "./renderCount";
+import { contextMenu, openContextMenu, showContextMenu } from "./contextMenu";
+import { MIN_WIN, WORKSPACES, clamp, clampRect, desktopArea, rectOf, selectSnapPreview, selectWorkspace, snapZoneAt, stackZ, trackPointer, winTitle, zoneRect } from "./windows";
+import { AppIcon } from "./Icons";
+
+/* ========================= Window controls ================================= */
+const ControlButton = ({ kind, onClick, title }) => (
+  <button
+    onClick={onClick}
+    title={title}
+    className={`grid h-6 w-6 place-items-center ${borderCol} border bg-black/40 text-accent-300 hover:bg-accent-400/10 active:bg-accent-400/20 rounded-[3px]`}
+    style={{ lineHeight: 0 }}
+  >
+    {kind === "min" ? (
+      <svg width="12" height="12" viewBox="0 0 12 12" className="text-neon" aria-hidden shapeRendering="crispEdges" vectorEffect="non-scaling-stroke">
+        <rect x="2" y="6" width="8" height="1" fill="currentColor" />
+      </svg>
+    ) : kind === "max" ? (
+      <svg width="12" height="12" viewBox="0 0 12 12" className="text-neon" aria-hidden shapeRendering="crispEdges" vectorEffect="non-scaling-stroke">
+        <rect x="2.5" y="2.5" width="7" height="7" fill="none" stroke="currentColor" strokeWidth="1" />
+      </svg>
+    ) : kind === "restore" ? (
+      <svg width="12" height="12" viewBox="0 0 12 12" className="text-neon" aria-hidden shapeRendering="crispEdges" vectorEffect="non-scaling-stroke">
+        <rect x="2.5" y="4.5" width="5" height="5" fill="none" stroke="currentColor" strokeWidth="1" />
+        <path d="M4.5 4.5 V2.5 H9.5 V7.5 H7.5" fill="none" stroke="currentColor" strokeWidth="1" />
+      </svg>
+    ) : (
+      <svg width="12" height="12" viewBox="0 0 12 12" className="text-neon" aria-hidden shapeRendering="crispEdges" vectorEffect="non-scaling-stroke">
+        <path d="M3 3 L9 9 M9 3 L3 9" stroke="currentColor" strokeWidth="1" />
+      </svg>
+    )}
+  </button>
+);
+
+/* ======================= Crash handling per window ========================
+   Each window's content renders inside its own boundary, so one broken app
+   shows a "not responding" dialog instead of blanking the whole desktop. */
+class AppErrorBoundary extends React.Component {
+  state = { error: null, info: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    this.setState({ info });
+    logSystem(this.props.win.id, `crashed: ${error?.message || error}`, "error");
+  }
+
+  render() {
+    const { error, info } = this.state;
+    if (!error) return this.props.children;
+    return <CrashDialog app={this.props.app} win={this.props.win} error={error} info={info}
+                        onRestart={this.props.onRestart} onClose={this.props.onClose} />;
+  }
+}
+
+function CrashDialog({ app, win, error, info, onRestart, onClose }) {
+  const [copied, setCopied] = useState(false);
+  const details = [
+    `${winTitle(app, win)} (${win.id}) stopped responding`,
+    String(error?.stack || error),
+    info?.componentStack ? `Component stack:${info.componentStack}` : "",
+  ].filter(Boolean).join("\n\n");
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(details);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1200);
+    } catch { /* clipboard blocked — the details are still on screen */ }
+  };
+  const btn = `rounded-md border ${borderCol} bg-black/60 px-3 py-1 text-[12px] hover:bg-accent-400/10`;
+
+  return (
+    <div className="grid h-full min-h-[160px] place-items-center" role="alertdialog" aria-label={`${app.title} crashed`}>
+      <div className={`w-full max-w-[520px] ${frame} bg-black/70 p-4`}>
+        <div className="mb-2 font-mono text-sm text-red-300">⚠ {winTitle(app, win)} is not responding</div>
+        <p className="mb-2 text-[12px] text-accent-200/80">The app crashed. You can restart it or close the window.</p>
+        <pre className={`mb-3 max-h-32 overflow-auto whitespace-pre-wrap rounded border ${borderCol} bg-black/60 p-2 text-[11px] text-red-200/90`}>
+          {String(error?.message || error)}
+        </pre>
+        <div className="flex flex-wrap justify-end gap-2">
+          <button className={btn} onClick={copy}>{copied ? "Copied!" : "Copy details"}</button>
+          <button className={btn} onClick={onClose}>Close</button>
+          <button className={`${btn} border-accent-400/60 text-accent-100`} onClick={onRestart}>Restart app</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ================================ Window =================================== */
+// Shown while an app's chunk is fetched on its first open.
+function BootPlaceholder({ app }) {
+  return (
+    <div className="grid h-full place-items-center font-mono text-[12px] text-accent-300/80">
+      <div className="flex items-center gap-2">
+        <AppIcon src={app.icon} alt="" className="h-6 w-6 animate-pulse" />
+        <span>loading {app.id}<span className="animate-pulse">_</span></span>
+      </div>
+    </div>
+  );
+}
+
+const RESIZE_HANDLES = [
+  ["n",  "left-2 right-2 top-0 h-1.5 cursor-ns-resize"],
+  ["s",  "left-2 right-2 bottom-0 h-1.5 cursor-ns-resize"],
+  ["e",  "top-2 bottom-2 right-0 w-1.5 cursor-ew-resize"],
+  ["w",  "top-2 bottom-2 left-0 w-1.5 cursor-ew-resize"],
+  ["nw", "left-0 top-0 h-2.5 w-2.5 cursor-nwse-resize"],
+  ["se", "right-0 bottom-0 h-2.5 w-2.5 cursor-nwse-resize"],
+  ["ne", "right-0 top-0 h-2.5 w-2.5 cursor-nesw-resize"],
+  ["sw", "left-0 bottom-0 h-2.5 w-2.5 cursor-nesw-resize"],
+];
+
+// The window menu: the title-bar icon opens it, so does a right-click on the title bar.
+const windowMenu = (app, win, h) => [
+  { label: "Minimize", hint: "Alt+↓", run: h.onMinimize },
+  { label: win.snap === "max" ? "Restore" : "Maximize", hint: "Alt+↑", run: h.onToggleMaximize },
+  { label: "Always on top", checked: !!win.onTop, run: h.onToggleOnTop },
+  { label: "Move to workspace", items: Array.from({ length: WORKSPACES }, (_, i) => (
+    { label: `Workspace ${i + 1}`, checked: i === win.ws, disabled: i === win.ws, run: () => h.onMoveTo(i) })) },
+  { label: "Copy link", run: () => navigator.clipboard?.writeText(window.location.origin + window.location.pathname + linkTo(app.id, win.args)) },
+  "-",
+  { label: "Close", hint: "Alt+Q", run: h.onClose },
+];
+
+// A click on the button while its menu is up only closes it (the press
+// outside already did), like any other menu button.
+function WindowMenuButton({ app, win, items }) {
+  const wasOpen = useRef(false);
+  const open = (e) => {
+    if (wasOpen.current) { wasOpen.current = false; return; }
+    const r = e.currentTarget.getBoundingClientRect();
+    openContextMenu(r.left, r.bottom + 4, items(), { keyboard: e.detail === 0, owner: win.id });
+  };
+  return (
+    <button
+      onPointerDown={() => { wasOpen.current = contextMenu.getState().menu?.owner === win.id; }}
+      onClick={open} title="Window menu" aria-haspopup="menu"
+      className="grid h-5 w-5 place-items-center rounded-[3px] hover:bg-accent-400/10"
+    >
+      <AppIcon src={app.icon} alt="" draggable={false} className="h-4 w-4 select-none" />
+    </button>
+  );
+}
+
+function MatrixWindow({ app, win, content: Content, onClose, onMinimize, onFocus, onGeometry, onToggleMaximize, onToggleOnTop, onMoveTo, onSnapPreview, overview, onPick, boundsRef, keys, inject }) {
+  // live rect while dragging/resizing; committed to the window record on release
+  const [draft, setDraft] = useState(null);
+  // bumping the generation remounts the app from scratch (crash → "Restart app")
+  const [generation, setGeneration] = useState(0);
+  const restartApp = () => {
+    logSystem(win.id, "restarted by user");
+    setGeneration((g) => g + 1);
+  };
+  const scope = useMemo(
+    () => ({ windowId: win.id, subscribeKeys: (fn) => keys.subscribe(win.id, fn) }),
+    [win.id, keys]
+  );
+  const rect = draft || win;
+  const maximized = win.snap === "max";
+  // same element while dragging/resizing, so the app skips those renders
+  // (Content is the app's lazy component and never changes for a window)
+  const body = useMemo(() => <Content {...(inject || {})} />, [inject]);
+
+  const area = () => desktopArea(boundsRef.current);
+  const origin = () => boundsRef.current.getBoundingClientRect();
+  const menuItems = () => windowMenu(app, win, { onMinimize, onToggleMaximize, onToggleOnTop, onMoveTo, onClose });
+
+  const startMove = (e) => {
+    if (e.button !== 0 || e.target.closest("button")) return;
+    const o = origin();
+    const sx = e.clientX, sy = e.clientY;
+    let start = rectOf(win), next = null, zone = null;
+    trackPointer((ev) => {
+      const dx = ev.clientX - sx, dy = ev.clientY - sy;
+      if (!next && Math.abs(dx) + Math.abs(dy) < 4) return; // still a click
+      if (!next && win.snap && win.restore) {
+        // tear off at the pre-snap size, keeping the grab point under the cursor
+        const fx = (sx - o.left - win.x) / win.width;
+        start = { ...win.restore, x: sx - o.left - fx * win.restore.width, y: win.y };
+      }
+      const a = area();
+      next = clampRect({ ...start, x: start.x + dx, y: start.y + dy }, a);
+      zone = snapZoneAt(ev.clientX - o.left, ev.clientY - o.top, a);
+      setDraft(next);
+      onSnapPreview(zone ? zoneRect(zone, a) : null);
+    }, () => {
+      setDraft(null);
+      onSnapPreview(null);
+      if (!next) return;
+      if (zone) onGeometry({ ...zoneRect(zone, area()), snap: zone, restore: win.snap ? win.restore : rectOf(win) });
+      else onGeometry({ ...next, snap: null, restore: null });
+    });
+  };
+
+  const startResize = (edge) => (e) => {
+    if (e.button !== 0) return;
+    const sx = e.clientX, sy = e.clientY, s = rectOf(win);
+    let next = null;
+    trackPointer((ev) => {
+      const dx = ev.clientX - sx, dy = ev.clientY - sy, a = area();
+      let { x, y, width, height } = s;
+      if (edge.includes("e")) width = clamp(s.width + dx, MIN_WIN.w, a.x + a.width - s.x);
+      if (edge.includes("s")) height = clamp(s.height + dy, MIN_WIN.h, a.y + a.height - s.y);
+      if (edge.includes("w")) { width = clamp(s.width - dx, MIN_WIN.w, s.x + s.width - a.x); x = s.x + s.width - width; }
+      if (edge.includes("n")) { height = clamp(s.height - dy, MIN_WIN.h, s.y + s.height - a.y); y = s.y + s.height - height; }
+      next = { x, y, width, height };
+      setDraft(next);
+    }, () => {
+      setDraft(null);
+      if (next) onGeometry({ ...next, snap: null, restore: null });
+    });
+  };
+
+  return (
+    <motion.div
+      data-window={win.id}
+      onPointerDown={onFocus}
+      style={{ zIndex: stackZ(win), left: rect.x, top: rect.y, width: rect.width, height: rect.height }}
+      className={`pointer-events-auto absolute flex select-none flex-col overflow-hidden ${frame} bg-[rgba(0,0,0,0.7)] backdrop-blur-[2px]`}
+      initial={{ opacity: 0, scale: 0.98 }}
+      animate={{ opacity: 1, scale: overview?.scale ?? 1, x: overview?.x ?? 0, y: overview?.y ?? 0 }}
+      transition={{ type: "spring", stiffness: 250, damping: 22 }}
+    >
+      <div
+        onPointerDown={startMove}
+        onDoubleClick={(e) => { if (!e.target.closest("button")) onToggleMaximize(); }}
+        onContextMenu={(e) => showContextMenu(e, menuItems())}
+        className={`flex shrink-0 cursor-default items-center gap-2 border-b ${borderCol} px-2 py-1`}
+      >
+        <WindowMenuButton app={app} win={win} items={menuItems} />
+        <span className="font-mono text-[12px] text-accent-300">{winTitle(app, win)}</span>
+        <div className="ml-auto flex items-center gap-1">
+          <ControlButton kind="min" onClick={onMinimize} title="Minimize" />
+          <ControlButton kind={maximized ? "restore" : "max"} onClick={onToggleMaximize} title={maximized ? "Restore" : "Maximize"} />
+          <ControlButton kind="close" onClick={onClose} title="Close" />
+        </div>
+      </div>
+      <div className="min-h-0 flex-1 overflow-auto p-3 font-mono text-[13px] text-accent-200/90">
+        <WindowScope.Provider value={scope}>
+          <AppErrorBoundary key={generation} app={app} win={win} onRestart={restartApp} onClose={onClose}>
+            <Suspense fallback={<BootPlaceholder app={app} />}>
+              {body}
+            </Suspense>
+          </AppErrorBoundary>
+        </WindowScope.Provider>
+      </div>
+      {!maximized && !overview && RESIZE_HANDLES.map(([edge, cls]) => (
+        <div key={edge} onPointerDown={startResize(edge)} className={`absolute z-10 ${cls}`} />
+      ))}
+      {/* in overview the live window is just a big button */}
+      {overview && (
+        <button
+          onClick={onPick}
+          title={winTitle(app, win)}
+          className="absolute inset-0 z-20 cursor-pointer rounded-[4px] hover:bg-accent-400/10 hover:shadow-[0_0_0_3px_var(--glow-strong)_inset]"
+        />
+      )}
+    </motion.div>
+  );
+}
+
+/* One window, subscribed to its own record only. Handlers and the props the
+   app gets are memoized so the app renders for its own reasons. */
+const ManagedWindow = React.memo(function ManagedWindow({ id, wm, actions, playSfx, keys, boundsRef, overview, onPick }) {
+  const win = useStore(wm, useCallback((s) => s.windows.find((w) => w.id === id), [id]));
+  useRenderCount(`Window ${win?.appId}`);
+  const handlers = useMemo(() => ({
+    onClose: () => actions.close(id),
+    onMinimize: () => actions.minimize(id),
+    onFocus: () => actions.focus(id),
+    onGeometry: (geom) => actions.setGeometry(id, geom),
+    onToggleMaximize: () => actions.toggleMaximize(id),
+    onToggleOnTop: () => actions.toggleOnTop(id),
+    onMoveTo: (ws) => actions.moveToWorkspace(id, ws),
+    onPick: () => onPick(id),
+  }), [id, actions, onPick]);
+  const n = win?.n, args = win?.args;
+  // getMixer: the OS volume, mute and safe mode, for an app that makes its own sound
+  const inject = useMemo(() => ({ openApp: actions.open, playSfx, getMixer: wm.getState, instance: n, args }), [actions, playSfx, wm, n, args]);
+  const app = win && getApp(win.appId);
+  if (!app) return null;
+  return (
+    <MatrixWindow
+      app={app}
+      win={win}
+      content={app.component}
+      {...handlers}
+      onSnapPreview={actions.setSnapPreview}
+      overview={overview}
+      boundsRef={boundsRef}
+      keys={keys}
+      inject={inject}
+    />
+  );
+});
+
+function SnapPreview({ wm }) {
+  const rect = useStore(wm, selectSnapPreview, shallow);
+  if (!rect) return null;
+  return (
+    <div
+      className="pointer-events-none absolute rounded-[4px] border border-accent-400/60 bg-accent-400/10 shadow-[0_0_18px_var(--glow)_inset]"
+      style={{ left: rect.x, top: rect.y, width: rect.width, height: rect.height, zIndex: wm.getState().zTop }}
+    />
+  );
+}
+
+/* A workspace layer, slid sideways; off-screen layers stay mounted so apps
+   keep their state. */
+export const WorkspaceLayer = React.memo(function WorkspaceLayer({ ws, wm, actions, playSfx, keys, boundsRef, overview, layout, onPick, onLeaveOverview }) {
+  useRenderCount("WorkspaceLayer");
+  const workspace = useStore(wm, selectWorkspace);
+  const ids = useStore(wm, useCallback((s) => s.windows.filter((w) => w.ws === ws && !w.minimized).map((w) => w.id), [ws]), shallow);
+  const current = ws === workspace;
+  return (
+    <motion.div
+      inert={!current}
+      className="pointer-events-none absolute inset-0 z-10"
+      initial={false}
+      animate={{ x: `${(ws - workspace) * 100}%` }}
+      transition={{ type: "tween", duration: 0.35, ease: "easeInOut" }}
+    >
+      {current && overview && (
+        <div className="pointer-events-auto absolute inset-0 grid place-items-center bg-black/60 backdrop-blur-[2px]"
+             style={{ zIndex: 1 }} onClick={onLeaveOverview}>
+          {!ids.length && <span className="font-mono text-sm text-accent-300/70">No open windows on this workspace</span>}
+        </div>
+      )}
+
+      {/* snap zone preview while dragging a window to an edge */}
+      {current && <SnapPreview wm={wm} />}
+
+      {ids.map((id) => (
+        <ManagedWindow
+          key={id}
+          id={id}
+          wm={wm}
+          actions={actions}
+          playSfx={playSfx}
+          keys={keys}
+          boundsRef={boundsRef}
+          overview={current ? layout?.[id] : undefined}
+          onPick={onPick}
+        />
+      ))}
+    </motion.div>
+  );
+});
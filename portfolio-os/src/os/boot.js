@@ -0,0 +1,35 @@
+import { getApps } from "./registry";
+import { EVENTS } from "./bus";
+import { settings } from "./settings";
+import { WALLPAPERS, canRun3D } from "../wallpapers";
+
+/* ============================== Kernel log =================================
+   What the boot screen scrolls through: the OS's actual apps and services as
+   { source, msg } lines, the same shape as the system log they end up in.
+   `facts` are the bits only the desktop knows. */
+export function kernelLog({ windows, safeMode, offThread }) {
+  const nav = window.navigator;
+  const apps = getApps();
+  const { wallpaper } = settings.getState();
+  const audio = !!(window.AudioContext || window.webkitAudioContext);
+  return [
+    { source: "kernel", msg: "Linux version 6.6.6-sp8os (guest@sp8os) #1337 SMP PREEMPT_MATRIX" },
+    { source: "kernel", msg: `Command line: BOOT_IMAGE=/boot/vmlinuz-sp8os root=/dev/localStorage ro quiet${safeMode ? " nomodeset noaudio" : ""}` },
+    { source: "smpboot", msg: `${nav.hardwareConcurrency ?? 1} logical CPU(s) online` },
+    { source: "mem", msg: nav.deviceMemory ? `${nav.deviceMemory} GB reported by the browser` : "size unknown, assuming plenty" },
+    { source: "fb0", msg: `${window.innerWidth}x${window.innerHeight} @${window.devicePixelRatio || 1}x, color-scheme dark` },
+    { source: "registry", msg: `${apps.length} apps registered` },
+    ...apps.map((a) => ({
+      source: "registry",
+      msg: `${a.id} "${a.title}"${a.singleton ? " singleton" : ""}${a.aliases.length ? ` aka ${a.aliases.join(", ")}` : ""}`,
+    })),
+    { source: "bus", msg: `message bus up, ${Object.keys(EVENTS).length} event types` },
+    { source: "clipboard", msg: `shared clipboard ready${nav.clipboard ? ", mirrored to the browser" : ""}` },
+    { source: "settings", msg: `loaded ${Object.keys(settings.getState()).join(", ")}` },
+    { source: "session", msg: windows.length ? `restoring ${windows.length} window(s)` : "clean desktop" },
+    { source: "matrix", msg: `rain renderer: ${offThread ? "worker + OffscreenCanvas" : "main thread"}` },
+    { source: "wallpaper", msg: `${WALLPAPERS[wallpaper.scene]?.title ?? wallpaper.scene}, 3D ${!safeMode && canRun3D() ? "available" : "off"}` },
+    { source: "audio", msg: safeMode ? "disabled (safe mode)" : audio ? "WebAudio ready" : "no WebAudio, running silent" },
+    { source: "systemd", msg: "Reached target Graphical Interface." },
+  ];
+}
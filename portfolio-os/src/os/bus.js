@@ -0,0 +1,92 @@
+import { useContext, useEffect, useRef } from "react";
+import { WindowScope } from "./keyboard";
+import { logSystem } from "./syslog";
+
+/* ============================== Message bus ================================
+   OS-wide pub/sub so apps can talk without knowing about each other. Event
+   types are fixed in EVENTS, each with the payload fields it must carry;
+   publishing an unknown type or a payload missing a field throws, so a typo
+   fails loudly instead of never being heard. */
+export const EVENTS = {
+  APP_OPENED: "app:opened",               // { appId, windowId }
+  APP_CLOSED: "app:closed",               // { appId, windowId }
+  NOTIFICATION: "notification",           // { title, body?, kind?, timeout? (s) }
+  CLIPBOARD_CHANGED: "clipboard:changed", // { text, source }
+  THEME_CHANGED: "theme:changed",         // { theme }
+  APP_REQUEST: "app:request",             // { appId, action?, args?, from? }
+  FS_CHANGED: "fs:changed",               // { paths } (os/fs.js)
+};
+const REQUIRED = {
+  [EVENTS.APP_OPENED]: ["appId", "windowId"],
+  [EVENTS.APP_CLOSED]: ["appId", "windowId"],
+  [EVENTS.NOTIFICATION]: ["title"],
+  [EVENTS.CLIPBOARD_CHANGED]: ["text", "source"],
+  [EVENTS.THEME_CHANGED]: ["theme"],
+  [EVENTS.APP_REQUEST]: ["appId"],
+  [EVENTS.FS_CHANGED]: ["paths"],
+};
+
+const listeners = new Map(); // type -> Set<fn>
+
+export function subscribe(type, fn) {
+  if (!(type in REQUIRED)) throw new TypeError(`bus: unknown event "${type}"`);
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(fn);
+  return () => listeners.get(type).delete(fn);
+}
+
+export function publish(type, payload = {}) {
+  if (!(type in REQUIRED)) throw new TypeError(`bus: unknown event "${type}"`);
+  const missing = REQUIRED[type].filter((k) => payload[k] === undefined);
+  if (missing.length) throw new TypeError(`bus: "${type}" needs ${missing.join(", ")}`);
+  listeners.get(type)?.forEach((fn) => {
+    // one bad listener must not stop the rest from hearing the event
+    try { fn(payload); } catch (err) { logSystem("bus", `${type} listener threw: ${err?.message || err}`, "error"); }
+  });
+}
+
+// Listen while the calling component is mounted; the handler may change freely.
+export function useBus(type, handler) {
+  const latest = useRef(handler);
+  useEffect(() => { latest.current = handler; });
+  useEffect(() => subscribe(type, (payload) => latest.current(payload)), [type]);
+}
+
+/* Action requests ("open Mines and start Expert"). Anyone publishes
+   APP_REQUEST (see requestApp); the OS opens or focuses a window of the app
+   and hands the action to deliverAction. Apps answer with useAppActions. The
+   action waits here until the window has registered, since the app's chunk
+   may still be loading. */
+export const requestApp = (appId, action, args, from) =>
+  publish(EVENTS.APP_REQUEST, { appId, action, args, from });
+
+const actionHandlers = new Map(); // windowId -> ref to { [action]: fn }
+const pendingActions = new Map(); // windowId -> [{ action, args }]
+
+const runAction = (windowId, handlers, { action, args }) => {
+  if (handlers[action]) handlers[action](args ?? {});
+  else logSystem(windowId, `ignored unknown action "${action}"`, "warn");
+};
+
+export function deliverAction(windowId, action, args) {
+  const handlers = actionHandlers.get(windowId)?.current;
+  if (handlers) return runAction(windowId, handlers, { action, args });
+  pendingActions.set(windowId, [...(pendingActions.get(windowId) ?? []), { action, args }]);
+}
+
+export const dropActions = (windowId) => pendingActions.delete(windowId);
+
+// Register the calling app's actions, e.g. useAppActions({ start: ({ level }) => … }).
+export function useAppActions(handlers) {
+  const scope = useContext(WindowScope);
+  const latest = useRef(handlers);
+  useEffect(() => { latest.current = handlers; });
+  useEffect(() => {
+    if (!scope) return;
+    const { windowId } = scope;
+    actionHandlers.set(windowId, latest);
+    pendingActions.get(windowId)?.forEach((req) => runAction(windowId, latest.current, req));
+    pendingActions.delete(windowId);
+    return () => actionHandlers.delete(windowId);
+  }, [scope]);
+}
@@ -0,0 +1,23 @@
+import { useSyncExternalStore } from "react";
+import { EVENTS, publish, subscribe } from "./bus";
+
+/* =============================== Clipboard =================================
+   One clipboard for every app. Writes are mirrored to the browser clipboard
+   when the page is allowed to; reads come from ours, since the browser's
+   needs a permission prompt and the OS one never does. */
+let current = "";
+
+export const readClipboard = () => current;
+
+export async function writeClipboard(text, source = "system") {
+  current = String(text);
+  publish(EVENTS.CLIPBOARD_CHANGED, { text: current, source });
+  try {
+    await navigator.clipboard?.writeText(current);
+  } catch {
+    // denied or insecure context: the OS clipboard still has it
+  }
+}
+
+const subscribeClipboard = (fn) => subscribe(EVENTS.CLIPBOARD_CHANGED, fn);
+export const useClipboard = () => useSyncExternalStore(subscribeClipboard, readClipboard);
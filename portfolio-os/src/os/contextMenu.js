@@ -0,0 +1,31 @@
+import { createStore } from "./store";
+
+/* ============================== Context menus ==============================
+   One menu open at a time. Whatever gets right-clicked calls
+   showContextMenu(e, items) and the desktop's ContextMenu
+   (ContextMenuHost.jsx) draws it. An item is
+     { label, run?, disabled?, checked?, hint?, items? }   (items = submenu)
+   or "-" for a separator. `checked` (true/false) makes it a toggle. Places
+   that don't call it (app bodies) keep the browser's own menu, or their
+   own right-click, like Mines' flags. */
+export const contextMenu = createStore({ menu: null }); // { id, x, y, items, keyboard, owner, returnFocus }
+
+let seq = 0;
+// `keyboard` starts with the first item highlighted; `owner` lets a menu
+// button tell that its own menu is the one open; Esc gives focus back to
+// whatever had it.
+export const openContextMenu = (x, y, items, { keyboard = false, owner = null } = {}) =>
+  contextMenu.setState({ menu: { id: ++seq, x, y, items, keyboard, owner, returnFocus: document.activeElement } });
+
+// For onContextMenu handlers. The Menu key / Shift+F10 fire it without a
+// pointer position, so those open under the element instead.
+export function showContextMenu(e, items) {
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.clientX || e.clientY) return openContextMenu(e.clientX, e.clientY, items);
+  const r = e.currentTarget.getBoundingClientRect();
+  openContextMenu(r.left, r.bottom, items, { keyboard: true });
+}
+
+export const closeContextMenu = () => contextMenu.setState({ menu: null });
+export const selectContextMenu = (s) => s.menu;
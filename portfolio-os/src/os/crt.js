@@ -0,0 +1,116 @@
+/* ================================ CRT effect ===============================
+   An optional old-monitor look over the whole desktop. Nothing can read the
+   page's pixels back, so it's split in two:
+     - an overlay canvas (WebGL, one full-screen triangle) darkens on top:
+       scanlines, the curved tube's vignette and bezel, flicker;
+     - an SVG filter on the desktop (CrtFilter in CrtOverlay.jsx) does what
+       needs the pixels themselves: phosphor glow and chromatic aberration.
+   Without WebGL the overlay is drawn with CSS gradients instead. Every
+   strength is 0..1. */
+export const CRT_DEFAULTS = {
+  enabled: false,
+  scanlines: 0.5,
+  curvature: 0.4,
+  glow: 0.3,
+  aberration: 0.2,
+  flicker: 0.15,
+};
+export const CRT_OPTIONS = ["scanlines", "curvature", "glow", "aberration", "flicker"];
+
+// Validates one option as typed in the terminal: { value } or { error }.
+export function parseCrtOption(key, raw) {
+  if (!CRT_OPTIONS.includes(key)) return { error: `unknown option --${key}` };
+  const n = Number(raw);
+  return raw !== "" && Number.isFinite(n) && n >= 0 && n <= 1 ? { value: n } : { error: `${key} must be a number from 0 to 1` };
+}
+
+const VERTEX = `
+attribute vec2 pos;
+void main() { gl_Position = vec4(pos, 0.0, 1.0); }`;
+
+// Black with varying alpha: whatever is drawn only ever darkens the page.
+const FRAGMENT = `
+precision mediump float;
+uniform vec2 res;
+uniform float time, scanlines, curvature, flicker;
+float noise(float n) { return fract(sin(n * 12.9898) * 43758.5453); }
+void main() {
+  vec2 c = gl_FragCoord.xy / res * 2.0 - 1.0;
+  // where the pixel lands on a barrel-shaped tube; past the edge is bezel
+  vec2 bent = c + c * (c.yx * c.yx) * curvature * 0.12;
+  float bezel = step(1.0, max(abs(bent.x), abs(bent.y)));
+  float vignette = curvature * 0.55 * pow(dot(c, c) * 0.5, 1.5);
+  float line = scanlines * 0.4 * mod(floor(gl_FragCoord.y), 2.0);
+  float flick = flicker * 0.12 * noise(floor(time * 24.0));
+  gl_FragColor = vec4(0.0, 0.0, 0.0, max(bezel, min(0.9, line + vignette + flick)));
+}`;
+
+const FPS = 24; // enough for flicker
+
+function compile(gl) {
+  const program = gl.createProgram();
+  [[gl.VERTEX_SHADER, VERTEX], [gl.FRAGMENT_SHADER, FRAGMENT]].forEach(([type, src]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, src);
+    gl.compileShader(shader);
+    gl.attachShader(program, shader);
+  });
+  gl.linkProgram(program);
+  return gl.getProgramParameter(program, gl.LINK_STATUS) ? program : null;
+}
+
+/* Draws the overlay on `canvas`, or returns null when WebGL isn't there (the
+   caller falls back to CSS). Same controller shape as runRain: resize,
+   configure, set({ running }) and stop. Only flicker needs a loop; without
+   it one frame per change is enough. */
+export function runCrt(canvas, initial = CRT_DEFAULTS) {
+  let opts = { ...CRT_DEFAULTS, ...initial };
+  let gl = null;
+  try {
+    gl = canvas.getContext("webgl", { alpha: true, premultipliedAlpha: true, antialias: false });
+  } catch { /* no WebGL */ }
+  const program = gl && compile(gl);
+  if (!program) return null;
+
+  gl.useProgram(program);
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+  const pos = gl.getAttribLocation(program, "pos");
+  gl.enableVertexAttribArray(pos);
+  gl.vertexAttribPointer(pos, 2, gl.FLOAT, false, 0, 0);
+  const at = (name) => gl.getUniformLocation(program, name);
+  const u = { res: at("res"), time: at("time"), scanlines: at("scanlines"), curvature: at("curvature"), flicker: at("flicker") };
+
+  let frame = 0, last = 0, running = false;
+  const draw = (now = 0) => {
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.uniform2f(u.res, canvas.width, canvas.height);
+    gl.uniform1f(u.time, now / 1000);
+    gl.uniform1f(u.scanlines, opts.scanlines);
+    gl.uniform1f(u.curvature, opts.curvature);
+    gl.uniform1f(u.flicker, opts.flicker);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  };
+  const tick = (now) => {
+    frame = requestAnimationFrame(tick);
+    if (now - last < 1000 / FPS) return;
+    last = now;
+    draw(now);
+  };
+  const update = () => {
+    cancelAnimationFrame(frame);
+    frame = 0;
+    if (running && opts.flicker > 0) frame = requestAnimationFrame(tick);
+    else draw();
+  };
+
+  return {
+    // CSS pixels: scanlines are 2px apart whatever the screen's density
+    resize(width, height) { canvas.width = width; canvas.height = height; draw(); },
+    configure(next) { opts = { ...CRT_DEFAULTS, ...next }; update(); },
+    set(next) { running = next.running ?? running; update(); },
+    stop() { cancelAnimationFrame(frame); gl.getExtension("WEBGL_lose_context")?.loseContext(); },
+  };
+}
@@ -0,0 +1,24 @@
+import { getApps } from "./registry";
+import { settings, updateSettings } from "./settings";
+import { ICON_SORTS, arrangeIcons, iconGrid } from "./desktopIcons";
+import { desktopArea } from "./windows";
+
+/* ============================= Desktop choices =============================
+   What the settings panel offers and the desktop acts on: screensaver
+   choices, sorting the icons and pinning apps to the Start menu. */
+export const SCREENSAVERS = { rain: "Matrix rain", starfield: "Starfield", pipes: "Pipes" };
+export const IDLE_CHOICES = [1, 2, 5, 10, 15, 30, 0]; // minutes, 0 = never
+
+// "Sort by" for the settings (and anything else that offers it)
+export const sortDesktopIcons = (by) => {
+  const ids = [...getApps()].sort(ICON_SORTS[by]).map((a) => a.id);
+  updateSettings("desktop", { icons: arrangeIcons(ids, iconGrid(desktopArea(null))) });
+};
+
+// Pinned apps (settings.start.favorites) sit in the menu's dock, in pin order.
+const toggleFavorite = (appId) => {
+  const { favorites } = settings.getState().start;
+  updateSettings("start", { favorites: favorites.includes(appId) ? favorites.filter((id) => id !== appId) : [...favorites, appId] });
+};
+export const favoriteItem = (appId, favorites) =>
+  ({ label: "Pin to favorites", checked: favorites.includes(appId), run: () => toggleFavorite(appId) });
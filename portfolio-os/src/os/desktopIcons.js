@@ -0,0 +1,107 @@
+/* ============================ Desktop icon grid ============================
+   Icons sit on a grid of ICON_CELL-sized cells, counted [col, row] from the
+   desktop's top-left corner and filled row by row. The saved layout
+   (settings.desktop.icons) maps app ids to cells; anything unsaved, off the
+   current grid or overlapping gets the first free cell. Pure functions: the
+   desktop (DesktopIconGrid.jsx) owns dragging and selection. */
+export const ICON_CELL = { w: 104, h: 100 };
+export const ICON_PAD = 16;
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const key = ([c, r]) => `${c},${r}`;
+
+// how many cells fit in a desktop area ({ width, height })
+export const iconGrid = (area) => ({
+  cols: Math.max(1, Math.floor((area.width - ICON_PAD) / ICON_CELL.w)),
+  rows: Math.max(1, Math.floor((area.height - ICON_PAD) / ICON_CELL.h)),
+});
+
+export const cellPos = ([c, r]) => ({ x: ICON_PAD + c * ICON_CELL.w, y: ICON_PAD + r * ICON_CELL.h });
+
+// the part of a cell an icon covers, for rubber-band hits
+const ICON_BOX = { w: 96, h: 84 };
+const iconHit = (cell, band) => {
+  const { x, y } = cellPos(cell);
+  return x < Math.max(band.x0, band.x1) && x + ICON_BOX.w > Math.min(band.x0, band.x1) &&
+    y < Math.max(band.y0, band.y1) && y + ICON_BOX.h > Math.min(band.y0, band.y1);
+};
+// ids whose icons a rubber band ({ x0, y0, x1, y1 }) touches
+export const iconsInBand = (layout, band) => Object.keys(layout).filter((id) => iconHit(layout[id], band));
+
+// nearest cell to a point
+export const cellAt = (x, y, grid) => [
+  clamp(Math.round((x - ICON_PAD) / ICON_CELL.w), 0, grid.cols - 1),
+  clamp(Math.round((y - ICON_PAD) / ICON_CELL.h), 0, grid.rows - 1),
+];
+
+// reading order: by row, then column
+const readingOrder = (layout) => (a, b) => layout[a][1] - layout[b][1] || layout[a][0] - layout[b][0];
+const nthCell = (i, grid) => [i % grid.cols, Math.floor(i / grid.cols)];
+
+// First free cell in reading order, past the last row if the grid is full.
+function firstFree(taken, grid) {
+  for (let i = 0; ; i++) if (!taken.has(key(nthCell(i, grid)))) return nthCell(i, grid);
+}
+
+// Free cell closest to `cell`.
+function nearestFree(cell, taken, grid) {
+  let best = null, bestD = Infinity;
+  for (let r = 0; r < grid.rows; r++) {
+    for (let c = 0; c < grid.cols; c++) {
+      const d = (c - cell[0]) ** 2 + (r - cell[1]) ** 2;
+      if (d < bestD && !taken.has(key([c, r]))) { best = [c, r]; bestD = d; }
+    }
+  }
+  return best ?? firstFree(taken, grid);
+}
+
+// ids in order, packed row by row
+export const arrangeIcons = (ids, grid) => Object.fromEntries(ids.map((id, i) => [id, nthCell(i, grid)]));
+
+/* Where every icon goes on this grid. Saved cells win in reading order; the
+   rest fill gaps in the order `ids` lists them. With `packed` (auto-arrange)
+   the saved cells only decide the order. */
+export function layoutIcons(ids, saved, grid, packed = false) {
+  const known = ids.filter((id) => saved[id]);
+  const rest = ids.filter((id) => !saved[id]);
+  if (packed) return arrangeIcons([...known.sort(readingOrder(saved)), ...rest], grid);
+  const out = {}, taken = new Set();
+  const place = (id, cell) => { out[id] = cell; taken.add(key(cell)); };
+  for (const id of known.sort(readingOrder(saved))) {
+    const [c, r] = saved[id];
+    const fits = c < grid.cols && r < grid.rows && !taken.has(key([c, r]));
+    place(id, fits ? [c, r] : nearestFree([Math.min(c, grid.cols - 1), Math.min(r, grid.rows - 1)], taken, grid));
+  }
+  for (const id of rest) place(id, firstFree(taken, grid));
+  return out;
+}
+
+/* Drops the icons in `moved` ({ id: target cell }) onto `layout`. A target
+   that's taken by an icon staying put, or by one dropped before it, gives
+   way to the nearest free cell. */
+export function dropIcons(layout, moved, grid) {
+  const out = { ...layout };
+  const taken = new Set(Object.keys(layout).filter((id) => !(id in moved)).map((id) => key(layout[id])));
+  for (const [id, cell] of Object.entries(moved)) {
+    out[id] = taken.has(key(cell)) ? nearestFree(cell, taken, grid) : cell;
+    taken.add(key(out[id]));
+  }
+  return out;
+}
+
+// Auto-arrange's drop: the icons slot in at their targets in reading order
+// and everything packs up again.
+export function reorderIcons(layout, moved, grid) {
+  const order = Object.keys(layout).filter((id) => !(id in moved)).sort(readingOrder(layout));
+  const drops = Object.keys(moved).sort(readingOrder(moved));
+  for (const id of drops) {
+    const [c, r] = moved[id];
+    order.splice(Math.min(r * grid.cols + c, order.length), 0, id);
+  }
+  return arrangeIcons(order, grid);
+}
+
+export const ICON_SORTS = {
+  name: (a, b) => a.title.localeCompare(b.title),
+  type: (a, b) => a.type.localeCompare(b.type) || a.title.localeCompare(b.title),
+};
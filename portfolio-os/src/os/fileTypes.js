@@ -0,0 +1,71 @@
+import { getApp } from "./registry";
+import { fs } from "./fs";
+import { extname, joinPath } from "./path";
+
+/* ============================ File associations ============================
+   What a file is and what opens it, by extension. `app` gets the file's path
+   as its `path` launch arg (or as `arg`, like Mines' board). A file no app
+   handles opens its URL in a browser tab, if it has one. Folders open in
+   Files, .app launchers start the app they name. */
+const TEXT = { kind: "text", label: "Text document", app: "editor" };
+const IMAGE = { kind: "image", label: "Image", app: "viewer" };
+
+export const FILE_TYPES = {
+  txt: TEXT,
+  md: { ...TEXT, label: "Markdown" },
+  log: { ...TEXT, label: "Log" },
+  json: { ...TEXT, label: "JSON" },
+  js: { ...TEXT, label: "JavaScript" },
+  css: { ...TEXT, label: "Stylesheet" },
+  html: { ...TEXT, label: "Web page" },
+  sh: { ...TEXT, label: "Shell script" },
+  conf: { ...TEXT, label: "Configuration" },
+  png: IMAGE,
+  jpg: IMAGE,
+  jpeg: IMAGE,
+  gif: IMAGE,
+  webp: IMAGE,
+  svg: { ...IMAGE, label: "SVG image" },
+  mines: { kind: "mines", label: "Mines board", app: "mines", arg: "board" },
+  pdf: { kind: "pdf", label: "PDF document" },
+  app: { kind: "app", label: "App launcher" },
+};
+const FOLDER = { kind: "dir", label: "Folder", app: "files" };
+// no extension: plain text if it's ours to read (/etc/hostname), a download if not
+const PLAIN = { ...TEXT, label: "File" };
+const REMOTE = { kind: "file", label: "File" };
+
+// Symlinks count as what they point at (readdir's targetType).
+export const isFolder = (entry) => (entry.type === "link" ? entry.targetType : entry.type) === "dir";
+
+export const fileType = (entry) =>
+  isFolder(entry) ? FOLDER : FILE_TYPES[extname(entry.name)] ?? (entry.url ? REMOTE : PLAIN);
+
+// the app a launcher starts: "terminal.app" -> the terminal's manifest
+export const launcherApp = (name) => (extname(name) === "app" ? getApp(name.slice(0, -4)) : null);
+
+/* Opens a readdir/stat entry with whatever handles it. `openApp` is the
+   window manager's (apps get it as a prop). Editors open a window per file;
+   everything else reuses its window. */
+export async function openFile(entry, openApp) {
+  const target = entry.type === "link" ? await fs.stat(entry.path) : entry;
+  const type = fileType(target);
+  if (type.kind === "app") {
+    const id = /^id=(.+)$/m.exec(await fs.readFile(entry.path))?.[1];
+    if (!getApp(id)) throw new Error(`${entry.name}: no app called "${id ?? ""}"`);
+    return openApp(id);
+  }
+  if (type.app) return openApp(type.app, { newInstance: type.app === "editor", args: { [type.arg ?? "path"]: entry.path } });
+  if (target.url) return window.open(target.url, "_blank", "noopener");
+  throw new Error(`${entry.name}: nothing opens ${type.label.toLowerCase()}s`);
+}
+
+// "New folder", then "New folder 2", "New folder 3"… whichever is free in `dir`
+export async function freeName(dir, name) {
+  const dot = name.lastIndexOf(".");
+  const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? name : `${stem} ${n}${ext}`;
+    if (!(await fs.exists(joinPath(dir, candidate)))) return candidate;
+  }
+}
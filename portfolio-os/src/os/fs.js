@@ -0,0 +1,389 @@
+import { EVENTS, publish } from "./bus";
+import { logSystem } from "./syslog";
+import { USER, seedTree } from "./fsSeed";
+import { HOME, basename, dirname, globSegment, isGlob, isInside, joinPath, resolvePath, splitPath } from "./path";
+
+/* ============================ Virtual filesystem ===========================
+   A small POSIX-like tree of directories, text files and symlinks. Each
+   node has an owner and a mode: rwx bits for its owner and for everyone
+   else. There is one user, guest, and root owns the system. Paths are
+   absolute; resolve typed ones with resolvePath (os/path.js) first.
+
+   The tree lives in memory. Boot builds the seed (os/fsSeed.js) and lays
+   the changes saved in IndexedDB over it. Every change is written back the
+   same way and announced on the bus as FS_CHANGED { paths }. Every call is
+   async and fails with an FsError carrying the POSIX code (ENOENT, EACCES…). */
+const ERRORS = {
+  ENOENT: "No such file or directory",
+  EEXIST: "File exists",
+  ENOTDIR: "Not a directory",
+  EISDIR: "Is a directory",
+  ENOTEMPTY: "Directory not empty",
+  EACCES: "Permission denied",
+  EPERM: "Operation not permitted",
+  ELOOP: "Too many levels of symbolic links",
+  EINVAL: "Invalid argument",
+};
+
+export class FsError extends Error {
+  constructor(code, path, syscall) {
+    super(`${code}: ${ERRORS[code]}, ${syscall} '${path}'`);
+    this.name = "FsError";
+    this.code = code;
+    this.path = path;
+    this.syscall = syscall;
+    this.reason = ERRORS[code]; // what a shell prints after "cat: foo: "
+  }
+}
+
+const R = 4, W = 2, X = 1;
+const MAX_LINKS = 40; // hops before a symlink chain counts as a loop
+const DB_NAME = "sp8os.fs";
+const DB_STORE = "nodes"; // { path, node } — node null marks a deleted seed file
+
+let nodes = new Map(); // path -> { type, mode, owner, mtime, content?, target?, url? }
+let seeded = new Set(); // paths the seed made: deleting one has to be remembered
+let db = null;
+
+// guest uses the owner bits of what it owns and the "other" bits of the rest
+const allowed = (node, bits) => (((node.owner === USER ? node.mode >> 6 : node.mode) & bits) === bits);
+const fail = (code, path, syscall) => { throw new FsError(code, path, syscall); };
+const children = (dir) => [...nodes.keys()].filter((p) => p !== "/" && dirname(p) === dir).sort();
+const subtree = (path) => [...nodes.keys()].filter((p) => isInside(p, path));
+
+/* Real path of `path`: symlinks are followed on the way, and at the end too
+   unless `follow` is false. Every directory passed needs search (x). */
+function lookup(path, syscall, follow = true) {
+  let parts = splitPath(path), at = "/", hops = 0;
+  for (let i = 0; i < parts.length; i++) {
+    const dir = nodes.get(at);
+    if (dir.type !== "dir") fail("ENOTDIR", path, syscall);
+    if (!allowed(dir, X)) fail("EACCES", path, syscall);
+    const next = joinPath(at, parts[i]);
+    const node = nodes.get(next);
+    if (!node) fail("ENOENT", path, syscall);
+    if (node.type === "link" && (follow || i < parts.length - 1)) {
+      if (++hops > MAX_LINKS) fail("ELOOP", path, syscall);
+      parts = [...splitPath(resolvePath(node.target, at)), ...parts.slice(i + 1)];
+      at = "/";
+      i = -1;
+      continue;
+    }
+    at = next;
+  }
+  return at;
+}
+
+const lookupNode = (path, syscall, follow) => nodes.get(lookup(path, syscall, follow));
+
+/* Where a new entry for `path` goes: its real parent, which has to be a
+   directory guest may write to, and the real path of the entry. */
+function slot(path, syscall) {
+  if (path === "/") fail("EEXIST", path, syscall);
+  const parent = lookup(dirname(path), syscall);
+  const dir = nodes.get(parent);
+  if (dir.type !== "dir") fail("ENOTDIR", path, syscall);
+  if (!allowed(dir, W | X)) fail("EACCES", path, syscall);
+  return joinPath(parent, basename(path));
+}
+
+const statOf = (path, node) => ({
+  path,
+  name: basename(path),
+  type: node.type,
+  mode: node.mode,
+  owner: node.owner,
+  mtime: node.mtime,
+  size: node.type === "file" ? new TextEncoder().encode(node.content).length : node.type === "link" ? node.target.length : 4096,
+  ...(node.target !== undefined && { target: node.target }),
+  ...(node.url && { url: node.url }),
+});
+
+/* Saves and announces what changed at `paths` (gone ones included). Adding
+   or removing entries (`listing`) touches their directories' mtime too. */
+function changed(paths, { listing = true } = {}) {
+  const dirs = listing ? [...new Set(paths.map(dirname))].filter((p) => nodes.has(p)) : [];
+  const now = Date.now();
+  dirs.forEach((p) => { nodes.get(p).mtime = now; });
+  const all = [...new Set([...paths, ...dirs])];
+  if (db) {
+    const tx = db.transaction(DB_STORE, "readwrite");
+    const store = tx.objectStore(DB_STORE);
+    for (const path of all) {
+      const node = nodes.get(path);
+      if (node) store.put({ path, node });
+      else if (seeded.has(path)) store.put({ path, node: null });
+      else store.delete(path);
+    }
+    tx.onerror = () => logSystem("vfs", `couldn't save ${all[0]}: ${tx.error?.message ?? "unknown error"}`, "error");
+  }
+  publish(EVENTS.FS_CHANGED, { paths: all });
+}
+
+/* ------------------------------ operations ------------------------------- */
+function readdir(path) {
+  const real = lookup(path, "scandir");
+  const dir = nodes.get(real);
+  if (dir.type !== "dir") fail("ENOTDIR", path, "scandir");
+  if (!allowed(dir, R)) fail("EACCES", path, "scandir");
+  return children(real).map((p) => {
+    const entry = statOf(joinPath(path, basename(p)), nodes.get(p));
+    if (entry.type !== "link") return entry;
+    // what the link leads to, null when it dangles
+    try { return { ...entry, targetType: lookupNode(p, "stat").type }; } catch { return { ...entry, targetType: null }; }
+  });
+}
+
+function readFile(path) {
+  const node = lookupNode(path, "open");
+  if (node.type === "dir") fail("EISDIR", path, "read");
+  if (!allowed(node, R)) fail("EACCES", path, "open");
+  return node.content;
+}
+
+// Writes (or with `append`, adds to) a file, creating it if needed.
+function writeFile(path, data, { append = false } = {}) {
+  const text = String(data);
+  let real = null;
+  try { real = lookup(path, "open"); } catch (err) { if (err.code !== "ENOENT") throw err; }
+  if (real) {
+    const node = nodes.get(real);
+    if (node.type === "dir") fail("EISDIR", path, "open");
+    if (!allowed(node, W)) fail("EACCES", path, "open");
+    node.content = append ? node.content + text : text;
+    node.mtime = Date.now();
+    delete node.url; // whatever it pointed at, it's this text now
+    return changed([real], { listing: false });
+  }
+  const at = slot(path, "open");
+  if (nodes.has(at)) fail("ENOENT", path, "open"); // a dangling symlink
+  nodes.set(at, { type: "file", mode: 0o644, owner: USER, mtime: Date.now(), content: text });
+  changed([at]);
+}
+
+function touch(path) {
+  let node = null;
+  try { node = lookupNode(path, "utime"); } catch (err) { if (err.code !== "ENOENT") throw err; }
+  if (!node) return writeFile(path, "");
+  if (!allowed(node, W)) fail("EACCES", path, "utime");
+  node.mtime = Date.now();
+  changed([lookup(path, "utime")], { listing: false });
+}
+
+// `parents` (mkdir -p) makes the missing ones on the way and minds no existing directory.
+function mkdir(path, { parents = false } = {}) {
+  if (parents) {
+    try {
+      if (lookupNode(path, "mkdir").type === "dir") return;
+      fail("EEXIST", path, "mkdir");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    mkdir(dirname(path), { parents: true });
+  }
+  const at = slot(path, "mkdir");
+  if (nodes.has(at)) fail("EEXIST", path, "mkdir");
+  nodes.set(at, { type: "dir", mode: 0o755, owner: USER, mtime: Date.now() });
+  changed([at]);
+}
+
+// Removes a file or link; directories need `recursive` (rm -r), or rmdir.
+function rm(path, { recursive = false } = {}) {
+  const real = lookup(path, "unlink", false);
+  if (real === "/") fail("EPERM", path, "unlink");
+  const node = nodes.get(real);
+  if (node.type === "dir" && !recursive) fail("EISDIR", path, "unlink");
+  if (!allowed(nodes.get(dirname(real)), W | X)) fail("EACCES", path, "unlink");
+  const gone = subtree(real);
+  // emptying a directory needs write permission on it, like the real rm -r
+  if (gone.some((p) => nodes.get(p).type === "dir" && children(p).length && !allowed(nodes.get(p), W | X))) fail("EACCES", path, "unlink");
+  gone.forEach((p) => nodes.delete(p));
+  changed(gone);
+}
+
+function rmdir(path) {
+  const real = lookup(path, "rmdir", false);
+  if (nodes.get(real).type !== "dir") fail("ENOTDIR", path, "rmdir");
+  if (children(real).length) fail("ENOTEMPTY", path, "rmdir");
+  rm(path, { recursive: true });
+}
+
+/* Moves `from` to exactly `to` (the shell decides whether `to` means "into
+   that folder"). An existing file is replaced, an existing directory only
+   if it's empty and `from` is a directory too. */
+function rename(from, to) {
+  const src = lookup(from, "rename", false);
+  if (src === "/") fail("EPERM", from, "rename");
+  if (!allowed(nodes.get(dirname(src)), W | X)) fail("EACCES", from, "rename");
+  const dest = slot(to, "rename");
+  if (dest === src) return;
+  if (isInside(dest, src)) fail("EINVAL", to, "rename");
+  const isDir = nodes.get(src).type === "dir";
+  const there = nodes.get(dest);
+  if (there) {
+    if (there.type === "dir" && !isDir) fail("EISDIR", to, "rename");
+    if (there.type !== "dir" && isDir) fail("ENOTDIR", to, "rename");
+    if (there.type === "dir" && children(dest).length) fail("ENOTEMPTY", to, "rename");
+    nodes.delete(dest);
+  }
+  const moved = subtree(src);
+  for (const p of moved) {
+    nodes.set(dest + p.slice(src.length), nodes.get(p));
+    nodes.delete(p);
+  }
+  changed([...moved, ...moved.map((p) => dest + p.slice(src.length))]);
+}
+
+// Copies `from` (symlinks followed) to exactly `to`; directories need `recursive`.
+function copy(from, to, { recursive = false } = {}) {
+  const src = lookup(from, "copyfile");
+  const node = nodes.get(src);
+  if (node.type === "dir" && !recursive) fail("EISDIR", from, "copyfile");
+  const dest = slot(to, "copyfile");
+  if (isInside(dest, src)) fail("EINVAL", to, "copyfile");
+  const there = nodes.get(dest);
+  if (node.type !== "dir" && there) {
+    if (there.type === "dir") fail("EISDIR", to, "copyfile");
+    if (!allowed(there, W)) fail("EACCES", to, "copyfile");
+  }
+  if (node.type === "dir" && there) fail("EEXIST", to, "copyfile");
+  const copies = subtree(src).map((p) => {
+    const n = nodes.get(p);
+    if (n.type !== "dir" ? !allowed(n, R) : !allowed(n, R | X)) fail("EACCES", p, "copyfile");
+    return [dest + p.slice(src.length), { ...n, owner: USER, mtime: Date.now() }];
+  });
+  copies.forEach(([p, n]) => nodes.set(p, n));
+  changed(copies.map(([p]) => p));
+}
+
+function symlink(target, path) {
+  const at = slot(path, "symlink");
+  if (nodes.has(at)) fail("EEXIST", path, "symlink");
+  nodes.set(at, { type: "link", mode: 0o777, owner: USER, mtime: Date.now(), target: String(target) });
+  changed([at]);
+}
+
+function readlink(path) {
+  const node = lookupNode(path, "readlink", false);
+  if (node.type !== "link") fail("EINVAL", path, "readlink");
+  return node.target;
+}
+
+function chmod(path, mode) {
+  const real = lookup(path, "chmod");
+  const node = nodes.get(real);
+  if (node.owner !== USER) fail("EPERM", path, "chmod");
+  node.mode = mode & 0o777;
+  changed([real], { listing: false });
+}
+
+function exists(path) {
+  try { lookup(path, "access"); return true; } catch { return false; }
+}
+
+/* Paths matching a glob, sorted and spelled the way the pattern was: `*.txt`
+   gives "notes.txt", `~/D*` gives "/home/guest/Desktop" (tilde is expanded,
+   like the shell does). Folders that can't be read are skipped; no match is
+   an empty list. */
+function glob(pattern, cwd = HOME) {
+  const typed = pattern === "~" || pattern.startsWith("~/") ? HOME + pattern.slice(1) : pattern;
+  const absolute = typed.startsWith("/");
+  let found = [[absolute ? "/" : cwd, absolute ? "" : null]]; // [real dir, as spelled]
+  for (const part of splitPath(typed)) {
+    const spell = (shown, name) => (shown === null ? name : `${shown}/${name}`);
+    found = found.flatMap(([dir, shown]) => {
+      if (!isGlob(part)) {
+        const path = resolvePath(part, dir);
+        try { lookup(path, "stat", false); } catch { return []; }
+        return [[path, spell(shown, part)]];
+      }
+      const re = globSegment(part);
+      try {
+        return readdir(dir).filter((e) => re.test(e.name)).map((e) => [joinPath(dir, e.name), spell(shown, e.name)]);
+      } catch { return []; }
+    });
+  }
+  return found.map(([, shown]) => shown || "/").sort();
+}
+
+/* --------------------------------- boot ---------------------------------- */
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+function openDb() {
+  if (!globalThis.indexedDB) return Promise.reject(new Error("IndexedDB unavailable"));
+  const req = indexedDB.open(DB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE, { keyPath: "path" });
+  return request(req);
+}
+
+function plantSeed() {
+  const now = Date.now();
+  nodes = new Map(Object.entries(seedTree()).map(([p, n]) => [p, { ...n, mtime: now }]));
+  seeded = new Set(nodes.keys());
+}
+
+// The seed, then the saved changes, parents before children. Whatever ends
+// up without a parent directory (a new seed file in a folder the user
+// deleted) is dropped.
+async function mount() {
+  plantSeed();
+  try {
+    db = await openDb();
+    const saved = await request(db.transaction(DB_STORE).objectStore(DB_STORE).getAll());
+    const depth = (p) => splitPath(p).length;
+    for (const { path, node } of saved.sort((a, b) => depth(a.path) - depth(b.path))) {
+      if (node) nodes.set(path, node);
+      else nodes.delete(path);
+    }
+    for (const p of [...nodes.keys()].sort((a, b) => depth(a) - depth(b))) {
+      if (p !== "/" && nodes.get(dirname(p))?.type !== "dir") nodes.delete(p);
+    }
+    logSystem("vfs", `mounted / (indexeddb), ${nodes.size} nodes, ${saved.length} saved change(s)`);
+  } catch (err) {
+    db = null;
+    logSystem("vfs", `mounted / in memory, changes last until reload (${err?.message || err})`, "warn");
+  }
+}
+
+const ready = mount();
+
+// Back to the seed: every saved change is forgotten ("Start fresh").
+async function reset() {
+  await ready;
+  if (db) await request(db.transaction(DB_STORE, "readwrite").objectStore(DB_STORE).clear());
+  plantSeed();
+  publish(EVENTS.FS_CHANGED, { paths: ["/"] });
+}
+
+const op = (fn) => async (...args) => { await ready; return fn(...args); };
+
+export const fs = {
+  ready,
+  stat: op((path) => statOf(path, lookupNode(path, "stat"))),
+  lstat: op((path) => statOf(path, lookupNode(path, "lstat", false))),
+  exists: op(exists),
+  glob: op(glob),
+  realpath: op((path) => lookup(path, "realpath")),
+  readdir: op(readdir),
+  readFile: op(readFile),
+  writeFile: op(writeFile),
+  appendFile: op((path, data) => writeFile(path, data, { append: true })),
+  touch: op(touch),
+  mkdir: op(mkdir),
+  rm: op(rm),
+  rmdir: op(rmdir),
+  rename: op(rename),
+  copy: op(copy),
+  symlink: op(symlink),
+  readlink: op(readlink),
+  chmod: op(chmod),
+  reset,
+};
+
+// "drwxr-xr-x" for ls -l and the like
+export const modeString = ({ type, mode }) =>
+  (type === "dir" ? "d" : type === "link" ? "l" : "-") +
+  [6, 3, 0].map((s) => ((mode >> s) & R ? "r" : "-") + ((mode >> s) & W ? "w" : "-") + ((mode >> s) & X ? "x" : "-")).join("");
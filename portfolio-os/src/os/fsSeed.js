@@ -0,0 +1,95 @@
+import { getApps } from "./registry";
+import { HOME } from "./path";
+import { ABOUT_SCRIPT } from "../apps/about/script";
+
+/* ========================= Filesystem: first boot ==========================
+   What a fresh disk holds, as { path: node }. os/fs.js builds it on every
+   boot and lays the user's saved changes over it, so files added here show
+   up for everyone who hasn't deleted or replaced them. /apps is generated
+   from the registry and owned by root, like the rest outside $HOME. */
+export const USER = "guest";
+
+const dir = (mode = 0o755, owner = "root") => ({ type: "dir", mode, owner });
+const file = (content, mode = 0o644, owner = "root") => ({ type: "file", mode, owner, content });
+const link = (target) => ({ type: "link", mode: 0o777, owner: USER, target });
+// content that lives at a URL (images, PDFs): readFile gives "", stat gives the url
+const remote = (url) => ({ type: "file", mode: 0o644, owner: USER, content: "", url });
+const mine = (content) => file(content, 0o644, USER);
+
+// one launcher per app: key=value lines, like a .desktop entry
+const launcher = (app) => file([
+  `id=${app.id}`,
+  `title=${app.title}`,
+  `type=${app.type}`,
+  ...(app.aliases.length ? [`aliases=${app.aliases.join(",")}`] : []),
+  ...(app.singleton ? ["singleton=true"] : []),
+  "",
+].join("\n"), 0o555);
+
+// a fixed Mines board; see parseBoard in MinesApp
+const SMILEY = `# smiley.mines: * is a mine, anything else is free
+..........
+..*....*..
+..........
+..........
+.*......*.
+..*....*..
+...****...
+..........
+`;
+
+// run by every new terminal window; see TerminalApp
+const BASHRC = String.raw`# ~/.bashrc: every new terminal runs this first. Edit it (open ~/.bashrc)
+# and open a new terminal to try your changes.
+
+# The prompt: \u user, \h host, \w folder (\W just its name), \t time
+PS1='\u@\h:\w\$ '
+
+alias ll='ls -la'
+alias la='ls -a'
+alias ..='cd ..'
+`;
+
+const README = `Welcome to Sp8OS, guest.
+
+Everything under ${HOME} is yours: make folders, write notes, move things
+around. It's all kept in this browser (IndexedDB) and survives a reload;
+Start fresh in the Start menu wipes it.
+
+  ~/Documents   the CV and a few words about me
+  ~/Pictures    the photo
+  ~/Games       Mines boards (.mines): double-click one to play it
+  ~/.bashrc     what every new terminal runs first: aliases, the prompt
+  /apps         one launcher per app
+  /etc          system files (read-only)
+`;
+
+export function seedTree() {
+  const base = import.meta.env.BASE_URL;
+  return {
+    "/": dir(),
+    "/apps": dir(0o555),
+    ...Object.fromEntries(getApps().map((app) => [`/apps/${app.id}.app`, launcher(app)])),
+    "/etc": dir(),
+    "/etc/hostname": file("sp8os\n"),
+    "/etc/os-release": file('NAME="Sp8OS"\nPRETTY_NAME="Sp8OS (MatrixOS pseudo-kernel)"\nID=sp8os\nHOME_URL="https://github.com/IoannouAndreas"\n'),
+    "/etc/motd": file("There is no spoon.\n"),
+    "/etc/passwd": file(`root:x:0:0:root:/root:/bin/sh\n${USER}:x:1000:1000:Guest:${HOME}:/bin/sh\n`),
+    "/etc/fstab": file("# device   mount  type       options\nindexeddb  /      sp8fs      rw\n"),
+    "/home": dir(),
+    [HOME]: dir(0o755, USER),
+    [`${HOME}/README.txt`]: mine(README),
+    [`${HOME}/.bashrc`]: mine(BASHRC),
+    [`${HOME}/Desktop`]: dir(0o755, USER),
+    [`${HOME}/Documents`]: dir(0o755, USER),
+    [`${HOME}/Documents/about.txt`]: mine(`${ABOUT_SCRIPT}\n`),
+    [`${HOME}/Documents/CV.pdf`]: remote("/CV.pdf"),
+    [`${HOME}/Pictures`]: dir(0o755, USER),
+    [`${HOME}/Pictures/me.jpg`]: remote(`${base}media/Me.jpg`),
+    [`${HOME}/Games`]: dir(0o755, USER),
+    [`${HOME}/Games/smiley.mines`]: mine(SMILEY),
+    [`${HOME}/cv.pdf`]: link("Documents/CV.pdf"),
+    [`${HOME}/apps`]: link("/apps"),
+    "/tmp": dir(0o777),
+  };
+}
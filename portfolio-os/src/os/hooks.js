@@ -0,0 +1,68 @@
+import { createContext, useContext, useEffect, useState } from "react";
+
+/* ============================== Desktop hooks ==============================
+   What the desktop's pieces share: reduced motion, safe mode, pausing a
+   background loop, closing a popup on an outside press, the idle timer and
+   a clock. */
+const reducedMotion = () => window.matchMedia?.("(prefers-reduced-motion: reduce)");
+export function useReducedMotion() {
+  const [reduce, setReduce] = useState(() => !!reducedMotion()?.matches);
+  useEffect(() => {
+    const motion = reducedMotion();
+    const sync = () => setReduce(motion.matches);
+    motion?.addEventListener("change", sync);
+    return () => motion?.removeEventListener("change", sync);
+  }, []);
+  return reduce;
+}
+
+// Set for the session when GRUB's safe mode was picked (see BootScreen.jsx).
+export const SafeMode = createContext(false);
+
+// Runs a background loop only while it can be seen: not while the tab is
+// hidden or a maximized window covers the desktop. Reduced motion and safe
+// mode get a still frame.
+export function useBackdropPause(loop, covered) {
+  const safe = useContext(SafeMode);
+  useEffect(() => {
+    if (!loop) return;
+    const motion = reducedMotion();
+    const sync = () => loop.set({ running: !covered && !document.hidden, still: safe || !!motion?.matches });
+    sync();
+    document.addEventListener("visibilitychange", sync);
+    motion?.addEventListener("change", sync);
+    return () => { document.removeEventListener("visibilitychange", sync); motion?.removeEventListener("change", sync); };
+  }, [loop, covered, safe]);
+}
+
+// whether the rain can draw in a worker (see Backdrop.jsx)
+export const canRenderOffThread = () =>
+  typeof Worker !== "undefined" && "transferControlToOffscreen" in HTMLCanvasElement.prototype;
+
+// close a popup when the pointer goes down anywhere outside `ref`
+export const useOutsideClose = (ref, open, onClose) => {
+  useEffect(() => {
+    if (!open) return;
+    const away = (e) => { if (!ref.current?.contains(e.target)) onClose(); };
+    window.addEventListener("pointerdown", away);
+    return () => window.removeEventListener("pointerdown", away);
+  }, [ref, open, onClose]);
+};
+
+// Calls onIdle after `ms` without any input; 0 turns it off.
+export const useIdle = (ms, onIdle) => {
+  useEffect(() => {
+    if (!ms) return;
+    let timer = setTimeout(onIdle, ms);
+    const reset = () => { clearTimeout(timer); timer = setTimeout(onIdle, ms); };
+    const events = ["pointermove", "pointerdown", "keydown", "wheel", "touchstart"];
+    events.forEach((e) => window.addEventListener(e, reset, { passive: true }));
+    return () => { clearTimeout(timer); events.forEach((e) => window.removeEventListener(e, reset)); };
+  }, [ms, onIdle]);
+};
+
+export const useClock = () => {
+  const [now, setNow] = useState(new Date());
+  useEffect(() => { const t = setInterval(()=>setNow(new Date()),1000); return ()=>clearInterval(t); }, []);
+  return now;
+};
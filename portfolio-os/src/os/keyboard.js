@@ -0,0 +1,68 @@
+import { createContext, useContext, useEffect, useRef } from "react";
+
+/* =========================== Keyboard routing ==============================
+   One keydown/keyup listener for the whole OS. OS shortcuts get first pick;
+   everything else goes only to the focused window (highest z), and only
+   while keyboard focus is inside it or nowhere in particular: typing in the
+   Start menu or Settings stays there. Apps never touch `window` for keys —
+   they call useWindowKeys() and the window they live in scopes the
+   subscription. */
+export const WindowScope = createContext(null);
+
+export function createKeyRouter() {
+  const subs = new Map(); // windowId -> Set<handler>
+  return {
+    subscribe(windowId, fn) {
+      if (!subs.has(windowId)) subs.set(windowId, new Set());
+      subs.get(windowId).add(fn);
+      return () => {
+        subs.get(windowId)?.delete(fn);
+        if (!subs.get(windowId)?.size) subs.delete(windowId);
+      };
+    },
+    dispatch(windowId, e) {
+      subs.get(windowId)?.forEach((fn) => fn(e));
+    },
+  };
+}
+
+// Whether a key event belongs to window `windowId`: its target is inside that
+// window's element (data-window) or is the page itself.
+export const isWindowKey = (e, windowId) => {
+  const t = e.target;
+  if (!(t instanceof Element) || t === document.body || t === document.documentElement) return true;
+  return t.closest("[data-window]")?.dataset.window === windowId;
+};
+
+// "Alt+Shift+ArrowLeft" style combos; modifiers must match exactly
+export const matchKeys = (e, combo) => {
+  const parts = combo.split("+");
+  const key = parts.pop();
+  const mods = new Set(parts);
+  if (e.ctrlKey !== mods.has("Ctrl") || e.altKey !== mods.has("Alt") ||
+      e.shiftKey !== mods.has("Shift") || e.metaKey !== mods.has("Meta")) return false;
+  // e.code keeps Alt+letter working on layouts where e.key turns into a symbol
+  return e.key.toLowerCase() === key.toLowerCase() || e.code === key || e.code === `Key${key.toUpperCase()}`;
+};
+
+// OS shortcut lookup. Entries fire on keydown unless `on: "keyup"`; release
+// entries match on the bare key since the modifier state has already changed.
+export const findShortcut = (shortcuts, e) =>
+  shortcuts.find((s) =>
+    (s.on ?? "keydown") === e.type &&
+    (!s.when || s.when()) &&
+    (s.on === "keyup" ? e.key === s.keys : matchKeys(e, s.keys)));
+
+// Subscribe the calling app to keys while its window is focused.
+export function useWindowKeys(onKeyDown, onKeyUp) {
+  const scope = useContext(WindowScope);
+  const latest = useRef({ onKeyDown, onKeyUp });
+  useEffect(() => { latest.current = { onKeyDown, onKeyUp }; });
+  useEffect(() => {
+    if (!scope) return;
+    return scope.subscribeKeys((e) => {
+      const fn = e.type === "keydown" ? latest.current.onKeyDown : latest.current.onKeyUp;
+      fn?.(e);
+    });
+  }, [scope]);
+}
@@ -0,0 +1,187 @@
+/* ============================== Matrix rain ================================
+   The desktop's code rain, free of the DOM: it draws on any 2D context, so
+   the same loop runs in a worker on an OffscreenCanvas (matrixRain.worker.js)
+   or on the page when the browser can't do that. */
+export const RAIN_COLORS = {
+  green: "#00ff7f",
+  cyan: "#00e5ff",
+  amber: "#ffb000",
+  red: "#ff3b5c",
+  purple: "#b36bff",
+  white: "#e8fff4",
+};
+export const RAIN_CHARSETS = {
+  katakana: "アイウエオカキクケコサシスセソタチツテト0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  binary: "01",
+  hex: "0123456789ABCDEF",
+  latin: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789",
+  symbols: "!#$%&*+-/<=>?@[]^{|}~",
+};
+// [min, max] for the numeric options
+export const RAIN_LIMITS = { speed: [0.25, 4], density: [0.2, 4], size: [10, 32] };
+export const RAIN_DEFAULTS = {
+  speed: 1,            // rows a column falls per 60th of a second
+  density: 1,          // how eagerly a finished column starts over
+  size: 16,            // glyph size in px
+  color: "theme",      // the theme's neon, a RAIN_COLORS name or #rrggbb
+  charset: "katakana",
+  messages: true,      // now and then a column spells one of `words`
+  words: ["ANDREAS IOANNOU", "HIRE ME", "WAKE UP NEO", "TRY THE secret COMMAND"],
+};
+
+// "theme" is resolved on the page, where the theme lives (os/theme.js)
+export const rainColor = (color, neon = RAIN_COLORS.green) => (color === "theme" ? neon : RAIN_COLORS[color] ?? color);
+
+// Validates one option as typed in the terminal: { value } or { error }.
+export function parseRainOption(key, raw) {
+  if (key in RAIN_LIMITS) {
+    const [lo, hi] = RAIN_LIMITS[key];
+    const n = Number(raw);
+    return Number.isFinite(n) && n >= lo && n <= hi ? { value: n } : { error: `${key} must be a number from ${lo} to ${hi}` };
+  }
+  if (key === "color") {
+    return raw === "theme" || raw in RAIN_COLORS || /^#[0-9a-f]{6}$/i.test(raw) ? { value: raw.toLowerCase() }
+      : { error: `unknown color "${raw}" (theme, ${Object.keys(RAIN_COLORS).join(", ")} or #rrggbb)` };
+  }
+  if (key === "charset") {
+    return raw in RAIN_CHARSETS ? { value: raw } : { error: `unknown charset "${raw}" (${Object.keys(RAIN_CHARSETS).join(", ")})` };
+  }
+  if (key === "messages") {
+    return ["on", "off"].includes(raw) ? { value: raw === "on" } : { error: "messages is on or off" };
+  }
+  if (key === "words") {
+    const words = raw.split(",").map((w) => w.trim()).filter(Boolean);
+    return words.length ? { value: words } : { error: "words is a comma-separated list" };
+  }
+  return { error: `unknown option --${key}` };
+}
+
+/* Message mode: when a column starts over it may pick a word and spell it
+   down the screen in white, one letter per row, instead of noise. */
+const MESSAGE_CHANCE = 0.003; // per column restart — a word every few seconds
+const MESSAGE_COLOR = "#ffffff";
+const RESET_CHANCE = 0.025;   // per frame, for a column past the bottom (×density)
+
+function createRain(ctx) {
+  let w = 0, h = 0, opts = RAIN_DEFAULTS, chars = [], drops = [], spelling = [], carry = 0;
+  const layout = () => {
+    const columns = Math.ceil(w / opts.size);
+    drops = new Array(columns).fill(0).map(() => (Math.random() * h) / opts.size);
+    spelling = new Array(columns).fill(null);
+  };
+  // one row for every column
+  const fall = () => {
+    const color = rainColor(opts.color);
+    for (let i = 0; i < drops.length; i++) {
+      const word = spelling[i];
+      ctx.fillStyle = word ? MESSAGE_COLOR : color;
+      const text = word ? word.text[word.at++] : chars[(Math.random() * chars.length) | 0];
+      if (word && word.at >= word.text.length) spelling[i] = null;
+      const x = i * opts.size;
+      const y = drops[i] * opts.size;
+      if (text !== " ") ctx.fillText(text, x, y);
+      if (y > h && Math.random() < RESET_CHANCE * opts.density) {
+        drops[i] = 0;
+        if (opts.messages && opts.words.length && Math.random() < MESSAGE_CHANCE) {
+          spelling[i] = { text: opts.words[(Math.random() * opts.words.length) | 0], at: 0 };
+        }
+      }
+      drops[i]++;
+    }
+  };
+  return {
+    resize(width, height, dpr) {
+      w = width;
+      h = height;
+      ctx.canvas.width = Math.floor(w * dpr);
+      ctx.canvas.height = Math.floor(h * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      layout();
+    },
+    configure(next) {
+      const resized = next.size !== opts.size;
+      opts = { ...RAIN_DEFAULTS, ...next };
+      chars = [...(RAIN_CHARSETS[opts.charset] ?? RAIN_CHARSETS.katakana)];
+      if (resized && w) layout();
+    },
+    // `frames` 60ths of a second have passed: a slower step falls further, so
+    // the speed holds at any step rate. Fractions accumulate (0.5 at 60 Hz
+    // falls every other step).
+    draw(frames = 1) {
+      carry += opts.speed * frames;
+      const rows = Math.floor(carry);
+      if (!rows) return;
+      carry -= rows;
+      ctx.fillStyle = "rgba(0, 0, 0, 0.1)";
+      ctx.fillRect(0, 0, w, h);
+      ctx.font = `${opts.size}px monospace`;
+      for (let r = 0; r < rows; r++) fall();
+    },
+  };
+}
+
+/* Adaptive frame pacing. The rain steps at most RATES[level] times a second;
+   when steps keep arriving late (TRON's game loop, a busy tab) it drops a
+   level, and climbs back after a long enough run of on-time frames. */
+const RATES = [60, 30, 20, 15];
+const FRAME = 1000 / RATES[0];
+const MAX_CATCH_UP = 8;  // frames one step may make up for: a long stall isn't replayed
+const LATE = 1.5;        // a step counts as late past 1.5x its interval
+const SLOW_AFTER = 8;    // late steps before dropping a level
+const FAST_AFTER = 180;  // on-time steps before trying a higher rate
+
+function createPacer() {
+  let level = 0, last = 0, late = 0, onTime = 0;
+  const shift = (d) => { level = Math.min(RATES.length - 1, Math.max(0, level + d)); late = onTime = 0; };
+  return {
+    // called every animation frame; when the rain should step, the 60 Hz
+    // frames since its last step (at least 1), else 0
+    due(now) {
+      const interval = 1000 / RATES[level];
+      if (!last) { last = now; return 1; }
+      const dt = now - last;
+      if (dt < interval - 2) return 0;
+      last = now;
+      if (dt > interval * LATE) { onTime = 0; if (++late >= SLOW_AFTER) shift(1); }
+      else if (++onTime >= FAST_AFTER) shift(-1);
+      return Math.min(MAX_CATCH_UP, Math.max(1, dt / FRAME));
+    },
+    // after a pause the gap isn't lateness
+    reset() { last = 0; },
+  };
+}
+
+const schedule = globalThis.requestAnimationFrame
+  ? (fn) => globalThis.requestAnimationFrame(fn)
+  : (fn) => setTimeout(() => fn(performance.now()), 16);
+const unschedule = globalThis.cancelAnimationFrame
+  ? (id) => globalThis.cancelAnimationFrame(id)
+  : (id) => clearTimeout(id);
+
+/* The loop both renderers share. `running` is false while the tab is hidden
+   or a maximized window covers the desktop; `still` (prefers-reduced-motion)
+   paints one settled frame and never animates. */
+export function runRain(ctx, opts = RAIN_DEFAULTS) {
+  const rain = createRain(ctx);
+  rain.configure(opts);
+  const pacer = createPacer();
+  let frame = 0, running = false, still = false;
+  const tick = (now) => {
+    frame = schedule(tick);
+    const frames = pacer.due(now);
+    if (frames) rain.draw(frames);
+  };
+  const settle = () => { for (let i = 0; i < 60; i++) rain.draw(); };
+  const update = () => {
+    unschedule(frame);
+    frame = 0;
+    if (still) settle();
+    else if (running) { pacer.reset(); frame = schedule(tick); }
+  };
+  return {
+    resize(width, height, dpr) { rain.resize(width, height, dpr); if (still || !running) settle(); },
+    configure(next) { rain.configure(next); if (still || !running) settle(); },
+    set(opts) { running = opts.running ?? running; still = opts.still ?? still; update(); },
+    stop() { unschedule(frame); },
+  };
+}
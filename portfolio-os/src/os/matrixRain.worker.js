@@ -0,0 +1,18 @@
+import { runRain } from "./matrixRain";
+
+/* Worker side of MatrixBackground: owns the transferred OffscreenCanvas and
+   runs the rain off the main thread. Messages mirror runRain's controller:
+   { type: "init", canvas, opts } first, then "resize", "configure", "set"
+   and "stop". */
+let loop = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type === "init") {
+    loop = runRain(data.canvas.getContext("2d", { alpha: false }), data.opts);
+    return;
+  }
+  if (data.type === "resize") loop?.resize(data.width, data.height, data.dpr);
+  else if (data.type === "configure") loop?.configure(data.opts);
+  else if (data.type === "set") loop?.set(data.opts);
+  else if (data.type === "stop") { loop?.stop(); self.close(); }
+};
@@ -0,0 +1,63 @@
+/* ================================== Paths ==================================
+   POSIX path strings for the virtual filesystem (os/fs.js). Pure string
+   work: nothing here looks at what exists. */
+export const HOME = "/home/guest";
+
+export const splitPath = (path) => path.split("/").filter(Boolean);
+
+/* Absolute, normalized path for `path` as typed in `cwd`: ~ is home, . and
+   .. are folded away (.. stops at /), and repeated or trailing slashes go. */
+export function resolvePath(path, cwd = HOME) {
+  let p = String(path);
+  if (p === "~" || p.startsWith("~/")) p = HOME + p.slice(1);
+  if (!p.startsWith("/")) p = `${cwd}/${p}`;
+  const out = [];
+  for (const part of splitPath(p)) {
+    if (part === "..") out.pop();
+    else if (part !== ".") out.push(part);
+  }
+  return `/${out.join("/")}`;
+}
+
+export const dirname = (path) => {
+  const parts = splitPath(path);
+  return `/${parts.slice(0, -1).join("/")}`;
+};
+
+export const basename = (path) => splitPath(path).pop() ?? "/";
+
+export const joinPath = (dir, name) => (dir === "/" ? `/${name}` : `${dir}/${name}`);
+
+// "report.txt" -> "txt"; dotfiles and names without a dot have none
+export const extname = (name) => {
+  const i = name.lastIndexOf(".");
+  return i > 0 ? name.slice(i + 1).toLowerCase() : "";
+};
+
+// home shows as ~, like a prompt does
+export const displayPath = (path) =>
+  path === HOME ? "~" : path.startsWith(`${HOME}/`) ? `~${path.slice(HOME.length)}` : path;
+
+// is `path` `dir` itself or somewhere below it?
+export const isInside = (path, dir) => path === dir || path.startsWith(dir === "/" ? "/" : `${dir}/`);
+
+/* Globs, one path segment at a time: * and ? never match "/", [abc] / [a-z]
+   / [!abc] are classes, and a leading dot has to be matched literally
+   (`*` skips dotfiles, like the shell's). */
+export const isGlob = (word) => /[*?[]/.test(word);
+
+export function globSegment(pattern) {
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const close = ch === "[" ? pattern.indexOf("]", i + 2) : -1;
+    if (ch === "*") re += "[^/]*";
+    else if (ch === "?") re += "[^/]";
+    else if (close > 0) {
+      const body = pattern.slice(i + 1, close);
+      re += `[${body[0] === "!" ? `^${body.slice(1)}` : body}]`.replace(/\\/g, "\\\\");
+      i = close;
+    } else re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${pattern.startsWith(".") ? "" : "(?!\\.)"}${re}$`);
+}
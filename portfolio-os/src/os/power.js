@@ -0,0 +1,22 @@
+/* ============================== Power states ===============================
+   One state machine for everything that pauses the desktop session:
+
+     booting ──booted──▶ active          (first load, unless the boot is skipped)
+     active ──idle──▶ screensaver ──wake──▶ locked ──login──▶ active
+     active ──lock──▶ locked ──idle──▶ screensaver
+     (any) ──powerOff──▶ off ──powerOn──▶ booting
+
+   Anything but ACTIVE keeps the windows (and their apps' state) but makes the
+   desktop inert; OFF unmounts it like a real shutdown. Unknown events for a
+   state are ignored. */
+export const POWER = { BOOTING: "booting", ACTIVE: "active", SCREENSAVER: "screensaver", LOCKED: "locked", OFF: "off" };
+
+const TRANSITIONS = {
+  [POWER.BOOTING]: { booted: POWER.ACTIVE, powerOff: POWER.OFF },
+  [POWER.ACTIVE]: { idle: POWER.SCREENSAVER, lock: POWER.LOCKED, powerOff: POWER.OFF },
+  [POWER.SCREENSAVER]: { wake: POWER.LOCKED, powerOff: POWER.OFF },
+  [POWER.LOCKED]: { login: POWER.ACTIVE, idle: POWER.SCREENSAVER, powerOff: POWER.OFF },
+  [POWER.OFF]: { powerOn: POWER.BOOTING },
+};
+
+export const powerReducer = (state, event) => TRANSITIONS[state]?.[event] ?? state;
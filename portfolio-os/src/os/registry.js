@@ -0,0 +1,49 @@
+import { lazy } from "react";
+import { logSystem } from "./syslog";
+
+/* ============================== App registry ===============================
+   Every app is a folder under src/apps with a manifest.js default-exporting
+   { id, title, icon, type, size, singleton, keywords, aliases, params, order, load }
+   (`params` names the positional launch args of a deep link, see router.js;
+   `type` groups apps for the desktop's "Sort by type").
+   Manifests are tiny and bundled eagerly; `load` is a dynamic import so the
+   app itself becomes its own chunk, fetched the first time a window opens.
+   Desktop, Start menu, taskbar and terminal all read from here. */
+const apps = new Map();
+let sorted = [];
+
+const MANIFEST_DEFAULTS = { type: "app", size: null, singleton: false, keywords: [], aliases: [], params: [], order: 100 };
+
+export function registerApp(manifest) {
+  const { id, load } = manifest;
+  if (!id || typeof load !== "function") throw new Error(`registerApp: manifest needs an id and a load() (got ${id ?? "?"})`);
+  if (apps.has(id)) throw new Error(`registerApp: "${id}" is already registered`);
+  const component = lazy(() =>
+    load().then((mod) => {
+      logSystem("modprobe", `loaded ${id}`);
+      return mod;
+    }));
+  apps.set(id, { ...MANIFEST_DEFAULTS, ...manifest, component });
+  sorted = [...apps.values()].sort((a, b) => a.order - b.order || a.title.localeCompare(b.title));
+}
+
+export const getApps = () => sorted;
+export const getApp = (id) => apps.get(id);
+
+// Terminal-style lookup: id, then alias, then title (case-insensitive).
+export const findApp = (name) => {
+  const q = name.toLowerCase();
+  return apps.get(q) ??
+    sorted.find((a) => a.aliases.includes(q)) ??
+    sorted.find((a) => a.title.toLowerCase() === q);
+};
+
+export const searchApps = (query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return sorted;
+  return sorted.filter((a) =>
+    a.title.toLowerCase().includes(q) || a.id.includes(q) || a.keywords.some((k) => k.includes(q)));
+};
+
+const manifests = import.meta.glob("../apps/*/manifest.js", { eager: true, import: "default" });
+Object.values(manifests).forEach(registerApp);
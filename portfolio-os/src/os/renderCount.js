@@ -0,0 +1,16 @@
+import { useEffect } from "react";
+
+/* ============================= Render counter ==============================
+   Dev-only instrumentation: a component calls useRenderCount("Name") and the
+   overlay (Ctrl+Alt+R) shows how often each one has committed. In
+   production builds the hook is a no-op. */
+const counts = new Map();
+
+export const readRenderCounts = () => [...counts].sort((a, b) => b[1] - a[1]);
+export const resetRenderCounts = () => counts.clear();
+
+function useDevRenderCount(name) {
+  useEffect(() => { counts.set(name, (counts.get(name) ?? 0) + 1); });
+}
+
+export const useRenderCount = import.meta.env.DEV ? useDevRenderCount : () => {};
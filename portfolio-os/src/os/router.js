@@ -0,0 +1,56 @@
+import { findApp, getApp } from "./registry";
+
+/* =============================== Deep links ================================
+   A window can be addressed by URL, so a link can drop someone straight into
+   an app:
+     #/mines/Expert             positional args, named by the manifest's `params`
+     #/tron2d/L?speed=10        anything else as a query inside the hash
+     ?open=mines&level=Expert   query form; `open` may list several apps
+   App names go through findApp, so ids, aliases and titles all work. Values
+   arrive as strings — apps validate their own args. */
+
+const argsOrNull = (entries) => {
+  const args = Object.fromEntries(entries);
+  return Object.keys(args).length ? args : null;
+};
+
+// a path segment, or null when its %-escapes are broken ("100%")
+const decode = (seg) => {
+  try { return decodeURIComponent(seg); } catch { return null; }
+};
+
+// A link that won't decode is left out rather than thrown: this runs at boot.
+export function parseLink({ search, hash }) {
+  const links = [];
+  const query = new URLSearchParams(search);
+  if (query.has("open")) {
+    const args = argsOrNull([...query].filter(([k]) => k !== "open"));
+    for (const name of query.get("open").split(",")) {
+      const app = findApp(name.trim());
+      if (app) links.push({ appId: app.id, args });
+    }
+  }
+  const m = hash.match(/^#\/([^?]*)(?:\?(.*))?$/);
+  const parts = m ? m[1].split("/").filter(Boolean).map(decode) : [];
+  if (m && !parts.includes(null)) {
+    const [name, ...segs] = parts;
+    const app = name && findApp(name);
+    if (app) {
+      const positional = app.params.map((p, i) => [p, segs[i]]).filter(([, v]) => v != null);
+      links.push({ appId: app.id, args: argsOrNull([...new URLSearchParams(m[2] ?? ""), ...positional]) });
+    }
+  }
+  return links;
+}
+
+export function linkTo(appId, args) {
+  const rest = { ...args };
+  const path = [appId];
+  for (const p of getApp(appId)?.params ?? []) {
+    if (rest[p] == null) break;
+    path.push(encodeURIComponent(rest[p]));
+    delete rest[p];
+  }
+  const query = new URLSearchParams(rest).toString();
+  return `#/${path.join("/")}${query ? `?${query}` : ""}`;
+}
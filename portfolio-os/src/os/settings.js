@@ -0,0 +1,47 @@
+import { useCallback } from "react";
+import { createStore, useStore } from "./store";
+import { RAIN_DEFAULTS } from "./matrixRain";
+import { CRT_DEFAULTS } from "./crt";
+
+/* ================================ Settings =================================
+   User preferences, grouped in sections ({ rain: {...}, ... }), that outlive the
+   session: "Start fresh" resets them, a restart doesn't. The settings panel
+   and terminal commands write here and whatever draws reads it live. Saved
+   sections are merged over SETTINGS_DEFAULTS, so new fields just appear. */
+const SETTINGS_KEY = "sp8os.settings";
+const SETTINGS_VERSION = 1;
+const SETTINGS_DEFAULTS = {
+  rain: RAIN_DEFAULTS,
+  wallpaper: { scene: "rain" }, // a key of WALLPAPERS (src/wallpapers)
+  screensaver: { after: 5, mode: "rain" }, // minutes idle (0 = never); rain | starfield | pipes
+  boot: { skip: false }, // straight to the desktop on load
+  theme: { id: "matrix", custom: null }, // a key of THEMES or "custom" (src/os/theme.js)
+  crt: CRT_DEFAULTS,
+  desktop: { icons: {}, autoArrange: false }, // icons: appId -> [col, row] (src/os/desktopIcons.js)
+  start: { favorites: ["about", "projects", "terminal", "mines"] }, // app ids pinned to the Start menu's dock
+};
+
+const loadSettings = () => {
+  try {
+    const { version, data } = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null") || {};
+    if (version !== SETTINGS_VERSION) return SETTINGS_DEFAULTS;
+    return Object.fromEntries(Object.entries(SETTINGS_DEFAULTS).map(([k, v]) => [k, { ...v, ...data[k] }]));
+  } catch {
+    return SETTINGS_DEFAULTS;
+  }
+};
+
+export const settings = createStore(loadSettings());
+settings.subscribe((data) => {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify({ version: SETTINGS_VERSION, data })); }
+  catch { /* storage disabled — settings last until reload */ }
+});
+
+export const updateSettings = (section, patch) =>
+  settings.setState((s) => ({ [section]: { ...s[section], ...patch } }));
+
+// one section, or all of them
+export const resetSettings = (section) =>
+  settings.setState(section ? { [section]: SETTINGS_DEFAULTS[section] } : SETTINGS_DEFAULTS);
+
+export const useSettings = (section) => useStore(settings, useCallback((s) => s[section], [section]));
@@ -0,0 +1,57 @@
+/* ============================== SFX system =================================
+   Tiny WebAudio sound designer: playSfx("open"|"close"|...)
+   Controlled by master volume + mute in the mixer (and silenced in safe mode),
+   read at play time through getMixer() so the returned function never changes. */
+export function createSfx(getMixer) {
+  let audio = null;
+
+  const withCtx = async () => {
+    if (!audio) {
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      audio = new Ctx();
+    }
+    if (audio.state === "suspended") {
+      await audio.resume();
+    }
+    return audio;
+  };
+
+  const tone = async (freq = 440, dur = 0.1, type = "sine", gain = 0.5) => {
+    const { masterVol, muted, safeMode } = getMixer();
+    if (muted || safeMode || masterVol <= 0) return;
+    const ctx = await withCtx();
+    const osc = ctx.createOscillator();
+    const g = ctx.createGain();
+    osc.type = type;
+    osc.frequency.value = freq;
+    g.gain.value = 0;
+    osc.connect(g);
+    g.connect(ctx.destination);
+
+    const now = ctx.currentTime;
+    const vol = Math.max(0, Math.min(1, gain * masterVol));
+    g.gain.setValueAtTime(0, now);
+    g.gain.linearRampToValueAtTime(vol, now + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.0001, now + Math.max(0.03, dur));
+
+    osc.start(now);
+    osc.stop(now + dur + 0.05);
+  };
+
+  const play = async (name) => {
+    switch (name) {
+      case "menu":      return tone(520, 0.08, "square", 0.35);
+      case "open":      await tone(440, 0.08, "triangle", 0.4); return tone(660, 0.07, "triangle", 0.35);
+      case "close":     return tone(220, 0.12, "sawtooth", 0.35);
+      case "minimize":  return tone(320, 0.08, "triangle", 0.35);
+      case "success":   await tone(523, 0.08, "sine", 0.45); await tone(659, 0.08, "sine", 0.45); return tone(784, 0.14, "sine", 0.45);
+      case "error":     await tone(150, 0.14, "square", 0.45); return tone(110, 0.12, "square", 0.45);
+      case "flag":      return tone(650, 0.06, "square", 0.35);
+      case "reveal":    return tone(360, 0.06, "triangle", 0.3);
+      case "boom":      await tone(90, 0.18, "sawtooth", 0.5); return tone(60, 0.18, "sawtooth", 0.5);
+      default: return;
+    }
+  };
+
+  return play;
+}
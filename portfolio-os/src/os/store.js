@@ -0,0 +1,52 @@
+import { useCallback, useRef, useSyncExternalStore } from "react";
+
+/* ================================= Stores ==================================
+   Minimal external store. State lives outside React; components read the
+   slice they need with useStore(store, selector) and re-render only when
+   that slice changes. */
+export function createStore(initial) {
+  let state = initial;
+  const subs = new Set();
+  return {
+    getState: () => state,
+    // shallow-merges a patch, or the patch a function returns (null = no-op)
+    setState(patch) {
+      const next = typeof patch === "function" ? patch(state) : patch;
+      if (!next) return;
+      state = { ...state, ...next };
+      subs.forEach((fn) => fn(state));
+    },
+    subscribe(fn) {
+      subs.add(fn);
+      return () => subs.delete(fn);
+    },
+  };
+}
+
+const isObj = (v) => v !== null && typeof v === "object";
+const sameFields = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!isObj(a) || !isObj(b)) return false;
+  const ka = Object.keys(a);
+  return ka.length === Object.keys(b).length && ka.every((k) => Object.is(a[k], b[k]));
+};
+
+// Equality for selectors that build a fresh array/object on every call:
+// entries are compared one level deep, so a list of small records works too.
+export const shallow = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!isObj(a) || !isObj(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a);
+  return ka.length === Object.keys(b).length && ka.every((k) => sameFields(a[k], b[k]));
+};
+
+export function useStore(store, selector, isEqual = Object.is) {
+  const last = useRef(null);
+  const getSnapshot = useCallback(() => {
+    const next = selector(store.getState());
+    if (last.current && isEqual(last.current.value, next)) return last.current.value;
+    last.current = { value: next };
+    return next;
+  }, [store, selector, isEqual]);
+  return useSyncExternalStore(store.subscribe, getSnapshot);
+}
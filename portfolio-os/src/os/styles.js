@@ -0,0 +1,5 @@
+/* ============================ Shared styles ===============================
+   Colors come from the theme (os/theme.js): `accent-*` and `neon` are CSS
+   variables, so these strings never change when the theme does. */
+export const borderCol = "border-accent-400/30";
+export const frame = `rounded-[4px] ${borderCol} border shadow-[0_0_6px_var(--glow)_inset]`;
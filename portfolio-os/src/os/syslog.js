@@ -0,0 +1,14 @@
+/* ============================== System log =================================
+   Kernel-ish ring buffer the whole OS can write to (crashes, boot, module
+   loads). The terminal reads it back with `dmesg`. Timestamps are seconds
+   since boot. */
+const SYSLOG_MAX = 200;
+const syslog = [];
+export const logSystem = (source, msg, level = "info") => {
+  syslog.push({ t: performance.now() / 1000, level, source, msg });
+  if (syslog.length > SYSLOG_MAX) syslog.shift();
+};
+export const readSyslog = () => syslog.slice();
+export const formatSyslog = ({ t, level, source, msg }) =>
+  `[${t.toFixed(6).padStart(12, " ")}] ${level === "info" ? "" : `${level.toUpperCase()} `}${source}: ${msg}`;
+logSystem("kernel", "Sp8OS booting on MatrixOS pseudo-kernel");
@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useMemo } from "react";
+import { createStore, useStore } from "./store";
+import { settings } from "./settings";
+import { EVENTS, publish } from "./bus";
+
+/* ================================= Themes ==================================
+   Every color the desktop draws comes from the active theme's tokens:
+     bg, fg     page background and body text
+     neon       the glow color: canvases, icons, window chrome shadows
+     neon2      a second neon for whatever needs telling apart (TRON's AI)
+     accent     six shades (100 light … 600 dark) for text, borders and fills
+   applyTheme writes them to <html> as --theme-* variables, which index.css
+   maps onto Tailwind's `accent-*` and `neon` colors; canvases and SVGs read
+   the same tokens through currentTheme() / useTheme(). */
+export const SHADES = [100, 200, 300, 400, 500, 600];
+
+export const THEMES = {
+  matrix: {
+    title: "Emerald Matrix", scheme: "dark", bg: "#000000", fg: "#d1fae5", neon: "#00ff7f", neon2: "#66ccff",
+    accent: { 100: "#d1fae5", 200: "#a7f3d0", 300: "#6ee7b7", 400: "#34d399", 500: "#10b981", 600: "#059669" },
+  },
+  amber: {
+    title: "Amber CRT", scheme: "dark", bg: "#0a0600", fg: "#ffe9b8", neon: "#ffb000", neon2: "#ff6a2b",
+    accent: { 100: "#fff1cc", 200: "#ffe08a", 300: "#ffcb4d", 400: "#ffb000", 500: "#d48f00", 600: "#a36b00" },
+  },
+  tron: {
+    title: "Cyan TRON", scheme: "dark", bg: "#00050a", fg: "#cffafe", neon: "#00e5ff", neon2: "#ff9d00",
+    accent: { 100: "#cffafe", 200: "#a5f3fc", 300: "#67e8f9", 400: "#22d3ee", 500: "#06b6d4", 600: "#0891b2" },
+  },
+  contrast: {
+    title: "High contrast", scheme: "dark", bg: "#000000", fg: "#ffffff", neon: "#ffff00", neon2: "#00ffff",
+    accent: { 100: "#ffffff", 200: "#ffffff", 300: "#ffff00", 400: "#ffff00", 500: "#ffff00", 600: "#ffff00" },
+  },
+};
+
+// What the custom theme editor starts from; the shades are derived from neon.
+export const CUSTOM_DEFAULTS = { bg: "#000000", fg: "#f0e6ff", neon: "#b36bff", neon2: "#00ffb3" };
+
+const hex = (c) => [1, 3, 5].map((i) => parseInt(c.slice(i, i + 2), 16));
+// `a` moved toward `b` by t (0..1)
+const mix = (a, b, t) =>
+  "#" + hex(a).map((v, i) => Math.round(v + (hex(b)[i] - v) * t).toString(16).padStart(2, "0")).join("");
+
+function customTheme({ bg, fg, neon, neon2 }) {
+  const steps = { 100: ["#ffffff", 0.75], 200: ["#ffffff", 0.55], 300: ["#ffffff", 0.3], 400: [neon, 0], 500: ["#000000", 0.2], 600: ["#000000", 0.4] };
+  return {
+    title: "Custom", scheme: "dark", bg, fg, neon, neon2,
+    accent: Object.fromEntries(SHADES.map((s) => [s, mix(neon, ...steps[s])])),
+  };
+}
+
+export const isHexColor = (c) => /^#[0-9a-f]{6}$/i.test(c);
+
+// The tokens for a `theme` settings section.
+export function resolveTheme({ id, custom }) {
+  if (id === "custom") return { id, ...customTheme({ ...CUSTOM_DEFAULTS, ...custom }) };
+  return id in THEMES ? { id, ...THEMES[id] } : { id: "matrix", ...THEMES.matrix };
+}
+
+export function applyTheme(theme, root = document.documentElement) {
+  const vars = { scheme: theme.scheme, bg: theme.bg, fg: theme.fg, neon: theme.neon, neon2: theme.neon2 };
+  SHADES.forEach((s) => { vars[`accent-${s}`] = theme.accent[s]; });
+  Object.entries(vars).forEach(([k, v]) => root.style.setProperty(`--theme-${k}`, v));
+  root.dataset.theme = theme.id;
+}
+
+/* Resolved once per change, so canvases can call currentTheme() every frame. */
+const resolve = (section) => ({ ...resolveTheme(section), source: section });
+const active = createStore({ theme: resolve(settings.getState().theme) });
+applyTheme(active.getState().theme);
+settings.subscribe(({ theme }) => {
+  const prev = active.getState().theme;
+  if (theme === prev.source) return;
+  const next = resolve(theme);
+  active.setState({ theme: next });
+  applyTheme(next);
+  if (next.id !== prev.id) publish(EVENTS.THEME_CHANGED, { theme: next.id });
+});
+
+export const currentTheme = () => active.getState().theme;
+export const useTheme = () => useStore(active, useCallback((s) => s.theme, []));
+
+/* App icons are drawn in #00ff7f on #000, either SVG files (public/icons)
+   or inline SVG data URLs in a manifest. Themed, those two colors become the
+   theme's neon and background and the icon is handed back as a data URL;
+   files are fetched once. Anything else is returned as is. */
+const MATRIX_NEON = /#00ff7f/gi;
+const MATRIX_BG = /"#000"/g;
+const SVG_DATA = "data:image/svg+xml";
+const icons = createStore({}); // src -> svg text (null while loading)
+
+const inlineSvg = (src) => {
+  const body = src.slice(src.indexOf(",") + 1);
+  return src.slice(0, src.indexOf(",")).endsWith(";base64") ? atob(body) : decodeURIComponent(body);
+};
+
+export function useThemedIcon(src) {
+  const theme = useTheme();
+  const fetched = useStore(icons, useCallback((s) => s[src], [src]));
+  const themed = theme.id !== "matrix" && typeof src === "string";
+  const inline = themed && src.startsWith(SVG_DATA);
+  const remote = themed && !inline && src.endsWith(".svg");
+  useEffect(() => {
+    if (!remote || icons.getState()[src] !== undefined) return;
+    icons.setState({ [src]: null }); // one fetch per icon
+    fetch(src)
+      .then((r) => (r.ok ? r.text() : Promise.reject(new Error(r.status))))
+      .then((text) => icons.setState({ [src]: text }))
+      .catch(() => { /* keep the plain icon */ });
+  }, [src, remote]);
+  return useMemo(() => {
+    const svg = inline ? inlineSvg(src) : remote && fetched;
+    if (!svg) return src;
+    const recolored = svg.replace(MATRIX_NEON, theme.neon).replace(MATRIX_BG, `"${theme.bg}"`);
+    return `${SVG_DATA},${encodeURIComponent(recolored)}`;
+  }, [src, fetched, theme, inline, remote]);
+}
@@ -0,0 +1,298 @@
+import { getApp } from "./registry";
+import { parseLink } from "./router";
+
+/* =========================== Window geometry ===============================
+   Windows carry their own x/y/width/height (desktop coords). A window can be
+   "snapped" to a zone: max | left | right | tl | tr | bl | br. Snapped windows
+   keep their floating rect in `restore` so they can be torn off again. */
+const TASKBAR_H = 40;
+export const MIN_WIN = { w: 320, h: 180 };
+export const DEFAULT_WIN = { w: 640, h: 460 };
+const SNAP_EDGE = 12; // px from a desktop edge that arms a snap zone
+export const WORKSPACES = 4;
+
+export const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+export const rectOf = (w) => ({ x: w.x, y: w.y, width: w.width, height: w.height });
+const sameRect = (a, b) => a === b || (!!a && !!b && ["x", "y", "width", "height"].every((k) => a[k] === b[k]));
+// second and later instances of an app get numbered titles
+export const winTitle = (app, w) => (w.n > 1 ? `${app.title} ${w.n}` : app.title);
+
+// usable desktop area (everything above the taskbar)
+export const desktopArea = (el) => ({
+  x: 0,
+  y: 0,
+  width: el?.clientWidth ?? window.innerWidth,
+  height: (el?.clientHeight ?? window.innerHeight) - TASKBAR_H,
+});
+
+// keep a floating window sane: min size, title bar always reachable
+export const clampRect = (r, a) => {
+  const width = clamp(r.width, MIN_WIN.w, Math.max(MIN_WIN.w, a.width));
+  const height = clamp(r.height, MIN_WIN.h, Math.max(MIN_WIN.h, a.height));
+  return {
+    width, height,
+    x: clamp(r.x, a.x - width + 80, a.x + a.width - 80),
+    y: clamp(r.y, a.y, a.y + a.height - 32),
+  };
+};
+
+// corners → quarters, top → maximize, sides → halves
+export const snapZoneAt = (px, py, a) => {
+  const left = px <= a.x + SNAP_EDGE, right = px >= a.x + a.width - SNAP_EDGE;
+  const top = py <= a.y + SNAP_EDGE, bottom = py >= a.y + a.height - SNAP_EDGE;
+  if (left && top) return "tl";
+  if (right && top) return "tr";
+  if (left && bottom) return "bl";
+  if (right && bottom) return "br";
+  if (top) return "max";
+  if (left) return "left";
+  if (right) return "right";
+  return null;
+};
+
+export const zoneRect = (zone, a) => {
+  const hw = Math.floor(a.width / 2), hh = Math.floor(a.height / 2);
+  switch (zone) {
+    case "max":   return { x: a.x, y: a.y, width: a.width, height: a.height };
+    case "left":  return { x: a.x, y: a.y, width: hw, height: a.height };
+    case "right": return { x: a.x + hw, y: a.y, width: a.width - hw, height: a.height };
+    case "tl":    return { x: a.x, y: a.y, width: hw, height: hh };
+    case "tr":    return { x: a.x + hw, y: a.y, width: a.width - hw, height: hh };
+    case "bl":    return { x: a.x, y: a.y + hh, width: hw, height: a.height - hh };
+    case "br":    return { x: a.x + hw, y: a.y + hh, width: a.width - hw, height: a.height - hh };
+    default:      return null;
+  }
+};
+
+// Overview (Exposé) grid: each window scaled into its own cell, in open order.
+// Returns framer-motion offsets per window id (transform origin is the centre).
+export const overviewLayout = (wins, a, pad = 32, label = 20) => {
+  const n = wins.length;
+  if (!n) return {};
+  const cols = Math.ceil(Math.sqrt(n)), rows = Math.ceil(n / cols);
+  const cellW = (a.width - pad * (cols + 1)) / cols;
+  const cellH = (a.height - pad * (rows + 1)) / rows;
+  const out = {};
+  wins.forEach((w, i) => {
+    const col = i % cols, row = Math.floor(i / cols);
+    const scale = Math.min(1, cellW / w.width, (cellH - label) / w.height);
+    const tx = a.x + pad + col * (cellW + pad) + (cellW - w.width * scale) / 2;
+    const ty = a.y + pad + row * (cellH + pad) + (cellH - w.height * scale) / 2;
+    out[w.id] = {
+      scale,
+      x: tx - w.x - (w.width * (1 - scale)) / 2,
+      y: ty - w.y - (w.height * (1 - scale)) / 2,
+    };
+  });
+  return out;
+};
+
+// follow a pointer gesture on window until release
+export const trackPointer = (onMove, onUp) => {
+  const move = (e) => onMove(e);
+  const up = (e) => {
+    window.removeEventListener("pointermove", move);
+    window.removeEventListener("pointerup", up);
+    window.removeEventListener("pointercancel", up);
+    onUp?.(e);
+  };
+  window.addEventListener("pointermove", move);
+  window.addEventListener("pointerup", up);
+  window.addEventListener("pointercancel", up);
+};
+
+// "Always on top" windows stack above the rest; z still orders them among themselves
+const ON_TOP_Z = 1_000_000;
+export const stackZ = (w) => (w.onTop ? w.z + ON_TOP_Z : w.z);
+
+// the focused window: highest z among the ones not minimized
+export const topWindow = (wins) =>
+  wins.reduce((top, w) => (!w.minimized && (!top || w.z > top.z) ? w : top), null);
+
+/* ============================ Session store ================================
+   Desktop state (open windows, stacking, mixer) survives reloads via
+   localStorage. Bump SESSION_VERSION whenever the saved shape changes and add
+   a SESSION_MIGRATIONS step that upgrades data from the previous version;
+   anything we can't read or upgrade is dropped and the desktop boots clean. */
+const SESSION_KEY = "sp8os.session";
+const SESSION_VERSION = 3;
+export const SESSION_DEFAULTS = { windows: [], zTop: 10, masterVol: 0.6, muted: false, workspace: 0 };
+const SESSION_MIGRATIONS = {
+  // [fromVersion]: (data) => data in the shape of fromVersion + 1
+  // v2: windows became app instances — `id` is the instance, `appId` the app
+  1: (data) => ({ ...data, windows: (data.windows || []).map((w) => ({ ...w, id: `${w.id}-1`, appId: w.id, n: 1 })) }),
+  // v3: workspaces — every window lives on one, everything old goes to the first
+  2: (data) => ({ ...data, workspace: 0, windows: (data.windows || []).map((w) => ({ ...w, ws: 0 })) }),
+};
+
+export const loadSession = () => {
+  try {
+    const raw = localStorage.getItem(SESSION_KEY);
+    if (!raw) return SESSION_DEFAULTS;
+    let { version, data } = JSON.parse(raw);
+    while (version < SESSION_VERSION) {
+      const step = SESSION_MIGRATIONS[version];
+      if (!step) return SESSION_DEFAULTS;
+      data = step(data);
+      version++;
+    }
+    if (version !== SESSION_VERSION) return SESSION_DEFAULTS;
+    return { ...SESSION_DEFAULTS, ...data };
+  } catch {
+    return SESSION_DEFAULTS;
+  }
+};
+export const saveSession = (data) => {
+  try { localStorage.setItem(SESSION_KEY, JSON.stringify({ version: SESSION_VERSION, data })); }
+  catch { /* quota exceeded or storage disabled — session just won't persist */ }
+};
+export const clearSession = () => {
+  try { localStorage.removeItem(SESSION_KEY); }
+  catch { /* storage disabled */ }
+};
+
+// saved windows may come from another screen size or an app that no longer exists
+const restoreWindows = (saved) => {
+  const a = desktopArea(null);
+  return saved
+    .filter((w) => getApp(w.appId))
+    .map((w) => ({ ...w, ws: clamp(w.ws ?? 0, 0, WORKSPACES - 1) }))
+    .map((w) => (w.snap ? { ...w, ...zoneRect(w.snap, a) } : { ...w, ...clampRect(w, a) }));
+};
+
+// Focuses the app's topmost window if it has one (preferring workspace `ws`,
+// otherwise wherever it lives); `newInstance` spawns another unless the app
+// is a singleton.
+const pickInstance = (wins, appId, ws, newInstance = false) => {
+  if (newInstance && !getApp(appId)?.singleton) return null;
+  const mine = wins.filter((w) => w.appId === appId);
+  const pool = mine.some((w) => w.ws === ws) ? mine.filter((w) => w.ws === ws) : mine;
+  return pool.reduce((a, b) => (!a || b.z > a.z ? b : a), null);
+};
+
+// Pure core of openApp: raise the picked window, handing it the new launch
+// args if there are any, or cascade a new one below the icon row sized from
+// the app's default. `n` pins the instance number when history reopens a
+// closed window.
+const launchWindow = (wins, appId, { newInstance = false, args = null, n = null, ws, z, area }) => {
+  const top = pickInstance(wins, appId, ws, newInstance);
+  if (top) return wins.map((w) => (w.id === top.id ? { ...w, minimized: false, z, ...(args && { args }) } : w));
+  const size = getApp(appId)?.size ?? DEFAULT_WIN;
+  const step = (wins.filter((w) => w.ws === ws).length % 8) * 28;
+  const r = clampRect({ x: 48 + step, y: 96 + step, width: size.w, height: size.h }, area);
+  r.y = Math.max(area.y, Math.min(r.y, area.y + area.height - r.height));
+  if (n == null || wins.some((w) => w.id === `${appId}-${n}`)) {
+    n = wins.filter((w) => w.appId === appId).reduce((max, w) => Math.max(max, w.n), 0) + 1;
+  }
+  return [...wins, { id: `${appId}-${n}`, appId, n, ws, minimized: false, z, ...r, snap: null, restore: null, args }];
+};
+
+// The saved session plus whatever the URL deep-links to; linked windows land
+// on top and the desktop starts on the workspace of the last one.
+export const bootSession = (session) => {
+  let windows = restoreWindows(session.windows);
+  let zTop = Math.max(session.zTop, ...windows.map((w) => w.z));
+  let workspace = clamp(session.workspace, 0, WORKSPACES - 1);
+  const area = desktopArea(null);
+  for (const { appId, args } of parseLink(window.location)) {
+    windows = launchWindow(windows, appId, { args, ws: workspace, z: ++zTop, area });
+    workspace = windows.find((w) => w.z === zTop).ws;
+  }
+  return { ...session, windows, zTop, workspace };
+};
+
+export const idsOf = (wins) => wins.map((w) => w.id).sort().join(",");
+
+/* ============================ Window manager ===============================
+   Desktop state (windows, zTop, workspace, mixer) lives in an external store
+   (os/store.js): each piece of UI subscribes to the slice it draws, so a
+   dragged window or a clock tick no longer re-renders the whole desktop. The
+   actions are created once per desktop, so every callback handed down is
+   stable. */
+export const selectWorkspace = (s) => s.workspace;
+export const selectHere = (s) => s.windows.filter((w) => w.ws === s.workspace);
+export const selectVisibleHere = (s) => selectHere(s).filter((w) => !w.minimized);
+export const selectNone = () => null;
+// a maximized window hides the wallpaper, so the rain can rest
+export const selectCovered = (s) => selectVisibleHere(s).some((w) => w.snap === "max");
+export const selectSnapPreview = (s) => s.snapPreview;
+export const selectMasterVol = (s) => s.masterVol;
+export const selectMuted = (s) => s.muted;
+export const selectSafeMode = (s) => s.safeMode;
+export const selectUsedWorkspaces = (s) => Array.from({ length: WORKSPACES }, (_, i) => s.windows.some((w) => w.ws === i));
+// what the taskbar draws — leaves out geometry so dragging doesn't touch it
+export const selectTaskbar = (s) => selectHere(s).map(({ id, appId, n, minimized, z }) => ({ id, appId, n, minimized, z }));
+
+export function createWindowManager(wm, desktopRef, playSfx) {
+  const area = () => desktopArea(desktopRef.current);
+  const update = (fn) => wm.setState((s) => ({ windows: s.windows.map(fn) }));
+  const raise = (id, patch) => wm.setState((s) => ({
+    zTop: s.zTop + 1,
+    windows: s.windows.map((x) => (x.id === id ? { ...x, minimized: false, z: s.zTop + 1, ...patch } : x)),
+  }));
+  const actions = {
+    // `args` reach the app as its `args` prop (Mines level, TRON arena, …).
+    // Returns the id of the window that ends up on top.
+    open(appId, { newInstance = false, args = null } = {}) {
+      const { windows, workspace, zTop } = wm.getState();
+      const existing = pickInstance(windows, appId, workspace, newInstance);
+      const next = launchWindow(windows, appId, { newInstance, args, ws: workspace, z: zTop + 1, area: area() });
+      wm.setState({ windows: next, zTop: zTop + 1, workspace: existing ? existing.ws : workspace });
+      playSfx("open");
+      return next.find((w) => w.z === zTop + 1).id;
+    },
+    close(id) { wm.setState((s) => ({ windows: s.windows.filter((x) => x.id !== id) })); playSfx("close"); },
+    minimize(id) { update((x) => (x.id === id ? { ...x, minimized: true } : x)); playSfx("minimize"); },
+    focus(id) { raise(id); },
+    toggleMinimize(id) {
+      if (wm.getState().windows.find((x) => x.id === id)?.minimized) raise(id);
+      else update((x) => (x.id === id ? { ...x, minimized: true } : x));
+      playSfx("minimize");
+    },
+    closeAll(appId) {
+      wm.setState((s) => ({ windows: s.windows.filter((x) => x.appId !== appId || x.ws !== s.workspace) }));
+      playSfx("close");
+    },
+    // moving a window takes you along with it
+    moveToWorkspace(id, ws) { raise(id, { ws }); wm.setState({ workspace: ws }); },
+    switchWorkspace(ws) {
+      if (ws === wm.getState().workspace) return;
+      wm.setState({ workspace: ws });
+      playSfx("menu");
+    },
+    setGeometry(id, geom) { update((x) => (x.id === id ? { ...x, ...geom } : x)); },
+    // snapping to the zone a window is already in restores it
+    snap(id, zone) {
+      update((x) => {
+        if (x.id !== id) return x;
+        if (x.snap === zone) return { ...x, ...x.restore, snap: null, restore: null };
+        return { ...x, ...zoneRect(zone, area()), snap: zone, restore: x.snap ? x.restore : rectOf(x) };
+      });
+    },
+    toggleMaximize(id) { actions.snap(id, "max"); },
+    toggleOnTop(id) { raise(id, { onTop: !wm.getState().windows.find((x) => x.id === id)?.onTop }); },
+    // called on every pointermove of a drag: the same zone again changes nothing
+    setSnapPreview(rect) { wm.setState((s) => (sameRect(s.snapPreview, rect) ? null : { snapPreview: rect })); },
+    // snapped/maximized windows follow the viewport
+    reflow() {
+      const a = area();
+      update((x) => (x.snap ? { ...x, ...zoneRect(x.snap, a) } : x));
+    },
+    // Back/Forward: keep the windows of the history entry, reopen the missing ones
+    replay(entry) {
+      const keep = new Set(entry.map((w) => w.id));
+      const a = area();
+      wm.setState(({ windows, workspace, zTop }) => ({
+        windows: entry.reduce(
+          (next, { id, appId, n, args }, i) => (next.some((w) => w.id === id) || !getApp(appId) ? next
+            : launchWindow(next, appId, { newInstance: true, n, args, ws: workspace, z: zTop + 1 + i, area: a })),
+          windows.filter((w) => keep.has(w.id))),
+        zTop: zTop + entry.length,
+      }));
+    },
+    setVolume(masterVol) { wm.setState({ masterVol }); },
+    setMuted(muted) { wm.setState({ muted }); },
+  };
+  return actions;
+}
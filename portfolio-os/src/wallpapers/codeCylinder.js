@@ -0,0 +1,55 @@
+import * as THREE from "three";
+
+/* The rain wrapped around a slowly turning cylinder. Glyphs are painted once
+   into a canvas texture (white, tinted by the material color); scrolling the
+   texture makes them fall and a few cells are repainted every frame so the
+   code keeps changing. */
+const CHARS = "アイウエオカキクケコサシスセソタチツテト0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const TEX = 512, CELL = 24, CELLS = Math.floor(TEX / CELL);
+const REPAINT = 12; // cells per frame
+
+export default function codeCylinder({ color }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = TEX;
+  const ctx = canvas.getContext("2d");
+  ctx.font = `${CELL - 4}px monospace`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  const paint = (col, row) => {
+    const x = col * CELL, y = row * CELL;
+    ctx.clearRect(x, y, CELL, CELL);
+    // brighter towards the bottom of each column, like a falling trail
+    ctx.fillStyle = `rgba(255, 255, 255, ${0.15 + 0.85 * (((row + col * 7) % CELLS) / CELLS)})`;
+    ctx.fillText(CHARS[(Math.random() * CHARS.length) | 0], x + CELL / 2, y + CELL / 2);
+  };
+  for (let col = 0; col < CELLS; col++) for (let row = 0; row < CELLS; row++) paint(col, row);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(4, 2);
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+  camera.position.set(0, 0, 13);
+  const geometry = new THREE.CylinderGeometry(5, 5, 16, 64, 1, true);
+  const material = new THREE.MeshBasicMaterial({
+    map: texture, color, transparent: true, side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending, depthWrite: false,
+  });
+  const cylinder = new THREE.Mesh(geometry, material);
+  cylinder.rotation.x = 0.15;
+  scene.add(cylinder);
+
+  return {
+    scene,
+    camera,
+    update(t) {
+      cylinder.rotation.y = t * 0.2;
+      texture.offset.y = t * 0.25;
+      for (let i = 0; i < REPAINT; i++) paint((Math.random() * CELLS) | 0, (Math.random() * CELLS) | 0);
+      texture.needsUpdate = true;
+    },
+    setColor(c) { material.color.set(c); },
+    dispose() { geometry.dispose(); material.dispose(); texture.dispose(); },
+  };
+}
@@ -0,0 +1,54 @@
+/* =============================== Wallpapers ================================
+   What's drawn behind the desktop. "rain" is the 2D MatrixBackground; the
+   others are three.js scenes, loaded (three included) only when picked. A 3D
+   scene falls back to the rain on low-power devices, without WebGL, under
+   prefers-reduced-motion, or when it can't keep up once running.
+
+   A scene module default-exports create({ color }) returning
+   { scene, camera, update(t, dt), setColor(color), dispose() }. */
+export const WALLPAPERS = {
+  rain: { title: "Matrix rain (2D)" },
+  tunnel: { title: "Neon grid tunnel", load: () => import("./tunnel.js") },
+  starfield: { title: "Starfield", load: () => import("./starfield.js") },
+  cylinder: { title: "Code cylinder", load: () => import("./codeCylinder.js") },
+};
+
+let capable = null;
+// Cheap checks up front; a scene that turns out too slow bails out at runtime.
+export function canRun3D() {
+  if (capable !== null) return capable;
+  const nav = window.navigator;
+  capable = !window.matchMedia?.("(prefers-reduced-motion: reduce)").matches
+    && !nav.connection?.saveData
+    && (nav.hardwareConcurrency ?? 4) > 2
+    && (nav.deviceMemory ?? 4) > 2;
+  if (capable) {
+    try {
+      const probe = document.createElement("canvas");
+      capable = !!(probe.getContext("webgl2") || probe.getContext("webgl"));
+    } catch {
+      capable = false;
+    }
+  }
+  return capable;
+}
+
+/* Mounts scene `id` into `host` and returns the same controller shape as the
+   rain ({ set, configure, stop }) right away; the scene joins in once its
+   chunk has loaded. onFail(reason) means "use the rain instead". */
+export function mountScene(host, id, { color, onFail }) {
+  let stopped = false, live = null;
+  let state = { running: false, still: false };
+  Promise.all([import("./runScene.js"), WALLPAPERS[id].load()])
+    .then(([{ runScene }, { default: create }]) => {
+      if (stopped) return;
+      live = runScene(host, create, { color, onFail });
+      live.set(state);
+    })
+    .catch((err) => { if (!stopped) onFail(`failed to start (${err?.message || err})`); });
+  return {
+    set(next) { state = { ...state, ...next }; live?.set(state); },
+    configure(opts) { color = opts.color; live?.setColor(color); },
+    stop() { stopped = true; live?.stop(); },
+  };
+}
@@ -0,0 +1,71 @@
+/* The classic pipes screensaver, flat: pipes crawl over a grid, turning now
+   and then, and the screen starts over once it's full enough. Same
+   controller shape as runRain ({ resize, set, stop }). */
+const CELL = 28;
+const PIPES = 4;
+const TURN = 0.2;          // chance to turn per step
+const STEPS_PER_SCREEN = 1600;
+const STEP_MS = 30;
+const COLORS = ["#00ff7f", "#00e5ff", "#ffb000", "#ff3b5c", "#b36bff"];
+const DIRS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+export function runPipes(ctx) {
+  let cols = 0, rows = 0, pipes = [], steps = 0, timer = 0;
+  const spawn = () => ({
+    x: (Math.random() * cols) | 0,
+    y: (Math.random() * rows) | 0,
+    dir: (Math.random() * 4) | 0,
+    color: COLORS[(Math.random() * COLORS.length) | 0],
+  });
+  const clear = () => {
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, cols * CELL, rows * CELL);
+    pipes = Array.from({ length: PIPES }, spawn);
+    steps = 0;
+  };
+  const center = (v) => v * CELL + CELL / 2;
+  const step = () => {
+    if (++steps > STEPS_PER_SCREEN) clear();
+    ctx.lineWidth = CELL * 0.4;
+    ctx.lineCap = "round";
+    for (const p of pipes) {
+      const turned = Math.random() < TURN;
+      if (turned) p.dir = (p.dir + (Math.random() < 0.5 ? 1 : 3)) % 4;
+      const [dx, dy] = DIRS[p.dir];
+      ctx.strokeStyle = p.color;
+      ctx.beginPath();
+      ctx.moveTo(center(p.x), center(p.y));
+      ctx.lineTo(center(p.x + dx), center(p.y + dy));
+      ctx.stroke();
+      if (turned) { // a joint where the pipe bends
+        ctx.fillStyle = p.color;
+        ctx.beginPath();
+        ctx.arc(center(p.x), center(p.y), CELL * 0.3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      p.x += dx;
+      p.y += dy;
+      if (p.x < 0 || p.y < 0 || p.x >= cols || p.y >= rows) Object.assign(p, spawn());
+    }
+  };
+  let state = { running: false, still: false };
+  const update = () => {
+    clearInterval(timer);
+    timer = 0;
+    if (state.still) for (let i = 0; i < 200; i++) step();
+    else if (state.running) timer = setInterval(step, STEP_MS);
+  };
+  return {
+    resize(width, height, dpr) {
+      ctx.canvas.width = Math.floor(width * dpr);
+      ctx.canvas.height = Math.floor(height * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      cols = Math.ceil(width / CELL);
+      rows = Math.ceil(height / CELL);
+      clear();
+      if (state.still) update();
+    },
+    set(next) { state = { ...state, ...next }; update(); },
+    stop() { clearInterval(timer); },
+  };
+}
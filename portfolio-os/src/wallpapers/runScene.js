@@ -0,0 +1,66 @@
+import * as THREE from "three";
+
+/* The render loop for three.js wallpapers. Frame time is averaged; a scene
+   that stays under ~20 fps after warming up gives up and lets the desktop
+   fall back to the 2D rain. */
+const WARMUP = 120;      // frames before judging
+const TOO_SLOW = 50;     // ms, averaged
+
+export function runScene(host, create, { color, onFail }) {
+  const renderer = new THREE.WebGLRenderer({ antialias: false, powerPreference: "low-power" });
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 1.5));
+  renderer.domElement.className = "block h-full w-full";
+  host.appendChild(renderer.domElement);
+  const world = create({ color });
+
+  const resize = () => {
+    renderer.setSize(window.innerWidth, window.innerHeight, false);
+    world.camera.aspect = window.innerWidth / window.innerHeight;
+    world.camera.updateProjectionMatrix();
+    renderer.render(world.scene, world.camera);
+  };
+
+  let frame = 0, last = 0, frames = 0, avg = 16, t = 0, stopped = false;
+  let state = { running: false, still: false };
+  const tick = (now) => {
+    frame = requestAnimationFrame(tick);
+    const dt = last ? Math.min(now - last, 100) : 16;
+    last = now;
+    avg = avg * 0.95 + dt * 0.05;
+    if (++frames > WARMUP && avg > TOO_SLOW) {
+      stop();
+      onFail(`too slow (${Math.round(1000 / avg)} fps)`);
+      return;
+    }
+    t += dt / 1000;
+    world.update(t, dt / 1000);
+    renderer.render(world.scene, world.camera);
+  };
+  const lost = (e) => { e.preventDefault(); stop(); onFail("lost its WebGL context"); };
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    cancelAnimationFrame(frame);
+    window.removeEventListener("resize", resize);
+    renderer.domElement.removeEventListener("webglcontextlost", lost);
+    world.dispose();
+    renderer.dispose();
+    renderer.domElement.remove();
+  }
+
+  resize();
+  window.addEventListener("resize", resize);
+  renderer.domElement.addEventListener("webglcontextlost", lost);
+
+  return {
+    set(next) {
+      state = next;
+      cancelAnimationFrame(frame);
+      frame = 0;
+      if (state.running && !state.still) { last = 0; frames = 0; frame = requestAnimationFrame(tick); }
+    },
+    setColor(c) { world.setColor(c); if (!frame) renderer.render(world.scene, world.camera); },
+    stop,
+  };
+}
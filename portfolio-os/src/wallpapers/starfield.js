@@ -0,0 +1,37 @@
+import * as THREE from "three";
+
+/* Stars streaming past the camera; each one wraps to the far end when it
+   passes us. */
+const COUNT = 4000, DEPTH = 200, SPREAD = 160, SPEED = 30;
+
+export default function starfield({ color }) {
+  const scene = new THREE.Scene();
+  scene.fog = new THREE.Fog(0x000000, DEPTH / 3, DEPTH);
+  const camera = new THREE.PerspectiveCamera(70, 1, 0.1, DEPTH);
+  const positions = new Float32Array(COUNT * 3);
+  for (let i = 0; i < COUNT; i++) {
+    positions[i * 3] = (Math.random() - 0.5) * SPREAD;
+    positions[i * 3 + 1] = (Math.random() - 0.5) * SPREAD;
+    positions[i * 3 + 2] = -Math.random() * DEPTH;
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  const material = new THREE.PointsMaterial({ color, size: 0.7 });
+  const stars = new THREE.Points(geometry, material);
+  scene.add(stars);
+
+  return {
+    scene,
+    camera,
+    update(t, dt) {
+      for (let i = 2; i < positions.length; i += 3) {
+        positions[i] += dt * SPEED;
+        if (positions[i] > 0) positions[i] -= DEPTH;
+      }
+      geometry.attributes.position.needsUpdate = true;
+      stars.rotation.z = t * 0.02;
+    },
+    setColor(c) { material.color.set(c); },
+    dispose() { geometry.dispose(); material.dispose(); },
+  };
+}
@@ -0,0 +1,30 @@
+import * as THREE from "three";
+
+/* Flying down an endless wireframe tube. The tube only ever slides one ring
+   towards the camera and jumps back, which reads as infinite motion. */
+const RADIUS = 6, LENGTH = 120, RINGS = 60, SIDES = 24;
+const RING = LENGTH / RINGS;
+
+export default function tunnel({ color }) {
+  const scene = new THREE.Scene();
+  scene.fog = new THREE.Fog(0x000000, 4, LENGTH / 2);
+  const camera = new THREE.PerspectiveCamera(75, 1, 0.1, LENGTH);
+  const geometry = new THREE.WireframeGeometry(new THREE.CylinderGeometry(RADIUS, RADIUS, LENGTH, SIDES, RINGS, true));
+  const material = new THREE.LineBasicMaterial({ color });
+  const tube = new THREE.LineSegments(geometry, material);
+  tube.rotation.x = Math.PI / 2; // the cylinder's axis (y) becomes the view axis
+  scene.add(tube);
+
+  return {
+    scene,
+    camera,
+    update(t) {
+      tube.position.z = (t * 8) % RING;
+      tube.rotation.y = t * 0.15;
+      camera.position.x = Math.sin(t * 0.5) * RADIUS * 0.15;
+      camera.position.y = Math.cos(t * 0.3) * RADIUS * 0.1;
+    },
+    setColor(c) { material.color.set(c); },
+    dispose() { geometry.dispose(); material.dispose(); },
+  };
+}